@@ -86,7 +86,9 @@ export default function App() {
       encryptionService.current = new EncryptionService();
       await encryptionService.current.initialize();
 
-      storeAndForward.current = new StoreAndForwardService();
+      storeAndForward.current = new StoreAndForwardService({
+        encryptionService: encryptionService.current,
+      });
       batteryOptimizer.current = new BatteryOptimizer();
 
       compression.current = new MessageCompression();
@@ -97,13 +99,22 @@ export default function App() {
       await zkService.current.initialize();
 
       // Initialize mesh service with delegate
-      meshService.current = new BluetoothMeshService({
-        didReceiveMessage: handleMessageReceived,
-        didConnectToPeer: handlePeerConnected,
-        didDisconnectFromPeer: handlePeerDisconnected,
-        didUpdatePeerList: handlePeerListUpdated,
-        didReceiveDeliveryAck: handleDeliveryAck,
-      });
+      meshService.current = new BluetoothMeshService(
+        {
+          didReceiveMessage: handleMessageReceived,
+          didConnectToPeer: handlePeerConnected,
+          didDisconnectFromPeer: handlePeerDisconnected,
+          didUpdatePeerList: handlePeerListUpdated,
+          didReceiveDeliveryAck: handleDeliveryAck,
+          didUpdateDeliveryStatus: handleDeliveryStatusUpdated,
+        },
+        {
+          encryptionService: encryptionService.current,
+          compression: compression.current,
+          fragmentation: fragmentation.current,
+          storeAndForward: storeAndForward.current,
+        }
+      );
 
       // Initialize privacy service
       privacyService.current = new PrivacyService(
@@ -126,6 +137,7 @@ export default function App() {
       // Generate initial nickname
       const identity = privacyService.current.generateEphemeralIdentity();
       setNickname(identity.nickname);
+      meshService.current.setNickname(identity.nickname);
 
       // Update stats periodically
       setInterval(updateStats, 5000);
@@ -157,6 +169,11 @@ export default function App() {
         },
       ]);
 
+      // Shown straight away, so it counts as read
+      if (message.isPrivate) {
+        meshService.current?.sendReadReceipt(message.id, message.sender);
+      }
+
       // Auto-scroll to bottom
       setTimeout(() => {
         scrollViewRef.current?.scrollToEnd({ animated: true });
@@ -183,6 +200,14 @@ export default function App() {
     console.log(`[KRTR App] Delivery ack received:`, ack);
   };
 
+  const handleDeliveryStatusUpdated = (packetID, status) => {
+    setMessages(prev =>
+      prev.map(msg =>
+        msg.packetID === packetID ? { ...msg, deliveryStatus: status } : msg
+      )
+    );
+  };
+
   const sendMessage = async () => {
     if (!inputText.trim() || !isInitialized) return;
 
@@ -214,12 +239,20 @@ export default function App() {
         }, 1000);
       } else {
         // Send through privacy service (with timing randomization)
-        await privacyService.current.sendMessageWithPrivacy(messageContent);
+        const packet = await privacyService.current.sendMessageWithPrivacy(
+          messageContent
+        );
 
-        // Update message status
+        // Addressed messages move on as acks and read receipts arrive;
+        // broadcasts are never acked
+        const packetID = packet?.messageID;
+        const status =
+          meshService.current.getDeliveryStatus(packetID) || 'sent';
         setMessages(prev =>
           prev.map(msg =>
-            msg.id === messageId ? { ...msg, deliveryStatus: 'sent' } : msg
+            msg.id === messageId
+              ? { ...msg, packetID, deliveryStatus: status }
+              : msg
           )
         );
       }
@@ -299,6 +332,7 @@ export default function App() {
       // Generate new identity
       const identity = privacyService.current?.generateEphemeralIdentity();
       setNickname(identity?.nickname || 'Anonymous');
+      meshService.current?.setNickname(identity?.nickname || 'Anonymous');
 
       Alert.alert('Emergency Wipe', 'All data has been cleared');
     } catch (error) {
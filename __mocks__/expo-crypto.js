@@ -0,0 +1,13 @@
+/**
+ * expo-crypto backed by Node's crypto module for the Jest runs
+ */
+
+import { randomBytes } from 'crypto';
+
+export function getRandomBytes(byteCount) {
+  return new Uint8Array(randomBytes(byteCount));
+}
+
+export async function getRandomBytesAsync(byteCount) {
+  return getRandomBytes(byteCount);
+}
@@ -0,0 +1,81 @@
+/**
+ * KRTR AEAD - Authenticated encryption envelope shared by the crypto services
+ * XChaCha20-Poly1305 with random 24-byte nonces and optional associated data
+ */
+
+import * as Crypto from 'expo-crypto';
+import { Buffer } from 'buffer';
+import { xchacha20poly1305 } from '@noble/ciphers/chacha';
+
+// Envelope: version (1) + nonce (24) + ciphertext + tag (16)
+export const AEAD_ENVELOPE_VERSION = 0x01;
+export const AEAD_NONCE_LENGTH = 24;
+export const AEAD_TAG_LENGTH = 16;
+const AEAD_HEADER_LENGTH = 1 + AEAD_NONCE_LENGTH;
+
+/**
+ * Raised when a ciphertext or its associated data fails authentication,
+ * i.e. it was tampered with or encrypted under a different key
+ */
+export class MessageAuthenticationError extends Error {
+  constructor(message = 'Message authentication failed') {
+    super(message);
+    this.name = 'MessageAuthenticationError';
+  }
+}
+
+/**
+ * Encrypt and authenticate data
+ * @param {Uint8Array} key - 32-byte key
+ * @param {Buffer} plaintext - Data to encrypt
+ * @param {Buffer|null} associatedData - Authenticated but unencrypted data
+ * @returns {Buffer} - Envelope
+ */
+export function seal(key, plaintext, associatedData = null) {
+  const nonce = Buffer.from(Crypto.getRandomBytes(AEAD_NONCE_LENGTH));
+  const cipher = xchacha20poly1305(key, nonce, associatedData || undefined);
+  const ciphertext = cipher.encrypt(plaintext);
+
+  return Buffer.concat([
+    Buffer.from([AEAD_ENVELOPE_VERSION]),
+    nonce,
+    Buffer.from(ciphertext),
+  ]);
+}
+
+/**
+ * Authenticate and decrypt an envelope produced by seal()
+ * @param {Uint8Array} key - 32-byte key
+ * @param {Buffer} envelope - Envelope
+ * @param {Buffer|null} associatedData - Must match what was sealed
+ * @returns {Buffer} - Plaintext
+ * @throws {MessageAuthenticationError} - If authentication fails
+ */
+export function open(key, envelope, associatedData = null) {
+  if (!isSealedEnvelope(envelope)) {
+    throw new Error('Not an encrypted envelope');
+  }
+
+  const nonce = envelope.subarray(1, AEAD_HEADER_LENGTH);
+  const ciphertext = envelope.subarray(AEAD_HEADER_LENGTH);
+  const cipher = xchacha20poly1305(key, nonce, associatedData || undefined);
+
+  try {
+    return Buffer.from(cipher.decrypt(ciphertext));
+  } catch (error) {
+    throw new MessageAuthenticationError();
+  }
+}
+
+/**
+ * Check whether data is shaped like a seal() envelope
+ * @param {Buffer} data - Candidate envelope
+ * @returns {boolean}
+ */
+export function isSealedEnvelope(data) {
+  return (
+    !!data &&
+    data.length >= AEAD_HEADER_LENGTH + AEAD_TAG_LENGTH &&
+    data[0] === AEAD_ENVELOPE_VERSION
+  );
+}
@@ -0,0 +1,432 @@
+/**
+ * KRTR Double Ratchet - Forward-secret private messaging per the Signal spec
+ * Double Ratchet with header encryption, seeded from a completed Noise session
+ *
+ * Envelope: version 0x02 + encrypted header (sealed) + encrypted body (sealed)
+ */
+
+import { Buffer } from 'buffer';
+import { hkdf } from '@noble/hashes/hkdf';
+import { hmac } from '@noble/hashes/hmac';
+import { sha256 } from '@noble/hashes/sha256';
+import {
+  seal,
+  open,
+  MessageAuthenticationError,
+  AEAD_NONCE_LENGTH,
+  AEAD_TAG_LENGTH,
+} from './Aead';
+import { generateKeyPair, dh } from './NoiseHandshake';
+
+export const RATCHET_ENVELOPE_VERSION = 0x02;
+
+// Header: ratchet public key (32) + previous chain length (4) + message number (4)
+const HEADER_LENGTH = 32 + 4 + 4;
+const SEALED_HEADER_LENGTH =
+  1 + AEAD_NONCE_LENGTH + HEADER_LENGTH + AEAD_TAG_LENGTH;
+
+const ROOT_KDF_INFO = 'krtr-ratchet-root-v1';
+const INIT_KDF_INFO = 'krtr-ratchet-init-v1';
+const MESSAGE_KEY_SEED = Buffer.from([0x01]);
+const CHAIN_KEY_SEED = Buffer.from([0x02]);
+
+// Skipped message keys let out-of-order and store-and-forward traffic decrypt
+export const MAX_SKIP = 500; // per chain step
+export const MAX_SKIPPED_KEYS = 2000; // per session, oldest evicted first
+export const SKIPPED_KEY_TTL = 7 * 24 * 60 * 60 * 1000; // matches favorite cache TTL
+
+function kdfRootKey(rootKey, dhOutput) {
+  const output = Buffer.from(
+    hkdf(sha256, dhOutput, rootKey, ROOT_KDF_INFO, 96)
+  );
+  return [
+    output.subarray(0, 32), // root key
+    output.subarray(32, 64), // chain key
+    output.subarray(64, 96), // next header key
+  ];
+}
+
+function kdfChainKey(chainKey) {
+  return [
+    Buffer.from(hmac(sha256, chainKey, CHAIN_KEY_SEED)),
+    Buffer.from(hmac(sha256, chainKey, MESSAGE_KEY_SEED)),
+  ];
+}
+
+function encodeHeader(publicKey, previousChainLength, messageNumber) {
+  const header = Buffer.alloc(HEADER_LENGTH);
+  publicKey.copy(header, 0);
+  header.writeUInt32BE(previousChainLength, 32);
+  header.writeUInt32BE(messageNumber, 36);
+  return header;
+}
+
+function decodeHeader(header) {
+  if (header.length !== HEADER_LENGTH) {
+    throw new Error('Invalid ratchet header');
+  }
+  return {
+    publicKey: Buffer.from(header.subarray(0, 32)),
+    previousChainLength: header.readUInt32BE(32),
+    messageNumber: header.readUInt32BE(36),
+  };
+}
+
+function tryOpenHeader(headerKey, sealedHeader) {
+  if (!headerKey) return null;
+  try {
+    return decodeHeader(open(headerKey, sealedHeader));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Derive the ratchet's shared secret and initial header keys from a Noise
+ * session. The handshake hash is public, so it only salts the transport keys.
+ * @param {Object} session - {sendKey, receiveKey, handshakeHash, isInitiator}
+ * @returns {Object} - {sharedSecret, initiatorHeaderKey, responderHeaderKey}
+ */
+export function deriveRatchetSecrets(session) {
+  const initiatorToResponder = session.isInitiator
+    ? session.sendKey
+    : session.receiveKey;
+  const responderToInitiator = session.isInitiator
+    ? session.receiveKey
+    : session.sendKey;
+
+  const output = Buffer.from(
+    hkdf(
+      sha256,
+      Buffer.concat([initiatorToResponder, responderToInitiator]),
+      session.handshakeHash,
+      INIT_KDF_INFO,
+      96
+    )
+  );
+
+  return {
+    sharedSecret: output.subarray(0, 32),
+    initiatorHeaderKey: output.subarray(32, 64),
+    responderHeaderKey: output.subarray(64, 96),
+  };
+}
+
+/**
+ * Check whether data is shaped like a DoubleRatchet envelope
+ * @param {Buffer} data - Candidate envelope
+ * @returns {boolean}
+ */
+export function isRatchetEnvelope(data) {
+  return (
+    !!data &&
+    data.length > 1 + SEALED_HEADER_LENGTH &&
+    data[0] === RATCHET_ENVELOPE_VERSION
+  );
+}
+
+export class DoubleRatchet {
+  constructor(state) {
+    this.rootKey = state.rootKey;
+    this.sendingKeyPair = state.sendingKeyPair;
+    this.remoteRatchetKey = state.remoteRatchetKey || null;
+    this.sendingChainKey = state.sendingChainKey || null;
+    this.receivingChainKey = state.receivingChainKey || null;
+    this.sendingHeaderKey = state.sendingHeaderKey || null;
+    this.receivingHeaderKey = state.receivingHeaderKey || null;
+    this.nextSendingHeaderKey = state.nextSendingHeaderKey;
+    this.nextReceivingHeaderKey = state.nextReceivingHeaderKey;
+    this.sendCount = state.sendCount || 0;
+    this.receiveCount = state.receiveCount || 0;
+    this.previousSendCount = state.previousSendCount || 0;
+
+    // "<header key hex>:<message number>" -> {headerKey, messageKey, storedAt}
+    this.skippedKeys = state.skippedKeys || new Map();
+  }
+
+  /**
+   * Session for the Noise initiator, who can send straight away
+   * @param {Object} secrets - From deriveRatchetSecrets()
+   * @param {Buffer} remoteRatchetKey - Responder's handshake ephemeral key
+   */
+  static initAsInitiator(secrets, remoteRatchetKey) {
+    const sendingKeyPair = generateKeyPair();
+    const [rootKey, sendingChainKey, nextSendingHeaderKey] = kdfRootKey(
+      secrets.sharedSecret,
+      dh(sendingKeyPair, remoteRatchetKey)
+    );
+
+    return new DoubleRatchet({
+      rootKey,
+      sendingKeyPair,
+      remoteRatchetKey,
+      sendingChainKey,
+      sendingHeaderKey: secrets.initiatorHeaderKey,
+      nextSendingHeaderKey,
+      nextReceivingHeaderKey: secrets.responderHeaderKey,
+    });
+  }
+
+  /**
+   * Session for the Noise responder, who can send once the initiator has
+   * @param {Object} secrets - From deriveRatchetSecrets()
+   * @param {Object} ratchetKeyPair - Our handshake ephemeral key pair, never
+   *   the identity key: ratchet state is persisted
+   */
+  static initAsResponder(secrets, ratchetKeyPair) {
+    return new DoubleRatchet({
+      rootKey: secrets.sharedSecret,
+      sendingKeyPair: ratchetKeyPair,
+      nextSendingHeaderKey: secrets.responderHeaderKey,
+      nextReceivingHeaderKey: secrets.initiatorHeaderKey,
+    });
+  }
+
+  /**
+   * Whether a sending chain exists yet
+   */
+  canEncrypt() {
+    return this.sendingChainKey !== null;
+  }
+
+  /**
+   * Encrypt the next message on the sending chain
+   * @param {Buffer} plaintext - Message body
+   * @param {Buffer|null} associatedData - Authenticated context
+   * @returns {Buffer} - Ratchet envelope
+   */
+  encrypt(plaintext, associatedData = null) {
+    if (!this.canEncrypt()) {
+      throw new Error('Ratchet has no sending chain yet');
+    }
+
+    const [chainKey, messageKey] = kdfChainKey(this.sendingChainKey);
+    this.sendingChainKey = chainKey;
+
+    const sealedHeader = seal(
+      this.sendingHeaderKey,
+      encodeHeader(
+        this.sendingKeyPair.publicKey,
+        this.previousSendCount,
+        this.sendCount
+      )
+    );
+    this.sendCount++;
+
+    const body = seal(
+      messageKey,
+      plaintext,
+      this.bodyAssociatedData(associatedData, sealedHeader)
+    );
+
+    return Buffer.concat([
+      Buffer.from([RATCHET_ENVELOPE_VERSION]),
+      sealedHeader,
+      body,
+    ]);
+  }
+
+  /**
+   * Decrypt a ratchet envelope. State only advances when authentication
+   * succeeds, so forged or replayed envelopes leave the session untouched.
+   * @param {Buffer} envelope - Ratchet envelope
+   * @param {Buffer|null} associatedData - Must match what the sender bound
+   * @returns {Buffer} - Plaintext
+   * @throws {MessageAuthenticationError} - If the envelope doesn't authenticate
+   */
+  decrypt(envelope, associatedData = null) {
+    if (!isRatchetEnvelope(envelope)) {
+      throw new Error('Not a ratchet envelope');
+    }
+
+    const sealedHeader = envelope.subarray(1, 1 + SEALED_HEADER_LENGTH);
+    const body = envelope.subarray(1 + SEALED_HEADER_LENGTH);
+    const bodyAssociatedData = this.bodyAssociatedData(
+      associatedData,
+      sealedHeader
+    );
+
+    const skipped = this.trySkippedKeys(sealedHeader, body, bodyAssociatedData);
+    if (skipped) return skipped;
+
+    // Work on a copy so a failed decryption can't corrupt the session
+    const next = this.clone();
+    let header = tryOpenHeader(next.receivingHeaderKey, sealedHeader);
+    let isNewChain = false;
+
+    if (!header) {
+      header = tryOpenHeader(next.nextReceivingHeaderKey, sealedHeader);
+      isNewChain = true;
+    }
+    if (!header) {
+      throw new MessageAuthenticationError('Ratchet header not recognised');
+    }
+
+    if (isNewChain) {
+      next.skipMessageKeys(header.previousChainLength);
+      next.ratchetStep(header.publicKey);
+    }
+    next.skipMessageKeys(header.messageNumber);
+
+    const [chainKey, messageKey] = kdfChainKey(next.receivingChainKey);
+    next.receivingChainKey = chainKey;
+    next.receiveCount++;
+
+    const plaintext = open(messageKey, body, bodyAssociatedData);
+    this.assign(next);
+    return plaintext;
+  }
+
+  bodyAssociatedData(associatedData, sealedHeader) {
+    return associatedData
+      ? Buffer.concat([associatedData, sealedHeader])
+      : sealedHeader;
+  }
+
+  trySkippedKeys(sealedHeader, body, associatedData) {
+    const headerKeys = new Map();
+    for (const entry of this.skippedKeys.values()) {
+      headerKeys.set(entry.headerKey.toString('hex'), entry.headerKey);
+    }
+
+    for (const [headerKeyHex, headerKey] of headerKeys) {
+      const header = tryOpenHeader(headerKey, sealedHeader);
+      if (!header) continue;
+
+      const id = `${headerKeyHex}:${header.messageNumber}`;
+      const entry = this.skippedKeys.get(id);
+      if (!entry) return null;
+
+      const plaintext = open(entry.messageKey, body, associatedData);
+      this.skippedKeys.delete(id);
+      return plaintext;
+    }
+
+    return null;
+  }
+
+  skipMessageKeys(until) {
+    if (this.receiveCount + MAX_SKIP < until) {
+      throw new MessageAuthenticationError('Too many skipped ratchet messages');
+    }
+    if (!this.receivingChainKey) return;
+
+    const headerKeyHex = this.receivingHeaderKey.toString('hex');
+    while (this.receiveCount < until) {
+      const [chainKey, messageKey] = kdfChainKey(this.receivingChainKey);
+      this.receivingChainKey = chainKey;
+      this.skippedKeys.set(`${headerKeyHex}:${this.receiveCount}`, {
+        headerKey: this.receivingHeaderKey,
+        messageKey,
+        storedAt: Date.now(),
+      });
+      this.receiveCount++;
+    }
+
+    this.pruneSkippedKeys();
+  }
+
+  ratchetStep(remoteRatchetKey) {
+    this.previousSendCount = this.sendCount;
+    this.sendCount = 0;
+    this.receiveCount = 0;
+    this.sendingHeaderKey = this.nextSendingHeaderKey;
+    this.receivingHeaderKey = this.nextReceivingHeaderKey;
+    this.remoteRatchetKey = remoteRatchetKey;
+
+    [this.rootKey, this.receivingChainKey, this.nextReceivingHeaderKey] =
+      kdfRootKey(this.rootKey, dh(this.sendingKeyPair, remoteRatchetKey));
+
+    this.sendingKeyPair = generateKeyPair();
+    [this.rootKey, this.sendingChainKey, this.nextSendingHeaderKey] =
+      kdfRootKey(this.rootKey, dh(this.sendingKeyPair, remoteRatchetKey));
+  }
+
+  /**
+   * Drop expired skipped keys, then the oldest beyond the session limit
+   */
+  pruneSkippedKeys(now = Date.now()) {
+    for (const [id, entry] of this.skippedKeys) {
+      if (now - entry.storedAt > SKIPPED_KEY_TTL) {
+        this.skippedKeys.delete(id);
+      }
+    }
+
+    while (this.skippedKeys.size > MAX_SKIPPED_KEYS) {
+      const oldest = this.skippedKeys.keys().next().value;
+      this.skippedKeys.delete(oldest);
+    }
+  }
+
+  clone() {
+    return DoubleRatchet.fromJSON(this.toJSON());
+  }
+
+  assign(other) {
+    Object.assign(this, other);
+  }
+
+  // Persistence
+
+  toJSON() {
+    const encode = key => (key ? key.toString('base64') : null);
+
+    return {
+      rootKey: encode(this.rootKey),
+      sendingKeyPair: {
+        publicKey: encode(this.sendingKeyPair.publicKey),
+        privateKey: encode(this.sendingKeyPair.privateKey),
+      },
+      remoteRatchetKey: encode(this.remoteRatchetKey),
+      sendingChainKey: encode(this.sendingChainKey),
+      receivingChainKey: encode(this.receivingChainKey),
+      sendingHeaderKey: encode(this.sendingHeaderKey),
+      receivingHeaderKey: encode(this.receivingHeaderKey),
+      nextSendingHeaderKey: encode(this.nextSendingHeaderKey),
+      nextReceivingHeaderKey: encode(this.nextReceivingHeaderKey),
+      sendCount: this.sendCount,
+      receiveCount: this.receiveCount,
+      previousSendCount: this.previousSendCount,
+      skippedKeys: Array.from(this.skippedKeys, ([id, entry]) => [
+        id,
+        {
+          headerKey: encode(entry.headerKey),
+          messageKey: encode(entry.messageKey),
+          storedAt: entry.storedAt,
+        },
+      ]),
+    };
+  }
+
+  static fromJSON(data) {
+    const decode = key => (key ? Buffer.from(key, 'base64') : null);
+
+    return new DoubleRatchet({
+      rootKey: decode(data.rootKey),
+      sendingKeyPair: {
+        publicKey: decode(data.sendingKeyPair.publicKey),
+        privateKey: decode(data.sendingKeyPair.privateKey),
+      },
+      remoteRatchetKey: decode(data.remoteRatchetKey),
+      sendingChainKey: decode(data.sendingChainKey),
+      receivingChainKey: decode(data.receivingChainKey),
+      sendingHeaderKey: decode(data.sendingHeaderKey),
+      receivingHeaderKey: decode(data.receivingHeaderKey),
+      nextSendingHeaderKey: decode(data.nextSendingHeaderKey),
+      nextReceivingHeaderKey: decode(data.nextReceivingHeaderKey),
+      sendCount: data.sendCount,
+      receiveCount: data.receiveCount,
+      previousSendCount: data.previousSendCount,
+      skippedKeys: new Map(
+        (data.skippedKeys || []).map(([id, entry]) => [
+          id,
+          {
+            headerKey: decode(entry.headerKey),
+            messageKey: decode(entry.messageKey),
+            storedAt: entry.storedAt,
+          },
+        ])
+      ),
+    });
+  }
+}
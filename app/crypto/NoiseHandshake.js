@@ -0,0 +1,313 @@
+/**
+ * KRTR Noise Handshake - Noise_XX_25519_ChaChaPoly_SHA256
+ * Mutually authenticated key agreement with identity hiding, per the Noise spec
+ *
+ *   -> e
+ *   <- e, ee, s, es
+ *   -> s, se
+ */
+
+import * as Crypto from 'expo-crypto';
+import { Buffer } from 'buffer';
+import { x25519 } from '@noble/curves/ed25519';
+import { chacha20poly1305 } from '@noble/ciphers/chacha';
+import { hkdf } from '@noble/hashes/hkdf';
+import { sha256 } from '@noble/hashes/sha256';
+import { MessageAuthenticationError } from './Aead';
+
+export const NOISE_PROTOCOL_NAME = 'Noise_XX_25519_ChaChaPoly_SHA256';
+
+const DH_LENGTH = 32;
+const TAG_LENGTH = 16;
+const MAX_NONCE = 2 ** 53 - 1;
+
+export const HandshakeRole = {
+  INITIATOR: 'initiator',
+  RESPONDER: 'responder',
+};
+
+export function generateKeyPair() {
+  const privateKey = Buffer.from(Crypto.getRandomBytes(DH_LENGTH));
+  return {
+    publicKey: Buffer.from(x25519.getPublicKey(privateKey)),
+    privateKey,
+  };
+}
+
+export function dh(keyPair, publicKey) {
+  const shared = Buffer.from(
+    x25519.getSharedSecret(keyPair.privateKey, publicKey)
+  );
+  if (shared.every(byte => byte === 0)) {
+    throw new Error('Low-order public key');
+  }
+  return shared;
+}
+
+// Noise HKDF is RFC 5869 HKDF with the chaining key as salt and empty info
+function noiseHKDF(chainingKey, inputKeyMaterial) {
+  const output = Buffer.from(
+    hkdf(sha256, inputKeyMaterial, chainingKey, new Uint8Array(0), 64)
+  );
+  return [output.subarray(0, 32), output.subarray(32, 64)];
+}
+
+export class CipherState {
+  constructor(key = null) {
+    this.key = key;
+    this.nonce = 0;
+  }
+
+  hasKey() {
+    return this.key !== null;
+  }
+
+  nonceBytes() {
+    // 32 bits of zeros followed by a little-endian 64-bit counter
+    const nonce = Buffer.alloc(12);
+    nonce.writeUInt32LE(this.nonce >>> 0, 4);
+    nonce.writeUInt32LE(Math.floor(this.nonce / 2 ** 32), 8);
+    return nonce;
+  }
+
+  encryptWithAd(associatedData, plaintext) {
+    if (!this.hasKey()) return Buffer.from(plaintext);
+    if (this.nonce >= MAX_NONCE) throw new Error('Noise nonce exhausted');
+
+    const cipher = chacha20poly1305(
+      this.key,
+      this.nonceBytes(),
+      associatedData
+    );
+    const ciphertext = Buffer.from(cipher.encrypt(plaintext));
+    this.nonce++;
+    return ciphertext;
+  }
+
+  decryptWithAd(associatedData, ciphertext) {
+    if (!this.hasKey()) return Buffer.from(ciphertext);
+    if (this.nonce >= MAX_NONCE) throw new Error('Noise nonce exhausted');
+
+    const cipher = chacha20poly1305(
+      this.key,
+      this.nonceBytes(),
+      associatedData
+    );
+
+    let plaintext;
+    try {
+      plaintext = Buffer.from(cipher.decrypt(ciphertext));
+    } catch (error) {
+      throw new MessageAuthenticationError('Noise handshake decryption failed');
+    }
+
+    this.nonce++;
+    return plaintext;
+  }
+}
+
+export class SymmetricState {
+  constructor(protocolName = NOISE_PROTOCOL_NAME) {
+    const name = Buffer.from(protocolName, 'utf8');
+    this.handshakeHash =
+      name.length <= 32
+        ? Buffer.concat([name, Buffer.alloc(32 - name.length)])
+        : Buffer.from(sha256(name));
+    this.chainingKey = Buffer.from(this.handshakeHash);
+    this.cipherState = new CipherState();
+  }
+
+  mixKey(inputKeyMaterial) {
+    const [chainingKey, tempKey] = noiseHKDF(
+      this.chainingKey,
+      inputKeyMaterial
+    );
+    this.chainingKey = chainingKey;
+    this.cipherState = new CipherState(tempKey);
+  }
+
+  mixHash(data) {
+    this.handshakeHash = Buffer.from(
+      sha256(Buffer.concat([this.handshakeHash, data]))
+    );
+  }
+
+  encryptAndHash(plaintext) {
+    const ciphertext = this.cipherState.encryptWithAd(
+      this.handshakeHash,
+      plaintext
+    );
+    this.mixHash(ciphertext);
+    return ciphertext;
+  }
+
+  decryptAndHash(ciphertext) {
+    const plaintext = this.cipherState.decryptWithAd(
+      this.handshakeHash,
+      ciphertext
+    );
+    this.mixHash(ciphertext);
+    return plaintext;
+  }
+
+  split() {
+    const [first, second] = noiseHKDF(this.chainingKey, Buffer.alloc(0));
+    return [new CipherState(first), new CipherState(second)];
+  }
+}
+
+/**
+ * One side of a Noise XX handshake
+ */
+export class NoiseHandshake {
+  /**
+   * @param {string} role - HandshakeRole.INITIATOR or RESPONDER
+   * @param {Object} staticKeyPair - Our persistent X25519 identity key pair
+   * @param {Buffer} prologue - Data both sides must agree on
+   */
+  constructor(role, staticKeyPair, prologue = Buffer.alloc(0)) {
+    this.role = role;
+    this.staticKeyPair = staticKeyPair;
+    this.ephemeralKeyPair = null;
+    this.remoteStaticKey = null;
+    this.remoteEphemeralKey = null;
+
+    this.symmetricState = new SymmetricState();
+    this.symmetricState.mixHash(prologue);
+
+    // Index of the next handshake message (0, 1, 2); 3 means complete
+    this.messageIndex = 0;
+  }
+
+  isInitiator() {
+    return this.role === HandshakeRole.INITIATOR;
+  }
+
+  isComplete() {
+    return this.messageIndex >= 3;
+  }
+
+  /**
+   * Whether the next message is ours to write
+   */
+  isOurTurn() {
+    return (this.messageIndex % 2 === 0) === this.isInitiator();
+  }
+
+  /**
+   * Produce the next handshake message
+   * @param {Buffer} payload - Application payload carried in the message
+   * @returns {Buffer} - Handshake message
+   */
+  writeMessage(payload = Buffer.alloc(0)) {
+    if (this.isComplete() || !this.isOurTurn()) {
+      throw new Error('Not our turn to write a handshake message');
+    }
+
+    const state = this.symmetricState;
+    const parts = [];
+
+    switch (this.messageIndex) {
+      case 0: // -> e
+        this.ephemeralKeyPair = generateKeyPair();
+        state.mixHash(this.ephemeralKeyPair.publicKey);
+        parts.push(this.ephemeralKeyPair.publicKey);
+        break;
+      case 1: // <- e, ee, s, es
+        this.ephemeralKeyPair = generateKeyPair();
+        state.mixHash(this.ephemeralKeyPair.publicKey);
+        parts.push(this.ephemeralKeyPair.publicKey);
+        state.mixKey(dh(this.ephemeralKeyPair, this.remoteEphemeralKey));
+        parts.push(state.encryptAndHash(this.staticKeyPair.publicKey));
+        state.mixKey(dh(this.staticKeyPair, this.remoteEphemeralKey));
+        break;
+      case 2: // -> s, se
+        parts.push(state.encryptAndHash(this.staticKeyPair.publicKey));
+        state.mixKey(dh(this.staticKeyPair, this.remoteEphemeralKey));
+        break;
+    }
+
+    parts.push(state.encryptAndHash(payload));
+    this.messageIndex++;
+
+    return Buffer.concat(parts);
+  }
+
+  /**
+   * Consume the peer's next handshake message
+   * @param {Buffer} message - Handshake message
+   * @returns {Buffer} - Decrypted payload
+   */
+  readMessage(message) {
+    if (this.isComplete() || this.isOurTurn()) {
+      throw new Error('Unexpected handshake message');
+    }
+
+    const state = this.symmetricState;
+    const encryptedStaticLength = DH_LENGTH + TAG_LENGTH;
+    let offset = 0;
+
+    const take = length => {
+      if (offset + length > message.length) {
+        throw new Error('Handshake message too short');
+      }
+      const slice = message.subarray(offset, offset + length);
+      offset += length;
+      return slice;
+    };
+
+    switch (this.messageIndex) {
+      case 0: // -> e
+        this.remoteEphemeralKey = Buffer.from(take(DH_LENGTH));
+        state.mixHash(this.remoteEphemeralKey);
+        break;
+      case 1: // <- e, ee, s, es
+        this.remoteEphemeralKey = Buffer.from(take(DH_LENGTH));
+        state.mixHash(this.remoteEphemeralKey);
+        state.mixKey(dh(this.ephemeralKeyPair, this.remoteEphemeralKey));
+        this.remoteStaticKey = state.decryptAndHash(
+          take(encryptedStaticLength)
+        );
+        state.mixKey(dh(this.ephemeralKeyPair, this.remoteStaticKey));
+        break;
+      case 2: // -> s, se
+        this.remoteStaticKey = state.decryptAndHash(
+          take(encryptedStaticLength)
+        );
+        state.mixKey(dh(this.ephemeralKeyPair, this.remoteStaticKey));
+        break;
+    }
+
+    const payload = state.decryptAndHash(message.subarray(offset));
+    this.messageIndex++;
+
+    return payload;
+  }
+
+  /**
+   * Derive transport keys once the handshake is complete
+   * @returns {Object} - {sendKey, receiveKey, handshakeHash, remoteStaticKey,
+   *   ephemeralKeyPair, remoteEphemeralKey}
+   */
+  finalize() {
+    if (!this.isComplete()) {
+      throw new Error('Handshake not complete');
+    }
+
+    const [initiatorToResponder, responderToInitiator] =
+      this.symmetricState.split();
+
+    return {
+      sendKey: this.isInitiator()
+        ? initiatorToResponder.key
+        : responderToInitiator.key,
+      receiveKey: this.isInitiator()
+        ? responderToInitiator.key
+        : initiatorToResponder.key,
+      handshakeHash: Buffer.from(this.symmetricState.handshakeHash),
+      remoteStaticKey: this.remoteStaticKey,
+      ephemeralKeyPair: this.ephemeralKeyPair,
+      remoteEphemeralKey: this.remoteEphemeralKey,
+    };
+  }
+}
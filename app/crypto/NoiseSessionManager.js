@@ -0,0 +1,339 @@
+/**
+ * KRTR Noise Session Manager - Per-peer Noise XX handshake state machine
+ * Drives KEY_EXCHANGE messages, handles timeouts and retries, and installs
+ * the resulting transport keys in the crypto service
+ */
+
+import { Buffer } from 'buffer';
+import { ed25519 } from '@noble/curves/ed25519';
+import { NoiseHandshake, HandshakeRole } from './NoiseHandshake';
+import { derivePeerID } from './PeerIdentity';
+
+// KEY_EXCHANGE payload: stage (1) + Noise handshake message
+export const HandshakeStage = {
+  INITIATE: 1, // -> e
+  RESPOND: 2, // <- e, ee, s, es
+  FINALIZE: 3, // -> s, se
+};
+
+// Signed statement binding our Ed25519 signing key to the Noise static key
+const IDENTITY_BINDING_CONTEXT = Buffer.from('krtr-noise-identity-v1', 'utf8');
+const SIGNING_KEY_LENGTH = 32;
+const SIGNATURE_LENGTH = 64;
+
+export const SessionState = {
+  HANDSHAKING: 'handshaking',
+  ESTABLISHED: 'established',
+  FAILED: 'failed',
+};
+
+export class NoiseSessionManager {
+  /**
+   * @param {SimpleCryptoService} cryptoService - Holds identity keys and sessions
+   * @param {Function} sendHandshakeMessage - (peerID, payload: Buffer) => Promise
+   */
+  constructor(cryptoService, sendHandshakeMessage) {
+    this.cryptoService = cryptoService;
+    this.sendHandshakeMessage = sendHandshakeMessage;
+
+    // Callbacks
+    this.onSessionEstablished = null; // (peerID, session) => void
+    this.onHandshakeFailed = null; // (peerID, error) => void
+
+    // Timing
+    this.handshakeTimeout = 10 * 1000; // 10 seconds per attempt
+    this.maxRetries = 3;
+    this.retryBackoff = 2 * 1000; // doubled on each retry
+
+    this.handshakes = new Map(); // peerID -> {handshake, timer, attempts}
+    this.retryTimers = new Map(); // peerID -> backoff timer before a retry
+    this.sessionStates = new Map(); // peerID -> SessionState
+  }
+
+  /**
+   * Start a handshake with a peer unless one is running or already done
+   * @param {string} peerID - Peer to authenticate with
+   * @param {boolean} force - Re-key even if a session exists
+   */
+  async initiateHandshake(peerID, force = false) {
+    if (this.handshakes.has(peerID)) return;
+    if (!force && this.getSessionState(peerID) === SessionState.ESTABLISHED) {
+      return;
+    }
+
+    await this.startAttempt(peerID, 1);
+  }
+
+  async startAttempt(peerID, attempt) {
+    const handshake = new NoiseHandshake(
+      HandshakeRole.INITIATOR,
+      this.cryptoService.identityKeyPair
+    );
+    this.trackHandshake(peerID, handshake, attempt);
+
+    const message = handshake.writeMessage();
+    await this.send(peerID, HandshakeStage.INITIATE, message);
+    console.log(
+      `[KRTR Noise] Sent handshake to ${peerID} (attempt ${attempt}/${
+        this.maxRetries + 1
+      })`
+    );
+  }
+
+  /**
+   * Process a KEY_EXCHANGE payload from a peer
+   * @param {string} peerID - Sending peer
+   * @param {Buffer} payload - Stage byte + Noise message
+   */
+  async handleHandshakeMessage(peerID, payload) {
+    if (!payload || payload.length < 1) {
+      throw new Error('Empty handshake message');
+    }
+
+    const stage = payload[0];
+    const message = payload.subarray(1);
+
+    try {
+      switch (stage) {
+        case HandshakeStage.INITIATE:
+          await this.handleInitiate(peerID, message);
+          break;
+        case HandshakeStage.RESPOND:
+          await this.handleRespond(peerID, message);
+          break;
+        case HandshakeStage.FINALIZE:
+          await this.handleFinalize(peerID, message);
+          break;
+        default:
+          throw new Error(`Unknown handshake stage: ${stage}`);
+      }
+    } catch (error) {
+      console.error(`[KRTR Noise] Handshake error with ${peerID}:`, error);
+      this.fail(peerID, error);
+    }
+  }
+
+  async handleInitiate(peerID, message) {
+    const existing = this.handshakes.get(peerID);
+
+    // Both sides initiated at once: the lower peer ID keeps the initiator role
+    if (existing && existing.handshake.isInitiator()) {
+      if (this.cryptoService.getShortID() < peerID) {
+        console.log(`[KRTR Noise] Ignoring crossed handshake from ${peerID}`);
+        return;
+      }
+    }
+
+    const handshake = new NoiseHandshake(
+      HandshakeRole.RESPONDER,
+      this.cryptoService.identityKeyPair
+    );
+    handshake.readMessage(message);
+    this.trackHandshake(peerID, handshake, existing?.attempts || 1);
+
+    const response = handshake.writeMessage(this.createIdentityPayload());
+    await this.send(peerID, HandshakeStage.RESPOND, response);
+  }
+
+  async handleRespond(peerID, message) {
+    const entry = this.expectHandshake(peerID, HandshakeRole.INITIATOR);
+
+    const payload = entry.handshake.readMessage(message);
+    const signingKey = this.verifyIdentityPayload(
+      payload,
+      entry.handshake.remoteStaticKey
+    );
+    this.verifyPeerID(peerID, entry.handshake.remoteStaticKey, signingKey);
+
+    const finalMessage = entry.handshake.writeMessage(
+      this.createIdentityPayload()
+    );
+    await this.send(peerID, HandshakeStage.FINALIZE, finalMessage);
+
+    await this.complete(peerID, entry.handshake, signingKey);
+  }
+
+  async handleFinalize(peerID, message) {
+    const entry = this.expectHandshake(peerID, HandshakeRole.RESPONDER);
+
+    const payload = entry.handshake.readMessage(message);
+    const signingKey = this.verifyIdentityPayload(
+      payload,
+      entry.handshake.remoteStaticKey
+    );
+    this.verifyPeerID(peerID, entry.handshake.remoteStaticKey, signingKey);
+
+    await this.complete(peerID, entry.handshake, signingKey);
+  }
+
+  expectHandshake(peerID, role) {
+    const entry = this.handshakes.get(peerID);
+    if (!entry || entry.handshake.role !== role) {
+      throw new Error(`No ${role} handshake in progress with ${peerID}`);
+    }
+    return entry;
+  }
+
+  /**
+   * Payload for messages 2 and 3: our Ed25519 key and its signature over
+   * our Noise static key, so peers learn a signing key bound to our identity
+   */
+  createIdentityPayload() {
+    const { signingKeyPair, identityKeyPair } = this.cryptoService;
+    const signature = ed25519.sign(
+      Buffer.concat([IDENTITY_BINDING_CONTEXT, identityKeyPair.publicKey]),
+      signingKeyPair.privateKey
+    );
+
+    return Buffer.concat([signingKeyPair.publicKey, Buffer.from(signature)]);
+  }
+
+  /**
+   * Peer IDs are derived from the identity keys, so the static key a peer
+   * proves in the handshake and the signing key it binds to it must hash to
+   * the ID it is using
+   */
+  verifyPeerID(peerID, remoteStaticKey, signingKey) {
+    if (derivePeerID(remoteStaticKey, signingKey) !== peerID) {
+      throw new Error(`Handshake identity does not match peer ID ${peerID}`);
+    }
+  }
+
+  verifyIdentityPayload(payload, remoteStaticKey) {
+    if (payload.length !== SIGNING_KEY_LENGTH + SIGNATURE_LENGTH) {
+      throw new Error('Invalid handshake identity payload');
+    }
+
+    const signingKey = Buffer.from(payload.subarray(0, SIGNING_KEY_LENGTH));
+    const signature = payload.subarray(SIGNING_KEY_LENGTH);
+    const valid = ed25519.verify(
+      signature,
+      Buffer.concat([IDENTITY_BINDING_CONTEXT, remoteStaticKey]),
+      signingKey
+    );
+
+    if (!valid) {
+      throw new Error('Handshake identity signature invalid');
+    }
+    return signingKey;
+  }
+
+  async complete(peerID, handshake, remoteSigningKey) {
+    this.clearHandshake(peerID);
+
+    const session = {
+      ...handshake.finalize(),
+      remoteSigningKey,
+      isInitiator: handshake.isInitiator(),
+    };
+
+    await this.cryptoService.establishSession(peerID, session);
+    this.sessionStates.set(peerID, SessionState.ESTABLISHED);
+
+    console.log(`[KRTR Noise] Session established with ${peerID}`);
+    this.onSessionEstablished?.(peerID, session);
+  }
+
+  fail(peerID, error) {
+    this.clearHandshake(peerID);
+    this.sessionStates.set(peerID, SessionState.FAILED);
+    this.onHandshakeFailed?.(peerID, error);
+  }
+
+  // Timeouts and retries
+
+  trackHandshake(peerID, handshake, attempts) {
+    this.clearHandshake(peerID);
+    this.clearRetry(peerID);
+
+    const timer = setTimeout(() => {
+      this.handleTimeout(peerID);
+    }, this.handshakeTimeout);
+
+    this.handshakes.set(peerID, { handshake, timer, attempts });
+    this.sessionStates.set(peerID, SessionState.HANDSHAKING);
+  }
+
+  clearHandshake(peerID) {
+    const entry = this.handshakes.get(peerID);
+    if (entry) {
+      clearTimeout(entry.timer);
+      this.handshakes.delete(peerID);
+    }
+  }
+
+  clearRetry(peerID) {
+    const timer = this.retryTimers.get(peerID);
+    if (timer) {
+      clearTimeout(timer);
+      this.retryTimers.delete(peerID);
+    }
+  }
+
+  handleTimeout(peerID) {
+    const entry = this.handshakes.get(peerID);
+    if (!entry) return;
+
+    this.handshakes.delete(peerID);
+
+    // Responders just forget the attempt; the initiator drives retries
+    if (!entry.handshake.isInitiator()) {
+      this.sessionStates.delete(peerID);
+      return;
+    }
+
+    if (entry.attempts > this.maxRetries) {
+      console.warn(`[KRTR Noise] Handshake with ${peerID} timed out`);
+      this.fail(peerID, new Error('Handshake timed out'));
+      return;
+    }
+
+    const backoff = this.retryBackoff * 2 ** (entry.attempts - 1);
+    this.sessionStates.set(peerID, SessionState.HANDSHAKING);
+
+    // A handshake started during the backoff (ours, or a crossed INITIATE
+    // we answered) clears this timer through trackHandshake
+    const timer = setTimeout(() => {
+      this.retryTimers.delete(peerID);
+      if (this.handshakes.has(peerID)) return;
+      if (this.getSessionState(peerID) === SessionState.ESTABLISHED) return;
+
+      this.startAttempt(peerID, entry.attempts + 1).catch(error => {
+        console.error(`[KRTR Noise] Handshake retry error:`, error);
+      });
+    }, backoff);
+    this.retryTimers.set(peerID, timer);
+  }
+
+  async send(peerID, stage, message) {
+    await this.sendHandshakeMessage(
+      peerID,
+      Buffer.concat([Buffer.from([stage]), message])
+    );
+  }
+
+  // Public API
+
+  getSessionState(peerID) {
+    return this.sessionStates.get(peerID) || null;
+  }
+
+  hasSession(peerID) {
+    return this.getSessionState(peerID) === SessionState.ESTABLISHED;
+  }
+
+  removePeer(peerID) {
+    this.clearHandshake(peerID);
+    this.clearRetry(peerID);
+    this.sessionStates.delete(peerID);
+  }
+
+  destroy() {
+    for (const peerID of Array.from(this.handshakes.keys())) {
+      this.clearHandshake(peerID);
+    }
+    for (const peerID of Array.from(this.retryTimers.keys())) {
+      this.clearRetry(peerID);
+    }
+  }
+}
@@ -0,0 +1,167 @@
+/**
+ * KRTR Peer Identity - Peer IDs derived from the persistent identity keys
+ * The fingerprint is SHA-256 over the X25519 identity key and the Ed25519
+ * signing key, and a peer ID is its first 8 bytes. Both keys are stable
+ * across sessions, and an announcement is self-certifying: swapping in a
+ * different signing key yields a different peer ID.
+ */
+
+import { Buffer } from 'buffer';
+import { sha256 } from '@noble/hashes/sha256';
+
+export const PEER_ID_BYTES = 8; // Fills the packet's 8-byte ID slots
+export const DISPLAY_ID_BYTES = 4;
+export const LEGACY_ID_LENGTH = 8; // UTF-8 bytes in a v1 ID slot
+
+const PEER_ID_PATTERN = /^[0-9a-f]{16}$/;
+
+/**
+ * @param {Buffer} identityPublicKey - X25519 identity public key
+ * @param {Buffer} signingPublicKey - Ed25519 signing public key
+ * @returns {string} - 16 hex character peer ID
+ */
+export function derivePeerID(identityPublicKey, signingPublicKey) {
+  return fingerprintOf(identityPublicKey, signingPublicKey).substring(
+    0,
+    PEER_ID_BYTES * 2
+  );
+}
+
+export function isPeerID(value) {
+  return typeof value === 'string' && PEER_ID_PATTERN.test(value);
+}
+
+/**
+ * Short form for UIs and logs; not unique, see PeerIdentityRegistry.getDisplayID
+ */
+export function toDisplayID(peerID) {
+  return peerID.substring(0, DISPLAY_ID_BYTES * 2);
+}
+
+/**
+ * How v1 nodes name a peer: they copy IDs into the 8-byte slot as UTF-8, so
+ * a derived ID reaches them as its first 8 hex characters
+ */
+export function toLegacyID(peerID) {
+  return peerID.substring(0, LEGACY_ID_LENGTH);
+}
+
+export function fingerprintOf(identityPublicKey, signingPublicKey) {
+  return Buffer.from(
+    sha256(Buffer.concat([identityPublicKey, signingPublicKey]))
+  ).toString('hex');
+}
+
+/**
+ * Maps 8-byte peer IDs to the full identities behind them and flags
+ * collisions, both on the wire ID and on the short display form. v1 IDs
+ * are mapped to the peer IDs they stand for.
+ */
+export class PeerIdentityRegistry {
+  constructor() {
+    this.identities = new Map(); // peerID -> {identityKey, signingKey, fingerprint, verified, lastSeen}
+    this.collisions = new Map(); // peerID -> Set of fingerprints
+    this.legacyIDs = new Map(); // v1 ID -> peerID
+
+    // Callbacks
+    this.onCollision = null; // (peerID, fingerprints[]) => void
+  }
+
+  /**
+   * Record the identity behind a peer ID
+   * @param {string} peerID - Claimed peer ID
+   * @param {Object} identity - {identityKey, signingKey, verified}; verified
+   *   when a handshake proved the identity key
+   * @returns {boolean} - False if the keys don't derive to the ID or collide
+   */
+  register(peerID, { identityKey, signingKey, verified = false }) {
+    if (!signingKey || derivePeerID(identityKey, signingKey) !== peerID) {
+      console.warn(`[KRTR Identity] Identity keys do not match ${peerID}`);
+      return false;
+    }
+
+    const fingerprint = fingerprintOf(identityKey, signingKey);
+    const existing = this.identities.get(peerID);
+
+    if (existing && existing.fingerprint !== fingerprint) {
+      // Two keys with the same 64-bit prefix: keep the first, report both
+      const fingerprints = this.collisions.get(peerID) || new Set();
+      fingerprints.add(existing.fingerprint);
+      fingerprints.add(fingerprint);
+      this.collisions.set(peerID, fingerprints);
+
+      console.warn(`[KRTR Identity] Peer ID collision on ${peerID}`);
+      this.onCollision?.(peerID, Array.from(fingerprints));
+      return false;
+    }
+
+    // The fingerprint covers both keys, so a matching one can't bring a
+    // different signing key with it
+    this.identities.set(peerID, {
+      identityKey,
+      signingKey,
+      fingerprint,
+      verified: verified || !!existing?.verified,
+      lastSeen: Date.now(),
+    });
+    this.registerLegacyID(toLegacyID(peerID), peerID);
+    return true;
+  }
+
+  /**
+   * Record the peer a v1 ID stands for
+   * @returns {boolean} - False if the v1 ID already stands for another peer
+   */
+  registerLegacyID(legacyID, peerID) {
+    const existing = this.legacyIDs.get(legacyID);
+    if (existing && existing !== peerID) {
+      // Only 32 bits of the peer ID survive in a v1 slot; keep the first
+      console.warn(`[KRTR Identity] Legacy ID ${legacyID} is ambiguous`);
+      return false;
+    }
+
+    this.legacyIDs.set(legacyID, peerID);
+    return true;
+  }
+
+  resolveLegacyID(legacyID) {
+    return this.legacyIDs.get(legacyID) || null;
+  }
+
+  resolve(peerID) {
+    const identity = this.identities.get(peerID);
+    return identity ? { peerID, ...identity } : null;
+  }
+
+  resolveFingerprint(fingerprint) {
+    for (const [peerID, identity] of this.identities) {
+      if (identity.fingerprint === fingerprint) return peerID;
+    }
+    return null;
+  }
+
+  hasCollision(peerID) {
+    return this.collisions.has(peerID);
+  }
+
+  /**
+   * Shortest display form that doesn't clash with another known peer
+   */
+  getDisplayID(peerID) {
+    const displayID = toDisplayID(peerID);
+    for (const other of this.identities.keys()) {
+      if (other !== peerID && toDisplayID(other) === displayID) {
+        return peerID;
+      }
+    }
+    return displayID;
+  }
+
+  remove(peerID) {
+    this.identities.delete(peerID);
+    this.collisions.delete(peerID);
+    for (const [legacyID, mapped] of this.legacyIDs) {
+      if (mapped === peerID) this.legacyIDs.delete(legacyID);
+    }
+  }
+}
@@ -1,32 +1,94 @@
 /**
  * KRTR Simple Crypto Service - Expo-compatible encryption implementation
- * Uses expo-crypto and Web Crypto API for cross-platform compatibility
+ * X25519 key agreement, Ed25519 signatures, HKDF-derived session keys and
+ * XChaCha20-Poly1305 authenticated encryption
  */
 
 import * as Crypto from 'expo-crypto';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Buffer } from 'buffer';
+import { ed25519, x25519 } from '@noble/curves/ed25519';
+import { hkdf } from '@noble/hashes/hkdf';
+import { hmac } from '@noble/hashes/hmac';
+import { pbkdf2Async } from '@noble/hashes/pbkdf2';
+import { sha256 } from '@noble/hashes/sha256';
+import { seal, open, MessageAuthenticationError } from './Aead';
+import {
+  PeerIdentityRegistry,
+  derivePeerID,
+  fingerprintOf,
+} from './PeerIdentity';
+import {
+  DoubleRatchet,
+  deriveRatchetSecrets,
+  isRatchetEnvelope,
+} from './DoubleRatchet';
+
+// HKDF context for per-peer session keys
+const SESSION_KEY_INFO = 'krtr-session-v1';
+// HKDF context for the at-rest key sealing ratchet sessions
+const RATCHET_STORAGE_KEY_INFO = 'krtr-ratchet-store-v1';
+// Superseded ratchets kept per peer so delayed store-and-forward traffic decrypts
+const MAX_PREVIOUS_RATCHETS = 2;
+
+// Channel keys: PBKDF2-SHA256 over the password with an announced per-channel salt
+export const CHANNEL_KDF = 'pbkdf2-sha256';
+export const CHANNEL_KDF_ITERATIONS = 100000;
+// Iteration counts arrive in unauthenticated announcements, and PBKDF2 blocks
+// the JS thread for its whole run; anything above this is refused
+export const CHANNEL_KDF_MAX_ITERATIONS = 400000;
+const CHANNEL_SALT_LENGTH = 16;
+const CHANNEL_KEY_COMMITMENT_INFO = 'krtr-channel-commitment-v1';
+// Channel envelope: key epoch (4) + AEAD envelope
+const CHANNEL_EPOCH_LENGTH = 4;
+
+function toBuffer(data) {
+  if (Buffer.isBuffer(data)) return data;
+  if (typeof data === 'string') return Buffer.from(data, 'utf8');
+  return Buffer.from(data);
+}
 
 export class SimpleCryptoService {
-  constructor() {
-    // Simple key pairs using random bytes
+  constructor({ storagePrefix = 'krtr' } = {}) {
+    // Ephemeral X25519 key pair for this session
     this.keyPair = null;
+    // Persistent X25519 identity key and Ed25519 signing key
     this.identityKeyPair = null;
-    
+    this.signingKeyPair = null;
+
+    // Namespaces persisted keys so several instances can share one store
+    this.identityStorageKey = `${storagePrefix}_identity_key`;
+    this.ratchetStoragePrefix = `${storagePrefix}_ratchet_`;
+    this.channelKeyStorageKey = `${storagePrefix}_channel_keys`;
+
     // Peer storage
-    this.peerPublicKeys = new Map();
-    this.sharedSecrets = new Map();
-    
-    this.initialize();
+    this.peerPublicKeys = new Map(); // peerID -> X25519 ephemeral key
+    this.peerSigningKeys = new Map(); // peerID -> Ed25519 public key
+    this.peerIdentityKeys = new Map(); // peerID -> X25519 identity key
+    this.sessionKeys = new Map(); // peerID -> {sendKey, receiveKey}
+    this.handshakeHashes = new Map(); // peerID -> Noise handshake hash
+    this.peerIdentities = new PeerIdentityRegistry(); // peerID -> full identity
+    this.ratchetSessions = new Map(); // peerID -> {identityKey, current, previous}
+
+    // channelName -> {currentEpoch, epochs: Map(epoch -> {key, salt, iterations, retiredAt})}
+    this.channelKeys = new Map();
+    // How long messages under a rotated-out channel key still decrypt
+    this.channelKeyGraceWindow = 24 * 60 * 60 * 1000; // 24 hours
+
+    this.ready = this.initialize();
   }
 
   async initialize() {
     try {
       // Generate ephemeral keys for this session
       await this.generateEphemeralKeys();
-      
+
       // Load or create persistent identity key
       await this.loadOrCreateIdentityKey();
-      
+
+      // Restore channel keys so joined channels survive restarts
+      await this.loadChannelKeys();
+
       console.log('[KRTR Crypto] Simple crypto service initialized');
     } catch (error) {
       console.error('[KRTR Crypto] Initialization error:', error);
@@ -36,19 +98,13 @@ export class SimpleCryptoService {
 
   async generateEphemeralKeys() {
     try {
-      // Generate 32-byte keys using expo-crypto
-      const privateKey = await Crypto.getRandomBytesAsync(32);
-      const publicKey = await Crypto.digestStringAsync(
-        Crypto.CryptoDigestAlgorithm.SHA256,
-        privateKey.toString(),
-        { encoding: Crypto.CryptoEncoding.HEX }
-      );
-      
+      const privateKey = Buffer.from(await Crypto.getRandomBytesAsync(32));
+
       this.keyPair = {
-        publicKey: Buffer.from(publicKey, 'hex'),
-        privateKey: Buffer.from(privateKey)
+        publicKey: Buffer.from(x25519.getPublicKey(privateKey)),
+        privateKey,
       };
-      
+
       console.log('[KRTR Crypto] Generated ephemeral keys');
     } catch (error) {
       console.error('[KRTR Crypto] Key generation error:', error);
@@ -58,36 +114,45 @@ export class SimpleCryptoService {
 
   async loadOrCreateIdentityKey() {
     try {
-      const keyData = await AsyncStorage.getItem('krtr_identity_key');
-      
+      const keyData = await AsyncStorage.getItem(this.identityStorageKey);
+
       if (keyData) {
         const parsed = JSON.parse(keyData);
+        const privateKey = Buffer.from(parsed.privateKey, 'base64');
+
+        // Public keys are always recomputed: identities stored before the
+        // switch to X25519 hold a hash in place of a real public key
         this.identityKeyPair = {
-          publicKey: Buffer.from(parsed.publicKey, 'base64'),
-          privateKey: Buffer.from(parsed.privateKey, 'base64'),
+          publicKey: Buffer.from(x25519.getPublicKey(privateKey)),
+          privateKey,
         };
+
+        if (parsed.signingPrivateKey) {
+          const signingPrivateKey = Buffer.from(
+            parsed.signingPrivateKey,
+            'base64'
+          );
+          this.signingKeyPair = {
+            publicKey: Buffer.from(ed25519.getPublicKey(signingPrivateKey)),
+            privateKey: signingPrivateKey,
+          };
+        } else {
+          await this.generateSigningKey();
+          await this.saveIdentityKey();
+        }
+
         console.log('[KRTR Crypto] Loaded existing identity key');
       } else {
         // Create new identity key
-        const privateKey = await Crypto.getRandomBytesAsync(32);
-        const publicKey = await Crypto.digestStringAsync(
-          Crypto.CryptoDigestAlgorithm.SHA256,
-          privateKey.toString(),
-          { encoding: Crypto.CryptoEncoding.HEX }
-        );
-        
+        const privateKey = Buffer.from(await Crypto.getRandomBytesAsync(32));
+
         this.identityKeyPair = {
-          publicKey: Buffer.from(publicKey, 'hex'),
-          privateKey: Buffer.from(privateKey)
+          publicKey: Buffer.from(x25519.getPublicKey(privateKey)),
+          privateKey,
         };
-        
-        // Save to storage
-        const keyData = {
-          publicKey: this.identityKeyPair.publicKey.toString('base64'),
-          privateKey: this.identityKeyPair.privateKey.toString('base64'),
-        };
-        
-        await AsyncStorage.setItem('krtr_identity_key', JSON.stringify(keyData));
+
+        await this.generateSigningKey();
+        await this.saveIdentityKey();
         console.log('[KRTR Crypto] Created new identity key');
       }
     } catch (error) {
@@ -96,35 +161,86 @@ export class SimpleCryptoService {
     }
   }
 
+  async generateSigningKey() {
+    const privateKey = Buffer.from(await Crypto.getRandomBytesAsync(32));
+
+    this.signingKeyPair = {
+      publicKey: Buffer.from(ed25519.getPublicKey(privateKey)),
+      privateKey,
+    };
+  }
+
+  async saveIdentityKey() {
+    const keyData = {
+      publicKey: this.identityKeyPair.publicKey.toString('base64'),
+      privateKey: this.identityKeyPair.privateKey.toString('base64'),
+      signingPublicKey: this.signingKeyPair.publicKey.toString('base64'),
+      signingPrivateKey: this.signingKeyPair.privateKey.toString('base64'),
+    };
+
+    await AsyncStorage.setItem(
+      this.identityStorageKey,
+      JSON.stringify(keyData)
+    );
+  }
+
   generateShortID() {
-    // Create short ID from public key hash
-    const hash = this.keyPair.publicKey.toString('hex');
-    return hash.substring(0, 8);
+    // 8-byte peer ID from the identity keys' hash, stable across sessions
+    return derivePeerID(
+      this.identityKeyPair.publicKey,
+      this.signingKeyPair.publicKey
+    );
+  }
+
+  getShortID() {
+    if (!this.identityKeyPair) {
+      throw new Error('Crypto service not initialized');
+    }
+    return this.generateShortID();
+  }
+
+  getDisplayID() {
+    return this.peerIdentities.getDisplayID(this.getShortID());
   }
 
   getCombinedPublicKeyData() {
-    // Return combined public key data
     return {
       encryptionKey: this.keyPair.publicKey,
-      signingKey: this.keyPair.publicKey, // Simplified: same key for both
+      signingKey: this.signingKeyPair.publicKey,
       identityKey: this.identityKeyPair.publicKey,
     };
   }
 
   async addPeer(peerID, publicKeyData) {
     try {
-      const { encryptionKey, signingKey, identityKey } = publicKeyData;
-      
-      // Store peer keys
+      const encryptionKey = toBuffer(publicKeyData.encryptionKey);
+      const signingKey = toBuffer(publicKeyData.signingKey);
+      const identityKey = publicKeyData.identityKey
+        ? toBuffer(publicKeyData.identityKey)
+        : null;
+
+      if (encryptionKey.length !== 32 || signingKey.length !== 32) {
+        throw new Error(`Invalid public key length from peer: ${peerID}`);
+      }
+
+      // X25519 ECDH between our ephemeral key and the peer's
+      const sharedSecret = Buffer.from(
+        x25519.getSharedSecret(this.keyPair.privateKey, encryptionKey)
+      );
+      if (sharedSecret.every(byte => byte === 0)) {
+        throw new Error(`Low-order public key from peer: ${peerID}`);
+      }
+
       this.peerPublicKeys.set(peerID, encryptionKey);
-      
-      // Generate simple shared secret using XOR (simplified)
-      const sharedSecret = Buffer.alloc(32);
-      for (let i = 0; i < 32; i++) {
-        sharedSecret[i] = this.keyPair.privateKey[i] ^ encryptionKey[i % encryptionKey.length];
+      this.peerSigningKeys.set(peerID, signingKey);
+      if (identityKey) {
+        this.peerIdentityKeys.set(peerID, identityKey);
       }
-      this.sharedSecrets.set(peerID, sharedSecret);
-      
+      this.sessionKeys.set(
+        peerID,
+        this.deriveSessionKeys(sharedSecret, encryptionKey)
+      );
+
       console.log(`[KRTR Crypto] Added peer: ${peerID}`);
     } catch (error) {
       console.error('[KRTR Crypto] Add peer error:', error);
@@ -132,148 +248,555 @@ export class SimpleCryptoService {
     }
   }
 
-  async encrypt(data, peerID) {
+  /**
+   * Install transport keys from a completed Noise handshake and seed a
+   * Double Ratchet session for private messages
+   * @param {string} peerID - Authenticated peer
+   * @param {Object} session - {sendKey, receiveKey, remoteStaticKey,
+   *   remoteSigningKey, handshakeHash, isInitiator}
+   */
+  async establishSession(peerID, session) {
+    this.sessionKeys.set(peerID, {
+      sendKey: session.sendKey,
+      receiveKey: session.receiveKey,
+    });
+    this.peerIdentityKeys.set(peerID, session.remoteStaticKey);
+    this.peerSigningKeys.set(peerID, session.remoteSigningKey);
+    this.handshakeHashes.set(peerID, session.handshakeHash);
+    this.peerIdentities.register(peerID, {
+      identityKey: session.remoteStaticKey,
+      signingKey: session.remoteSigningKey,
+      verified: true,
+    });
+
+    // The responder's handshake ephemeral doubles as its initial ratchet key
+    const secrets = deriveRatchetSecrets(session);
+    const ratchet = session.isInitiator
+      ? DoubleRatchet.initAsInitiator(secrets, session.remoteEphemeralKey)
+      : DoubleRatchet.initAsResponder(secrets, session.ephemeralKeyPair);
+
+    // Keep the old ratchet for the same identity so cached messages decrypt
+    const existing = await this.loadRatchetSession(peerID);
+    const previous =
+      existing && existing.identityKey.equals(session.remoteStaticKey)
+        ? [existing.current, ...existing.previous].slice(
+            0,
+            MAX_PREVIOUS_RATCHETS
+          )
+        : [];
+
+    this.ratchetSessions.set(peerID, {
+      identityKey: session.remoteStaticKey,
+      current: ratchet,
+      previous,
+    });
+    await this.saveRatchetSession(peerID);
+
+    console.log(`[KRTR Crypto] Established session with peer: ${peerID}`);
+  }
+
+  hasSession(peerID) {
+    return this.sessionKeys.has(peerID) || this.ratchetSessions.has(peerID);
+  }
+
+  /**
+   * Drop a disconnected peer's live session state. Signing and identity keys
+   * stay for verifying its relayed traffic, and the stored ratchet is reloaded
+   * on demand so cached messages still decrypt.
+   */
+  removePeer(peerID) {
+    this.peerPublicKeys.delete(peerID);
+    this.sessionKeys.delete(peerID);
+    this.handshakeHashes.delete(peerID);
+    this.ratchetSessions.delete(peerID);
+  }
+
+  async loadRatchetSession(peerID) {
+    if (this.ratchetSessions.has(peerID)) {
+      return this.ratchetSessions.get(peerID);
+    }
+
+    const storageKey = this.ratchetStoragePrefix + peerID;
+    const data = await AsyncStorage.getItem(storageKey);
+    if (!data) return null;
+
+    let parsed;
     try {
-      const sharedSecret = this.sharedSecrets.get(peerID);
-      if (!sharedSecret) {
-        throw new Error(`No shared secret for peer: ${peerID}`);
+      parsed = JSON.parse(this.openStoredRecord(storageKey, data));
+    } catch (error) {
+      // Sealed under an earlier identity, or damaged: re-key instead
+      if (!(error instanceof MessageAuthenticationError)) {
+        console.error(
+          `[KRTR Crypto] Bad ratchet session for ${peerID}:`,
+          error
+        );
       }
+      await AsyncStorage.removeItem(storageKey);
+      return null;
+    }
 
-      // Simple XOR encryption (for demo purposes)
-      const encrypted = Buffer.alloc(data.length);
-      for (let i = 0; i < data.length; i++) {
-        encrypted[i] = data[i] ^ sharedSecret[i % sharedSecret.length];
+    const record = {
+      identityKey: Buffer.from(parsed.identityKey, 'base64'),
+      current: DoubleRatchet.fromJSON(parsed.current),
+      previous: parsed.previous.map(state => DoubleRatchet.fromJSON(state)),
+    };
+    this.ratchetSessions.set(peerID, record);
+    return record;
+  }
+
+  async saveRatchetSession(peerID) {
+    const record = this.ratchetSessions.get(peerID);
+    if (!record) return;
+
+    const storageKey = this.ratchetStoragePrefix + peerID;
+    await AsyncStorage.setItem(
+      storageKey,
+      this.sealStoredRecord(
+        storageKey,
+        JSON.stringify({
+          identityKey: record.identityKey.toString('base64'),
+          current: record.current.toJSON(),
+          previous: record.previous.map(ratchet => ratchet.toJSON()),
+        })
+      )
+    );
+  }
+
+  // Ratchet sessions are sealed at rest like MessageStore records, bound to
+  // the storage key so a record can't be moved to another peer
+
+  sealStoredRecord(storageKey, json) {
+    return seal(
+      this.deriveStorageKey(RATCHET_STORAGE_KEY_INFO),
+      Buffer.from(json, 'utf8'),
+      Buffer.from(storageKey, 'utf8')
+    ).toString('base64');
+  }
+
+  openStoredRecord(storageKey, value) {
+    return open(
+      this.deriveStorageKey(RATCHET_STORAGE_KEY_INFO),
+      Buffer.from(value, 'base64'),
+      Buffer.from(storageKey, 'utf8')
+    ).toString('utf8');
+  }
+
+  /**
+   * Derive one key per direction from the ECDH output
+   * @param {Buffer} sharedSecret - X25519 shared secret
+   * @param {Buffer} peerPublicKey - Peer's ephemeral public key
+   * @returns {Object} - {sendKey, receiveKey}
+   */
+  deriveSessionKeys(sharedSecret, peerPublicKey) {
+    // Order the public keys so both sides compute the same salt and split
+    const weAreLower =
+      Buffer.compare(this.keyPair.publicKey, peerPublicKey) < 0;
+    const salt = weAreLower
+      ? Buffer.concat([this.keyPair.publicKey, peerPublicKey])
+      : Buffer.concat([peerPublicKey, this.keyPair.publicKey]);
+
+    const okm = Buffer.from(
+      hkdf(sha256, sharedSecret, salt, SESSION_KEY_INFO, 64)
+    );
+    const lowerToHigher = okm.subarray(0, 32);
+    const higherToLower = okm.subarray(32, 64);
+
+    return weAreLower
+      ? { sendKey: lowerToHigher, receiveKey: higherToLower }
+      : { sendKey: higherToLower, receiveKey: lowerToHigher };
+  }
+
+  /**
+   * Whether encrypt() has a ratchet or transport key for the peer
+   */
+  async canEncryptFor(peerID) {
+    const record = await this.loadRatchetSession(peerID);
+    return !!record?.current.canEncrypt() || this.sessionKeys.has(peerID);
+  }
+
+  /**
+   * Encrypt for a peer, advancing the Double Ratchet when it can send.
+   * A responder can't ratchet until the initiator's first message arrives,
+   * so until then the Noise transport key is used.
+   * @param {Buffer} data - Plaintext
+   * @param {string} peerID - Recipient
+   * @param {Buffer|null} associatedData - Authenticated context, e.g. the packet header
+   * @returns {Promise<Buffer>} - Ratchet or AEAD envelope
+   */
+  async encrypt(data, peerID, associatedData = null) {
+    try {
+      const record = await this.loadRatchetSession(peerID);
+      if (record?.current.canEncrypt()) {
+        const envelope = record.current.encrypt(toBuffer(data), associatedData);
+        await this.saveRatchetSession(peerID);
+        return envelope;
+      }
+
+      const session = this.sessionKeys.get(peerID);
+      if (!session) {
+        throw new Error(`No shared secret for peer: ${peerID}`);
       }
 
-      // Add random nonce
-      const nonce = await Crypto.getRandomBytesAsync(16);
-      const result = Buffer.concat([Buffer.from(nonce), encrypted]);
-      
-      return result;
+      return seal(session.sendKey, toBuffer(data), associatedData);
     } catch (error) {
       console.error('[KRTR Crypto] Encryption error:', error);
       throw error;
     }
   }
 
-  async decrypt(encryptedData, peerID) {
+  /**
+   * Decrypt a peer's ratchet or AEAD envelope
+   * @param {Buffer} encryptedData - Envelope
+   * @param {string} peerID - Sender
+   * @param {Buffer|null} associatedData - Must match what the sender bound
+   * @returns {Promise<Buffer>} - Plaintext
+   * @throws {MessageAuthenticationError} - If the envelope was tampered with
+   */
+  async decrypt(encryptedData, peerID, associatedData = null) {
     try {
-      const sharedSecret = this.sharedSecrets.get(peerID);
-      if (!sharedSecret) {
-        throw new Error(`No shared secret for peer: ${peerID}`);
-      }
-
-      if (encryptedData.length < 16) {
-        throw new Error('Encrypted data too short');
+      if (isRatchetEnvelope(encryptedData)) {
+        return await this.decryptRatchet(encryptedData, peerID, associatedData);
       }
 
-      // Extract nonce and ciphertext
-      const nonce = encryptedData.slice(0, 16);
-      const ciphertext = encryptedData.slice(16);
-
-      // Simple XOR decryption
-      const decrypted = Buffer.alloc(ciphertext.length);
-      for (let i = 0; i < ciphertext.length; i++) {
-        decrypted[i] = ciphertext[i] ^ sharedSecret[i % sharedSecret.length];
+      const session = this.sessionKeys.get(peerID);
+      if (!session) {
+        throw new Error(`No shared secret for peer: ${peerID}`);
       }
 
-      return decrypted;
+      return open(session.receiveKey, encryptedData, associatedData);
     } catch (error) {
       console.error('[KRTR Crypto] Decryption error:', error);
       throw error;
     }
   }
 
+  async decryptRatchet(envelope, peerID, associatedData) {
+    const record = await this.loadRatchetSession(peerID);
+    if (!record) {
+      throw new Error(`No ratchet session for peer: ${peerID}`);
+    }
+
+    let lastError = new MessageAuthenticationError();
+    for (const ratchet of [record.current, ...record.previous]) {
+      try {
+        const plaintext = ratchet.decrypt(envelope, associatedData);
+        await this.saveRatchetSession(peerID);
+        return plaintext;
+      } catch (error) {
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+
   async sign(data) {
     try {
-      // Simple signature using hash
-      const signature = await Crypto.digestStringAsync(
-        Crypto.CryptoDigestAlgorithm.SHA256,
-        data.toString() + this.keyPair.privateKey.toString(),
-        { encoding: Crypto.CryptoEncoding.HEX }
+      const signature = ed25519.sign(
+        toBuffer(data),
+        this.signingKeyPair.privateKey
       );
-      return Buffer.from(signature, 'hex');
+      return Buffer.from(signature);
     } catch (error) {
       console.error('[KRTR Crypto] Signing error:', error);
       throw error;
     }
   }
 
+  hasSigningKey(peerID) {
+    return this.peerSigningKeys.has(peerID);
+  }
+
+  /**
+   * Verify a signature made with our own signing key, e.g. on an echoed packet
+   */
+  verifyOwn(signature, data) {
+    try {
+      return ed25519.verify(
+        toBuffer(signature),
+        toBuffer(data),
+        this.signingKeyPair.publicKey
+      );
+    } catch (error) {
+      return false;
+    }
+  }
+
   async verify(signature, data, peerID) {
     try {
-      const peerPublicKey = this.peerPublicKeys.get(peerID);
-      if (!peerPublicKey) {
-        throw new Error(`No public key for peer: ${peerID}`);
+      const peerSigningKey = this.peerSigningKeys.get(peerID);
+      if (!peerSigningKey) {
+        throw new Error(`No signing key for peer: ${peerID}`);
       }
 
-      // Simple verification using hash
-      const expectedSignature = await Crypto.digestStringAsync(
-        Crypto.CryptoDigestAlgorithm.SHA256,
-        data.toString() + peerPublicKey.toString(),
-        { encoding: Crypto.CryptoEncoding.HEX }
+      return ed25519.verify(
+        toBuffer(signature),
+        toBuffer(data),
+        peerSigningKey
       );
-      
-      return signature.toString('hex') === expectedSignature;
     } catch (error) {
       console.error('[KRTR Crypto] Verification error:', error);
       return false;
     }
   }
 
-  // Channel encryption using password-derived keys
-  async encryptChannelMessage(message, channelName, password) {
+  /**
+   * Verify against a key that isn't trusted yet, e.g. one a peer announced
+   */
+  verifyWithKey(signature, data, signingKey) {
     try {
-      // Simple key derivation
-      const keyMaterial = channelName + password;
-      const key = await Crypto.digestStringAsync(
-        Crypto.CryptoDigestAlgorithm.SHA256,
-        keyMaterial,
-        { encoding: Crypto.CryptoEncoding.HEX }
+      return ed25519.verify(
+        toBuffer(signature),
+        toBuffer(data),
+        toBuffer(signingKey)
       );
-      
-      // Simple XOR encryption
-      const messageBuffer = Buffer.from(message, 'utf8');
-      const keyBuffer = Buffer.from(key, 'hex');
-      const encrypted = Buffer.alloc(messageBuffer.length);
-      
-      for (let i = 0; i < messageBuffer.length; i++) {
-        encrypted[i] = messageBuffer[i] ^ keyBuffer[i % keyBuffer.length];
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Channel encryption using password-derived keys
+
+  /**
+   * Derive a channel key from its password
+   * @param {string} channelName - Channel name, mixed into the salt
+   * @param {string} password - Channel password
+   * @param {Buffer} salt - Per-channel salt from the channel announcement
+   * @param {number} iterations - PBKDF2 iteration count from the announcement
+   * @returns {Promise<Buffer>} - 32-byte channel key
+   * @throws {Error} - If the iteration count is outside the allowed range
+   */
+  async deriveChannelKey(
+    channelName,
+    password,
+    salt,
+    iterations = CHANNEL_KDF_ITERATIONS
+  ) {
+    if (!salt || salt.length < CHANNEL_SALT_LENGTH) {
+      throw new Error('Channel key derivation requires a salt');
+    }
+    if (
+      !Number.isInteger(iterations) ||
+      iterations < CHANNEL_KDF_ITERATIONS ||
+      iterations > CHANNEL_KDF_MAX_ITERATIONS
+    ) {
+      throw new Error(
+        `Channel key iteration count ${iterations} outside ${CHANNEL_KDF_ITERATIONS}-${CHANNEL_KDF_MAX_ITERATIONS}`
+      );
+    }
+
+    const key = await pbkdf2Async(
+      sha256,
+      Buffer.from(password, 'utf8'),
+      Buffer.concat([Buffer.from(channelName, 'utf8'), salt]),
+      { c: iterations, dkLen: 32 }
+    );
+    return Buffer.from(key);
+  }
+
+  /**
+   * Commitment to a channel key, announced so joiners can check a password
+   * before waiting for traffic. It reveals no more than a captured message.
+   */
+  channelKeyCommitment(key) {
+    return Buffer.from(hmac(sha256, key, CHANNEL_KEY_COMMITMENT_INFO));
+  }
+
+  /**
+   * Create the first key epoch for a channel we own
+   * @returns {Promise<Object>} - Key parameters to announce
+   */
+  async createChannelKey(channelName, password) {
+    return this.rotateChannelKey(channelName, password);
+  }
+
+  /**
+   * Start a new key epoch with a fresh salt; the previous epoch stays
+   * usable for decryption during the grace window
+   * @param {string} channelName - Channel to re-key
+   * @param {string} password - New channel password
+   * @returns {Promise<Object>} - {salt, keyEpoch, iterations, kdf, keyCommitment}
+   */
+  async rotateChannelKey(channelName, password) {
+    const salt = Buffer.from(
+      await Crypto.getRandomBytesAsync(CHANNEL_SALT_LENGTH)
+    );
+    const keyEpoch = (this.channelKeys.get(channelName)?.currentEpoch || 0) + 1;
+
+    await this.registerChannelKey(channelName, password, {
+      salt,
+      keyEpoch,
+      iterations: CHANNEL_KDF_ITERATIONS,
+    });
+
+    console.log(
+      `[KRTR Crypto] Channel ${channelName} now on key epoch ${keyEpoch}`
+    );
+    return this.getChannelKeyParameters(channelName);
+  }
+
+  /**
+   * Install a channel key from announced parameters
+   * @param {string} channelName - Channel name
+   * @param {string} password - Channel password
+   * @param {Object} params - {salt, keyEpoch, iterations, keyCommitment}
+   * @returns {Promise<boolean>} - False if the password doesn't match the commitment
+   */
+  async registerChannelKey(channelName, password, params) {
+    const salt = toBuffer(params.salt);
+    const iterations = params.iterations || CHANNEL_KDF_ITERATIONS;
+    const key = await this.deriveChannelKey(
+      channelName,
+      password,
+      salt,
+      iterations
+    );
+
+    if (
+      params.keyCommitment &&
+      !this.channelKeyCommitment(key).equals(toBuffer(params.keyCommitment))
+    ) {
+      return false;
+    }
+
+    const entry = this.channelKeys.get(channelName) || {
+      currentEpoch: 0,
+      epochs: new Map(),
+    };
+
+    if (params.keyEpoch > entry.currentEpoch) {
+      const previous = entry.epochs.get(entry.currentEpoch);
+      if (previous) {
+        previous.retiredAt = Date.now();
+      }
+      entry.currentEpoch = params.keyEpoch;
+    }
+
+    entry.epochs.set(params.keyEpoch, {
+      key,
+      salt,
+      iterations,
+      retiredAt: params.keyEpoch < entry.currentEpoch ? Date.now() : null,
+    });
+    this.channelKeys.set(channelName, entry);
+    this.pruneChannelKeys(channelName);
+
+    await this.saveChannelKeys();
+    return true;
+  }
+
+  hasChannelKey(channelName, keyEpoch = null) {
+    const entry = this.channelKeys.get(channelName);
+    if (!entry) return false;
+    return keyEpoch === null || entry.epochs.has(keyEpoch);
+  }
+
+  getChannelKeyParameters(channelName) {
+    const entry = this.channelKeys.get(channelName);
+    const current = entry?.epochs.get(entry.currentEpoch);
+    if (!current) return null;
+
+    return {
+      kdf: CHANNEL_KDF,
+      salt: current.salt,
+      iterations: current.iterations,
+      keyEpoch: entry.currentEpoch,
+      keyCommitment: this.channelKeyCommitment(current.key),
+    };
+  }
+
+  async removeChannelKey(channelName) {
+    this.channelKeys.delete(channelName);
+    await this.saveChannelKeys();
+  }
+
+  /**
+   * Forget retired epochs once their grace window has passed
+   */
+  pruneChannelKeys(channelName, now = Date.now()) {
+    const entry = this.channelKeys.get(channelName);
+    if (!entry) return;
+
+    for (const [epoch, epochKey] of entry.epochs) {
+      if (
+        epoch !== entry.currentEpoch &&
+        epochKey.retiredAt &&
+        now - epochKey.retiredAt > this.channelKeyGraceWindow
+      ) {
+        entry.epochs.delete(epoch);
+      }
+    }
+  }
+
+  channelAssociatedData(channelName, keyEpoch, associatedData) {
+    const epoch = Buffer.alloc(CHANNEL_EPOCH_LENGTH);
+    epoch.writeUInt32BE(keyEpoch, 0);
+    const context = Buffer.concat([Buffer.from(channelName, 'utf8'), epoch]);
+    return associatedData ? Buffer.concat([context, associatedData]) : context;
+  }
+
+  /**
+   * Encrypt under the channel's current key epoch
+   * @param {string} message - Message text
+   * @param {string} channelName - Channel with a registered key
+   * @param {Buffer|null} associatedData - Authenticated context
+   * @returns {Promise<Buffer>} - Key epoch (4) + AEAD envelope
+   */
+  async encryptChannelMessage(message, channelName, associatedData = null) {
+    try {
+      const entry = this.channelKeys.get(channelName);
+      const current = entry?.epochs.get(entry.currentEpoch);
+      if (!current) {
+        throw new Error(`No key for channel: ${channelName}`);
       }
 
-      // Add nonce
-      const nonce = await Crypto.getRandomBytesAsync(16);
-      return Buffer.concat([Buffer.from(nonce), encrypted]);
+      const epoch = Buffer.alloc(CHANNEL_EPOCH_LENGTH);
+      epoch.writeUInt32BE(entry.currentEpoch, 0);
+
+      return Buffer.concat([
+        epoch,
+        seal(
+          current.key,
+          Buffer.from(message, 'utf8'),
+          this.channelAssociatedData(
+            channelName,
+            entry.currentEpoch,
+            associatedData
+          )
+        ),
+      ]);
     } catch (error) {
       console.error('[KRTR Crypto] Channel encryption error:', error);
       throw error;
     }
   }
 
-  async decryptChannelMessage(encryptedData, channelName, password) {
+  /**
+   * Decrypt with the key epoch named in the envelope; retired epochs work
+   * until their grace window runs out
+   */
+  async decryptChannelMessage(
+    encryptedData,
+    channelName,
+    associatedData = null
+  ) {
     try {
-      if (encryptedData.length < 16) {
-        throw new Error('Encrypted data too short');
+      if (!encryptedData || encryptedData.length <= CHANNEL_EPOCH_LENGTH) {
+        throw new Error('Invalid channel envelope');
       }
 
-      // Extract nonce and ciphertext
-      const nonce = encryptedData.slice(0, 16);
-      const ciphertext = encryptedData.slice(16);
+      const keyEpoch = encryptedData.readUInt32BE(0);
+      this.pruneChannelKeys(channelName);
+      const epochKey = this.channelKeys.get(channelName)?.epochs.get(keyEpoch);
+      if (!epochKey) {
+        throw new Error(`No key for ${channelName} epoch ${keyEpoch}`);
+      }
 
-      // Simple key derivation
-      const keyMaterial = channelName + password;
-      const key = await Crypto.digestStringAsync(
-        Crypto.CryptoDigestAlgorithm.SHA256,
-        keyMaterial,
-        { encoding: Crypto.CryptoEncoding.HEX }
+      const decrypted = open(
+        epochKey.key,
+        encryptedData.subarray(CHANNEL_EPOCH_LENGTH),
+        this.channelAssociatedData(channelName, keyEpoch, associatedData)
       );
-      
-      // Simple XOR decryption
-      const keyBuffer = Buffer.from(key, 'hex');
-      const decrypted = Buffer.alloc(ciphertext.length);
-      
-      for (let i = 0; i < ciphertext.length; i++) {
-        decrypted[i] = ciphertext[i] ^ keyBuffer[i % keyBuffer.length];
-      }
 
       return decrypted.toString('utf8');
     } catch (error) {
@@ -282,18 +805,84 @@ export class SimpleCryptoService {
     }
   }
 
+  async loadChannelKeys() {
+    const data = await AsyncStorage.getItem(this.channelKeyStorageKey);
+    if (!data) return;
+
+    for (const [channelName, entry] of JSON.parse(data)) {
+      this.channelKeys.set(channelName, {
+        currentEpoch: entry.currentEpoch,
+        epochs: new Map(
+          entry.epochs.map(([epoch, epochKey]) => [
+            epoch,
+            {
+              key: Buffer.from(epochKey.key, 'base64'),
+              salt: Buffer.from(epochKey.salt, 'base64'),
+              iterations: epochKey.iterations,
+              retiredAt: epochKey.retiredAt,
+            },
+          ])
+        ),
+      });
+    }
+  }
+
+  async saveChannelKeys() {
+    const data = Array.from(this.channelKeys, ([channelName, entry]) => [
+      channelName,
+      {
+        currentEpoch: entry.currentEpoch,
+        epochs: Array.from(entry.epochs, ([epoch, epochKey]) => [
+          epoch,
+          {
+            key: epochKey.key.toString('base64'),
+            salt: epochKey.salt.toString('base64'),
+            iterations: epochKey.iterations,
+            retiredAt: epochKey.retiredAt,
+          },
+        ]),
+      },
+    ]);
+
+    await AsyncStorage.setItem(this.channelKeyStorageKey, JSON.stringify(data));
+  }
+
   getIdentityFingerprint() {
     if (!this.identityKeyPair?.publicKey) return null;
-    
-    // Create fingerprint from identity key
-    const hash = this.identityKeyPair.publicKey.toString('hex');
-    return hash.substring(0, 16);
+
+    // SHA-256 fingerprint of the identity and signing keys
+    return fingerprintOf(
+      this.identityKeyPair.publicKey,
+      this.signingKeyPair.publicKey
+    );
+  }
+
+  /**
+   * Key for encrypting local data at rest, bound to our identity: wiping the
+   * identity leaves anything sealed under it unreadable
+   * @param {string} info - HKDF context separating keys per use
+   * @returns {Uint8Array} - 32-byte key
+   */
+  deriveStorageKey(info) {
+    if (!this.identityKeyPair) {
+      throw new Error('Crypto service not initialized');
+    }
+    return hkdf(sha256, this.identityKeyPair.privateKey, undefined, info, 32);
+  }
+
+  getPeerFingerprint(peerID) {
+    const identityKey = this.peerIdentityKeys.get(peerID);
+    const signingKey = this.peerSigningKeys.get(peerID);
+    if (!identityKey || !signingKey) return null;
+
+    return fingerprintOf(identityKey, signingKey);
   }
 
   async clearPersistentIdentity() {
     try {
-      await AsyncStorage.removeItem('krtr_identity_key');
+      await AsyncStorage.removeItem(this.identityStorageKey);
       this.identityKeyPair = null;
+      this.signingKeyPair = null;
       console.log('[KRTR Crypto] Cleared persistent identity');
     } catch (error) {
       console.error('[KRTR Crypto] Clear identity error:', error);
@@ -301,6 +890,3 @@ export class SimpleCryptoService {
     }
   }
 }
-
-// Export singleton instance
-export const encryptionService = new SimpleCryptoService();
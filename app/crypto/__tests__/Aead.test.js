@@ -0,0 +1,67 @@
+import { Buffer } from 'buffer';
+import {
+  seal,
+  open,
+  isSealedEnvelope,
+  MessageAuthenticationError,
+  AEAD_ENVELOPE_VERSION,
+  AEAD_NONCE_LENGTH,
+  AEAD_TAG_LENGTH,
+} from '../Aead';
+
+const key = Buffer.alloc(32, 7);
+const plaintext = Buffer.from('meet at the north gate', 'utf8');
+
+describe('Aead', () => {
+  it('round-trips with and without associated data', () => {
+    const associatedData = Buffer.from('header');
+
+    expect(open(key, seal(key, plaintext)).equals(plaintext)).toBe(true);
+    expect(
+      open(key, seal(key, plaintext, associatedData), associatedData).equals(
+        plaintext
+      )
+    ).toBe(true);
+  });
+
+  it('lays out version, nonce, ciphertext and tag', () => {
+    const envelope = seal(key, plaintext);
+
+    expect(envelope[0]).toBe(AEAD_ENVELOPE_VERSION);
+    expect(envelope.length).toBe(
+      1 + AEAD_NONCE_LENGTH + plaintext.length + AEAD_TAG_LENGTH
+    );
+    expect(isSealedEnvelope(envelope)).toBe(true);
+  });
+
+  it('uses a fresh nonce for every envelope', () => {
+    expect(seal(key, plaintext).equals(seal(key, plaintext))).toBe(false);
+  });
+
+  it('rejects a tampered ciphertext', () => {
+    const envelope = seal(key, plaintext);
+    envelope[envelope.length - 1] ^= 0x01;
+
+    expect(() => open(key, envelope)).toThrow(MessageAuthenticationError);
+  });
+
+  it('rejects the wrong key or associated data', () => {
+    const envelope = seal(key, plaintext, Buffer.from('a'));
+
+    expect(() => open(Buffer.alloc(32, 8), envelope, Buffer.from('a'))).toThrow(
+      MessageAuthenticationError
+    );
+    expect(() => open(key, envelope, Buffer.from('b'))).toThrow(
+      MessageAuthenticationError
+    );
+    expect(() => open(key, envelope)).toThrow(MessageAuthenticationError);
+  });
+
+  it('refuses data that is not an envelope', () => {
+    expect(isSealedEnvelope(Buffer.from('short'))).toBe(false);
+    expect(isSealedEnvelope(null)).toBe(false);
+    expect(() => open(key, Buffer.alloc(64))).toThrow(
+      'Not an encrypted envelope'
+    );
+  });
+});
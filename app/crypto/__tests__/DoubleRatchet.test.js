@@ -0,0 +1,112 @@
+import { Buffer } from 'buffer';
+import { DoubleRatchet, deriveRatchetSecrets } from '../DoubleRatchet';
+import { MessageAuthenticationError } from '../Aead';
+import { generateKeyPair } from '../NoiseHandshake';
+
+const associatedData = Buffer.from('packet header');
+
+// Both ends of a completed Noise session, with the responder's ephemeral key
+function createPair() {
+  const initiatorToResponder = Buffer.alloc(32, 1);
+  const responderToInitiator = Buffer.alloc(32, 2);
+  const handshakeHash = Buffer.alloc(32, 3);
+  const responderKeyPair = generateKeyPair();
+
+  const alice = DoubleRatchet.initAsInitiator(
+    deriveRatchetSecrets({
+      sendKey: initiatorToResponder,
+      receiveKey: responderToInitiator,
+      handshakeHash,
+      isInitiator: true,
+    }),
+    responderKeyPair.publicKey
+  );
+  const bob = DoubleRatchet.initAsResponder(
+    deriveRatchetSecrets({
+      sendKey: responderToInitiator,
+      receiveKey: initiatorToResponder,
+      handshakeHash,
+      isInitiator: false,
+    }),
+    responderKeyPair
+  );
+
+  return { alice, bob };
+}
+
+const text = value => Buffer.from(value, 'utf8');
+
+describe('DoubleRatchet', () => {
+  it('lets only the initiator send first', () => {
+    const { alice, bob } = createPair();
+
+    expect(alice.canEncrypt()).toBe(true);
+    expect(bob.canEncrypt()).toBe(false);
+    expect(() => bob.encrypt(text('early'))).toThrow('no sending chain');
+  });
+
+  it('exchanges messages in both directions', () => {
+    const { alice, bob } = createPair();
+
+    const first = alice.encrypt(text('a0'), associatedData);
+    expect(bob.decrypt(first, associatedData).toString()).toBe('a0');
+
+    const reply = bob.encrypt(text('b0'), associatedData);
+    expect(alice.decrypt(reply, associatedData).toString()).toBe('b0');
+
+    const second = alice.encrypt(text('a1'), associatedData);
+    expect(bob.decrypt(second, associatedData).toString()).toBe('a1');
+  });
+
+  it('decrypts out of order with skipped keys', () => {
+    const { alice, bob } = createPair();
+    const envelopes = ['a0', 'a1', 'a2'].map(value =>
+      alice.encrypt(text(value), associatedData)
+    );
+
+    expect(bob.decrypt(envelopes[2], associatedData).toString()).toBe('a2');
+    expect(bob.skippedKeys.size).toBe(2);
+    expect(bob.decrypt(envelopes[0], associatedData).toString()).toBe('a0');
+    expect(bob.decrypt(envelopes[1], associatedData).toString()).toBe('a1');
+    expect(bob.skippedKeys.size).toBe(0);
+  });
+
+  it('rejects a replayed envelope', () => {
+    const { alice, bob } = createPair();
+    const envelope = alice.encrypt(text('once'), associatedData);
+
+    bob.decrypt(envelope, associatedData);
+    expect(() => bob.decrypt(envelope, associatedData)).toThrow(
+      MessageAuthenticationError
+    );
+  });
+
+  it('leaves the session untouched when authentication fails', () => {
+    const { alice, bob } = createPair();
+    const envelope = alice.encrypt(text('intact'), associatedData);
+    const tampered = Buffer.from(envelope);
+    tampered[tampered.length - 1] ^= 0x01;
+
+    expect(() => bob.decrypt(tampered, associatedData)).toThrow(
+      MessageAuthenticationError
+    );
+    expect(() => bob.decrypt(envelope, text('other header'))).toThrow(
+      MessageAuthenticationError
+    );
+    expect(bob.decrypt(envelope, associatedData).toString()).toBe('intact');
+  });
+
+  it('survives a JSON round trip', () => {
+    const { alice, bob } = createPair();
+    bob.decrypt(alice.encrypt(text('a0'), associatedData), associatedData);
+    const pending = bob.encrypt(text('b0'), associatedData);
+
+    const restored = DoubleRatchet.fromJSON(
+      JSON.parse(JSON.stringify(bob.toJSON()))
+    );
+    const next = restored.encrypt(text('b1'), associatedData);
+
+    expect(alice.decrypt(next, associatedData).toString()).toBe('b1');
+    expect(alice.decrypt(pending, associatedData).toString()).toBe('b0');
+  });
+});
@@ -0,0 +1,67 @@
+import { Buffer } from 'buffer';
+import {
+  PeerIdentityRegistry,
+  derivePeerID,
+  fingerprintOf,
+  isPeerID,
+  toLegacyID,
+} from '../PeerIdentity';
+
+const identityKey = Buffer.alloc(32, 1);
+const signingKey = Buffer.alloc(32, 2);
+const otherSigningKey = Buffer.alloc(32, 3);
+
+describe('PeerIdentity', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  it('derives the peer ID from both keys', () => {
+    const peerID = derivePeerID(identityKey, signingKey);
+
+    expect(isPeerID(peerID)).toBe(true);
+    expect(fingerprintOf(identityKey, signingKey).startsWith(peerID)).toBe(
+      true
+    );
+    expect(derivePeerID(identityKey, otherSigningKey)).not.toBe(peerID);
+  });
+
+  it('registers only keys that derive to the peer ID', () => {
+    const registry = new PeerIdentityRegistry();
+    const peerID = derivePeerID(identityKey, signingKey);
+
+    expect(registry.register(peerID, { identityKey })).toBe(false);
+    expect(
+      registry.register(peerID, { identityKey, signingKey: otherSigningKey })
+    ).toBe(false);
+    expect(registry.register(peerID, { identityKey, signingKey })).toBe(true);
+    expect(registry.resolve(peerID).signingKey.equals(signingKey)).toBe(true);
+  });
+
+  it('never replaces a registered signing key', () => {
+    const registry = new PeerIdentityRegistry();
+    const peerID = derivePeerID(identityKey, signingKey);
+    registry.register(peerID, { identityKey, signingKey, verified: true });
+
+    expect(
+      registry.register(peerID, { identityKey, signingKey: otherSigningKey })
+    ).toBe(false);
+    expect(registry.resolve(peerID).signingKey.equals(signingKey)).toBe(true);
+    expect(registry.resolve(peerID).verified).toBe(true);
+  });
+
+  it('maps the legacy form of registered peers back to them', () => {
+    const registry = new PeerIdentityRegistry();
+    const peerID = derivePeerID(identityKey, signingKey);
+    registry.register(peerID, { identityKey, signingKey });
+
+    expect(registry.resolveLegacyID(toLegacyID(peerID))).toBe(peerID);
+    expect(registry.registerLegacyID(toLegacyID(peerID), 'old00001')).toBe(
+      false
+    );
+    expect(registry.registerLegacyID('old00001', 'old00001')).toBe(true);
+
+    registry.remove(peerID);
+    expect(registry.resolveLegacyID(toLegacyID(peerID))).toBeNull();
+  });
+});
@@ -34,6 +34,13 @@ export class BatteryOptimizer {
         messageAggregationWindow: 100, // 100ms
         enableCoverTraffic: true,
         compressionThreshold: 100, // bytes
+        relayPolicy: {
+          probability: 1,
+          counterThreshold: 4,
+          minDelay: 10,
+          maxDelay: 50,
+          strongRSSI: -55,
+        },
       },
       [PowerMode.BALANCED]: {
         scanDuration: 2000, // 2 seconds
@@ -43,6 +50,13 @@ export class BatteryOptimizer {
         messageAggregationWindow: 250, // 250ms
         enableCoverTraffic: true,
         compressionThreshold: 100, // bytes
+        relayPolicy: {
+          probability: 0.9,
+          counterThreshold: 3,
+          minDelay: 20,
+          maxDelay: 100,
+          strongRSSI: -55,
+        },
       },
       [PowerMode.POWER_SAVER]: {
         scanDuration: 1000, // 1 second
@@ -52,6 +66,13 @@ export class BatteryOptimizer {
         messageAggregationWindow: 500, // 500ms
         enableCoverTraffic: false,
         compressionThreshold: 50, // bytes
+        relayPolicy: {
+          probability: 0.7,
+          counterThreshold: 2,
+          minDelay: 50,
+          maxDelay: 200,
+          strongRSSI: -55,
+        },
       },
       [PowerMode.ULTRA_LOW_POWER]: {
         scanDuration: 500, // 0.5 seconds
@@ -61,6 +82,13 @@ export class BatteryOptimizer {
         messageAggregationWindow: 1000, // 1s
         enableCoverTraffic: false,
         compressionThreshold: 50, // bytes
+        relayPolicy: {
+          probability: 0.5,
+          counterThreshold: 2,
+          minDelay: 100,
+          maxDelay: 300,
+          strongRSSI: -55,
+        },
       },
     };
 
@@ -294,6 +322,10 @@ export class BatteryOptimizer {
     };
   }
 
+  getRelaySettings(mode = null) {
+    return { ...this.getPowerModeConfig(mode).relayPolicy };
+  }
+
   getMessageSettings() {
     const config = this.getPowerModeConfig();
     return {
@@ -3,45 +3,172 @@
  * Handles peer discovery, connection management, and message routing
  */
 
-import { BleManager } from 'react-native-ble-plx';
+import * as Crypto from 'expo-crypto';
 import { Buffer } from 'buffer';
+import { sha256 } from '@noble/hashes/sha256';
 import {
   KrtrPacket,
   MessageType,
   BinaryProtocol,
+  ChannelMessage,
+  FragmentNack,
+  PeerAnnounce,
+  DeliveryAck,
+  ReadReceipt,
+  DeliveryStatusRequest,
+  CustodyAck,
+  FavoriteStatus,
+  PacketFlags,
+  PacketExtension,
+  LEGACY_PROTOCOL_VERSION,
+  MESSAGE_ID_LENGTH,
+  PROTOCOL_VERSION,
+  DEFAULT_TTL,
 } from '../protocols/KrtrProtocol';
+import {
+  derivePeerID,
+  fingerprintOf,
+  isPeerID,
+  toLegacyID,
+} from '../crypto/PeerIdentity';
 import { SimpleCryptoService } from '../crypto/SimpleCryptoService';
+import { MessageAuthenticationError } from '../crypto/Aead';
+import { NoiseSessionManager } from '../crypto/NoiseSessionManager';
 import { StoreAndForwardService } from './StoreAndForwardService';
 import { BatteryOptimizer } from './BatteryOptimizer';
+import { ChannelService } from './ChannelService';
+import { MessageDeduplicator } from './MessageDeduplicator';
+import { RoutingTable } from './RoutingTable';
+import { RelayPolicy } from './RelayPolicy';
+import { PeerDirectory } from './PeerDirectory';
+import { DeliveryTracker } from './DeliveryTracker';
+import { FavoritesService } from './FavoritesService';
+import {
+  MessageCompression,
+  MessageFragmentation,
+  LinkFrameType,
+} from '../protocols/MessageCompression';
 import { ZKService } from '../zk/ZKService';
-
-// KRTR service UUID for BLE discovery
-const KRTR_SERVICE_UUID = '6E400001-B5A3-F393-E0A9-E50E24DCCA9E';
-const KRTR_CHARACTERISTIC_UUID = '6E400002-B5A3-F393-E0A9-E50E24DCCA9E';
+import { BleTransport } from '../transport/BleTransport';
+
+// What to do with packets whose signature can't be checked
+export const SignaturePolicy = {
+  ACCEPT: 'accept',
+  REJECT: 'reject',
+};
+
+const DEFAULT_SIGNATURE_POLICY = {
+  // Every packet we originate is signed, so unsigned traffic is suspect
+  unsigned: SignaturePolicy.REJECT,
+  // Keys are learned through handshakes and announcements; packets from a
+  // sender we have neither for are passed on marked as unverified
+  unknownSender: SignaturePolicy.ACCEPT,
+  // v1 nodes never sign, so anyone can put any sender on their packets.
+  // Opt in to ACCEPT to keep a mixed mesh working; they arrive unverified.
+  legacyUnsigned: SignaturePolicy.REJECT,
+};
+
+// How far a packet's timestamp may sit ahead of our clock before it's
+// treated as forged; how far behind is bounded by what we remember seeing
+const MAX_CLOCK_SKEW = 5 * 60 * 1000;
+
+// Backoff for reconnecting to favourite peers whose link dropped
+const DEFAULT_RECONNECT_POLICY = {
+  baseDelay: 1000, // ms before the first attempt, doubled after each failure
+  maxDelay: 60 * 1000,
+  maxAttempts: 8, // then leave it to discovery
+};
 
 export class BluetoothMeshService {
-  constructor(delegate) {
+  /**
+   * @param {Object} delegate - Receives mesh events (didReceiveMessage, ...)
+   * @param {Object} options - Optional collaborators; the link layer defaults
+   *   to BLE and can be swapped for any Transport implementation
+   */
+  constructor(delegate, options = {}) {
     this.delegate = delegate;
-    this.bleManager = new BleManager();
-    this.encryptionService = new EncryptionService();
-    this.storeAndForward = new StoreAndForwardService();
-    this.batteryOptimizer = new BatteryOptimizer();
-    this.zkService = new ZKService();
+    this.transport = options.transport || new BleTransport();
+    this.encryptionService =
+      options.encryptionService || new SimpleCryptoService();
+    this.storeAndForward =
+      options.storeAndForward ||
+      new StoreAndForwardService({ encryptionService: this.encryptionService });
+    this.batteryOptimizer = options.batteryOptimizer || new BatteryOptimizer();
+    this.zkService = options.zkService || new ZKService();
+    this.compression = options.compression || new MessageCompression();
+    this.fragmentation = options.fragmentation || new MessageFragmentation();
+
+    // Handlers registered by higher-level services: type -> (peerID, packet)
+    this.messageHandlers = new Map();
+
+    // Noise XX handshakes carried end to end in addressed KEY_EXCHANGE
+    // packets, so sessions reach peers beyond our neighbours
+    this.sessionManager = new NoiseSessionManager(
+      this.encryptionService,
+      (peerID, payload) => this.sendKeyExchange(peerID, payload)
+    );
+    this.sessionManager.onSessionEstablished = peerID => {
+      this.delegate?.didEstablishSession?.(peerID, {
+        fingerprint: this.encryptionService.getPeerFingerprint(peerID),
+      });
+      this.sendPendingPrivatePackets(peerID);
+    };
+    this.sessionManager.onHandshakeFailed = (peerID, error) => {
+      this.failPendingPrivatePackets(peerID);
+      this.delegate?.didFailHandshake?.(peerID, error);
+    };
+    this.pendingPrivatePackets = new Map(); // peerID -> packets awaiting a session
+    this.maxPendingPerPeer = 20;
+    this.maxPendingTotal = 100;
+    this.encryptionService.peerIdentities.onCollision = (
+      peerID,
+      fingerprints
+    ) => {
+      this.delegate?.didDetectPeerIDCollision?.(peerID, fingerprints);
+    };
 
     // Peer management
-    this.connectedPeers = new Map(); // peerID -> device
+    this.connectedPeers = new Map(); // peerID -> peer descriptor
     this.peerRSSI = new Map(); // peerID -> RSSI value
     this.peerLastSeen = new Map(); // peerID -> timestamp
-    this.processedMessages = new Set(); // Message deduplication
+    this.peerMTU = new Map(); // peerID -> largest frame the link carries
+    this.deduplicator = new MessageDeduplicator(options.deduplication);
 
     // Connection state
     this.isScanning = false;
     this.isAdvertising = false;
     this.maxConnections = 10; // Will be adjusted by battery optimizer
+    this.maintenanceTimers = [];
+    this.dutyCycleTimer = null;
+
+    // Favourite peers are reconnected after a dropped link and get the long
+    // store-and-forward retention
+    this.favorites = options.favorites || new FavoritesService();
+    this.storeAndForward.isFavoritePeer = peerID =>
+      this.shouldRetainFor(peerID);
+    this.reconnectPolicy = {
+      ...DEFAULT_RECONNECT_POLICY,
+      ...options.reconnect,
+    };
+    this.reconnectAttempts = new Map(); // peerID -> {attempt, timer}
 
     // Message routing
-    this.messageCache = new Map(); // messageID -> packet (for deduplication)
-    this.routingTable = new Map(); // destination -> next hop
+    this.routingTable = new RoutingTable(options.routing);
+    this.relayPolicy =
+      options.relayPolicy ||
+      new RelayPolicy(this.batteryOptimizer.getRelaySettings());
+
+    // Announce beacons
+    this.nickname = options.nickname || null;
+    this.announceInterval = options.announceInterval || 30 * 1000;
+    this.peerDirectory = options.peerDirectory || new PeerDirectory();
+
+    // End-to-end delivery of addressed messages
+    this.deliveryTracker =
+      options.deliveryTracker || new DeliveryTracker(options.delivery);
+    this.deliveryTracker.onStatusChanged = (messageID, status, delivery) => {
+      this.delegate?.didUpdateDeliveryStatus?.(messageID, status, delivery);
+    };
 
     // Performance tracking
     this.stats = {
@@ -50,19 +177,45 @@ export class BluetoothMeshService {
       messagesRelayed: 0,
       bytesTransmitted: 0,
       bytesReceived: 0,
+      messagesRejected: 0,
+      packetsRejected: 0,
+      packetsStale: 0,
+      packetsUnverified: 0,
+      packetsRouted: 0,
+      packetsFlooded: 0,
+      peersDisconnected: 0,
+      reconnectAttempts: 0,
+    };
+
+    this.signaturePolicy = {
+      ...DEFAULT_SIGNATURE_POLICY,
+      ...options.signaturePolicy,
     };
 
-    this.initialize();
+    this.channelService = options.channelService || new ChannelService();
+    this.channelService.attach(this);
+
+    this.transport.onData((peerID, data) => {
+      this.handleIncomingData(peerID, data);
+    });
+    this.transport.onDisconnect(peerID => {
+      this.handlePeerDisconnected(peerID);
+    });
+
+    this.ready = this.initialize();
   }
 
   async initialize() {
     try {
-      // Initialize BLE manager
-      const state = await this.bleManager.state();
-      console.log('[KRTR Mesh] BLE State:', state);
-
-      if (state !== 'PoweredOn') {
-        console.warn('[KRTR Mesh] Bluetooth not powered on');
+      // Keys must exist before we can advertise our peer ID
+      await this.encryptionService.ready;
+      await this.channelService.ready;
+      await this.storeAndForward.ready;
+
+      // Bring up the link layer
+      const ready = await this.transport.initialize();
+      if (!ready) {
+        console.warn('[KRTR Mesh] Transport not ready');
         return;
       }
 
@@ -91,13 +244,10 @@ export class BluetoothMeshService {
       const powerMode = this.batteryOptimizer.getCurrentPowerMode();
       const advertisingInterval = this.getAdvertisingInterval(powerMode);
 
-      await this.bleManager.startDeviceAdvertising(
-        KRTR_SERVICE_UUID,
-        'KRTR-' + this.encryptionService.getShortID(),
+      await this.transport.startAdvertising(
+        this.encryptionService.getShortID(),
         {
           txPowerLevel: 'medium',
-          isConnectable: true,
-          includeDeviceName: true,
           interval: advertisingInterval,
         }
       );
@@ -116,18 +266,9 @@ export class BluetoothMeshService {
       const powerMode = this.batteryOptimizer.getCurrentPowerMode();
       const { scanDuration, pauseDuration } = this.getScanDutyCycle(powerMode);
 
-      this.bleManager.startDeviceScan(
-        [KRTR_SERVICE_UUID],
-        { allowDuplicates: false },
-        (error, device) => {
-          if (error) {
-            console.error('[KRTR Mesh] Scan error:', error);
-            return;
-          }
-
-          this.handleDeviceDiscovered(device);
-        }
-      );
+      this.transport.discover(peer => {
+        this.handleDeviceDiscovered(peer);
+      });
 
       this.isScanning = true;
 
@@ -140,9 +281,9 @@ export class BluetoothMeshService {
     }
   }
 
-  async handleDeviceDiscovered(device) {
+  async handleDeviceDiscovered(peer) {
     try {
-      const peerID = this.extractPeerID(device.name);
+      const { peerID } = peer;
       if (!peerID || this.connectedPeers.has(peerID)) return;
 
       // Check connection limits
@@ -152,84 +293,207 @@ export class BluetoothMeshService {
       }
 
       // Update peer tracking
-      this.peerRSSI.set(peerID, device.rssi);
+      this.peerRSSI.set(peerID, peer.rssi);
       this.peerLastSeen.set(peerID, Date.now());
 
       // Attempt connection
-      await this.connectToPeer(device, peerID);
+      await this.connectToPeer(peer, peerID);
     } catch (error) {
       console.error('[KRTR Mesh] Device discovery error:', error);
     }
   }
 
-  async connectToPeer(device, peerID) {
+  async connectToPeer(peer, peerID) {
     try {
       console.log(`[KRTR Mesh] Connecting to peer: ${peerID}`);
 
-      const connectedDevice = await device.connect();
-      await connectedDevice.discoverAllServicesAndCharacteristics();
-
-      // Set up message handling
-      const characteristic = await connectedDevice.characteristicForService(
-        KRTR_SERVICE_UUID,
-        KRTR_CHARACTERISTIC_UUID
-      );
-
-      // Monitor for incoming messages
-      characteristic.monitor((error, characteristic) => {
-        if (error) {
-          console.error('[KRTR Mesh] Characteristic monitor error:', error);
-          return;
-        }
-
-        this.handleIncomingData(peerID, characteristic.value);
-      });
+      // Incoming data arrives through the transport's onData handler
+      const mtu = await this.transport.connect(peer);
 
       // Store connection
-      this.connectedPeers.set(peerID, connectedDevice);
+      this.connectedPeers.set(peerID, peer);
+      if (mtu) {
+        this.peerMTU.set(peerID, mtu);
+      }
+      this.routingTable.learn(peerID, peerID, 1);
+      this.cancelReconnect(peerID);
 
       // Perform key exchange
       await this.performKeyExchange(peerID);
 
+      // Introduce ourselves to the new neighbourhood
+      await this.sendAnnounce();
+
       // Notify delegate
       this.delegate?.didConnectToPeer?.(peerID);
 
+      // Remind favourites to keep retaining for us
+      if (this.isFavorite(peerID)) {
+        await this.sendFavoriteStatus(peerID, true);
+      }
+
+      // Pass on packets we carry for this peer or peers beyond it
+      await this.handOffCustody(peerID);
+
       console.log(`[KRTR Mesh] Connected to peer: ${peerID}`);
     } catch (error) {
       console.error(`[KRTR Mesh] Connection error for ${peerID}:`, error);
     }
   }
 
+  /**
+   * Forget a neighbour whose link went down and tell the delegate
+   * @param {string} peerID - Neighbour that disconnected
+   * @param {Object} options - {graceful}: it sent LEAVE, so don't reconnect
+   */
+  handlePeerDisconnected(peerID, { graceful = false } = {}) {
+    const peer = this.connectedPeers.get(peerID);
+    if (!peer) return;
+
+    this.connectedPeers.delete(peerID);
+    this.peerRSSI.delete(peerID);
+    this.peerMTU.delete(peerID);
+    this.routingTable.removeNextHop(peerID);
+    this.sessionManager.removePeer(peerID);
+    this.encryptionService.removePeer(peerID);
+    this.stats.peersDisconnected++;
+
+    this.delegate?.didDisconnectFromPeer?.(peerID);
+    console.log(
+      `[KRTR Mesh] Disconnected from peer: ${peerID}${
+        graceful ? ' (left)' : ''
+      }`
+    );
+
+    if (!graceful && this.isFavorite(peerID)) {
+      this.scheduleReconnect(peer, peerID);
+    }
+  }
+
+  /**
+   * Retry a dropped favourite with exponential backoff and jitter
+   */
+  scheduleReconnect(peer, peerID) {
+    const { baseDelay, maxDelay, maxAttempts } = this.reconnectPolicy;
+    const attempt = this.reconnectAttempts.get(peerID)?.attempt || 0;
+    if (attempt >= maxAttempts) {
+      console.log(`[KRTR Mesh] Giving up reconnecting to ${peerID}`);
+      this.reconnectAttempts.delete(peerID);
+      return;
+    }
+
+    const backoff = Math.min(baseDelay * 2 ** attempt, maxDelay);
+    const delay = backoff / 2 + Math.floor((Math.random() * backoff) / 2);
+
+    const timer = setTimeout(async () => {
+      if (this.connectedPeers.has(peerID)) {
+        this.reconnectAttempts.delete(peerID);
+        return;
+      }
+
+      this.stats.reconnectAttempts++;
+      await this.connectToPeer(peer, peerID);
+
+      if (!this.connectedPeers.has(peerID)) {
+        this.scheduleReconnect(peer, peerID);
+      }
+    }, delay);
+
+    this.reconnectAttempts.set(peerID, { attempt: attempt + 1, timer });
+  }
+
+  cancelReconnect(peerID) {
+    const pending = this.reconnectAttempts.get(peerID);
+    if (!pending) return;
+
+    clearTimeout(pending.timer);
+    this.reconnectAttempts.delete(peerID);
+  }
+
   async performKeyExchange(peerID) {
     try {
-      const publicKeyData = this.encryptionService.getCombinedPublicKeyData();
+      await this.sessionManager.initiateHandshake(peerID);
+    } catch (error) {
+      console.error(`[KRTR Mesh] Key exchange error for ${peerID}:`, error);
+    }
+  }
 
-      const keyExchangePacket = new KrtrPacket({
+  /**
+   * Send a handshake message to a peer, along the route to it when it isn't
+   * a neighbour
+   */
+  async sendKeyExchange(peerID, payload) {
+    await this.broadcastPacket(
+      this.createPacket({
         type: MessageType.KEY_EXCHANGE,
-        senderID: this.encryptionService.getShortID(),
         recipientID: peerID,
-        payload: publicKeyData,
-      });
+        payload,
+      })
+    );
+  }
 
-      await this.sendPacketToPeer(peerID, keyExchangePacket);
-      console.log(`[KRTR Mesh] Sent key exchange to ${peerID}`);
+  async handleIncomingData(peerID, data) {
+    try {
+      if (!data || data.length === 0) return;
+
+      this.stats.bytesReceived += data.length;
+
+      // Fragments and NACKs are link-local and unsigned; the reassembled
+      // packet is verified instead
+      if (data[0] === LinkFrameType.FRAGMENT) {
+        await this.handleFragment(peerID, data);
+        return;
+      }
+
+      await this.handleFrame(peerID, data);
     } catch (error) {
-      console.error(`[KRTR Mesh] Key exchange error for ${peerID}:`, error);
+      console.error('[KRTR Mesh] Incoming data error:', error);
+    }
+  }
+
+  /**
+   * Handle a whole frame, as received or reassembled from fragments: a
+   * fragment NACK or a packet
+   */
+  async handleFrame(peerID, data) {
+    if (data[0] === LinkFrameType.FRAGMENT_NACK) {
+      await this.handleFragmentNack(peerID, data.subarray(1));
+      return;
     }
+
+    const packet = BinaryProtocol.decode(data);
+    if (!packet) {
+      console.warn('[KRTR Mesh] Failed to decode packet');
+      return;
+    }
+
+    await this.handlePacket(peerID, packet);
   }
 
-  async handleIncomingData(peerID, base64Data) {
+  /**
+   * Verify a complete packet and dispatch it by type
+   */
+  async handlePacket(peerID, packet) {
     try {
-      const data = Buffer.from(base64Data, 'base64');
-      const packet = BinaryProtocol.decode(data);
+      this.stats.messagesReceived++;
 
-      if (!packet) {
-        console.warn('[KRTR Mesh] Failed to decode packet');
+      // Dedup is our only memory of what we processed, so a copy from
+      // before what it remembers would be handled again
+      if (!this.isFresh(packet)) {
+        this.stats.packetsStale++;
         return;
       }
 
-      this.stats.bytesReceived += data.length;
-      this.stats.messagesReceived++;
+      if (packet.version === LEGACY_PROTOCOL_VERSION) {
+        this.resolveLegacyIDs(peerID, packet);
+      }
+
+      if (!(await this.verifyPacket(packet))) {
+        this.stats.packetsRejected++;
+        return;
+      }
+
+      this.learnRoute(peerID, packet);
 
       // Handle different message types
       switch (packet.type) {
@@ -242,21 +506,263 @@ export class BluetoothMeshService {
         case MessageType.ANNOUNCE:
           await this.handlePeerAnnouncement(peerID, packet);
           break;
+        case MessageType.LEAVE:
+          await this.handleLeave(peerID, packet);
+          break;
         case MessageType.DELIVERY_ACK:
           await this.handleDeliveryAck(peerID, packet);
           break;
+        case MessageType.READ_RECEIPT:
+          await this.handleReadReceipt(peerID, packet);
+          break;
+        case MessageType.DELIVERY_STATUS_REQUEST:
+          await this.handleDeliveryStatusRequest(peerID, packet);
+          break;
+        case MessageType.CUSTODY_ACK:
+          await this.handleCustodyAck(peerID, packet);
+          break;
+        case MessageType.FAVORITE_STATUS:
+          await this.handleFavoriteStatus(peerID, packet);
+          break;
         default:
-          console.log(`[KRTR Mesh] Unknown message type: ${packet.type}`);
+          if (this.messageHandlers.has(packet.type)) {
+            await this.handleRegisteredPacket(peerID, packet);
+          } else {
+            console.log(`[KRTR Mesh] Unknown message type: ${packet.type}`);
+          }
       }
     } catch (error) {
-      console.error('[KRTR Mesh] Incoming data error:', error);
+      console.error('[KRTR Mesh] Packet handling error:', error);
+    }
+  }
+
+  /**
+   * Whether a packet's timestamp is recent enough for the deduplicator to
+   * still know it, and not from the future. Addressed messages may be carried
+   * in custody for as long as custody lasts; those addressed to us are also
+   * checked against the messages we remember receiving.
+   */
+  isFresh(packet, now = Date.now()) {
+    const age = now - packet.timestamp;
+    if (age < -MAX_CLOCK_SKEW) return false;
+
+    const maxAge =
+      packet.type === MessageType.MESSAGE && packet.recipientID
+        ? Math.max(this.storeAndForward.favoriteTTL, this.deduplicator.windowMs)
+        : this.deduplicator.windowMs;
+    return age <= maxAge;
+  }
+
+  /**
+   * Collect a fragment and handle the frame once all fragments arrived
+   */
+  async handleFragment(peerID, data) {
+    try {
+      const fragment = this.fragmentation.parseFragmentPacket(data);
+      if (!fragment) return;
+
+      // Reassemble per link: two neighbours may relay the same message
+      const result = this.fragmentation.processFragment(fragment, peerID);
+      if (!result) return;
+
+      if (result.data[0] === LinkFrameType.FRAGMENT) {
+        console.warn('[KRTR Mesh] Dropped fragment nested in a fragment');
+        return;
+      }
+
+      await this.handleFrame(peerID, result.data);
+    } catch (error) {
+      console.error('[KRTR Mesh] Fragment handling error:', error);
+    }
+  }
+
+  /**
+   * Resend the fragments a neighbour reports missing
+   */
+  async handleFragmentNack(peerID, payload) {
+    try {
+      const nack = FragmentNack.decode(payload);
+      if (!nack) return;
+
+      const frames = this.fragmentation.getRetransmission(
+        peerID,
+        nack.messageID,
+        nack.missing
+      );
+      for (const frame of frames) {
+        await this.sendFrame(peerID, frame);
+      }
+
+      if (frames.length > 0) {
+        console.log(
+          `[KRTR Mesh] Resent ${frames.length} fragments of ${nack.messageID} to ${peerID}`
+        );
+      }
+    } catch (error) {
+      console.error('[KRTR Mesh] Fragment NACK error:', error);
+    }
+  }
+
+  /**
+   * Ask neighbours for the fragments of stalled messages
+   */
+  async sendFragmentNacks() {
+    for (const stalled of this.fragmentation.collectStalledFragments()) {
+      if (!this.connectedPeers.has(stalled.source)) continue;
+
+      const nack = Buffer.concat([
+        Buffer.from([LinkFrameType.FRAGMENT_NACK]),
+        new FragmentNack(stalled).encode(),
+      ]);
+
+      try {
+        // A NACK for a long message can outgrow a small link's frames
+        await this.sendLinkData(
+          stalled.source,
+          nack,
+          Buffer.from(sha256(nack)).toString('hex')
+        );
+      } catch (error) {
+        console.error(
+          `[KRTR Mesh] Fragment NACK send error to ${stalled.source}:`,
+          error
+        );
+      }
+    }
+  }
+
+  /**
+   * Register a handler for a packet type the mesh doesn't handle itself
+   * @param {number} type - MessageType value
+   * @param {Function} handler - (peerID, packet) => void
+   */
+  on(type, handler) {
+    this.messageHandlers.set(type, handler);
+  }
+
+  off(type) {
+    this.messageHandlers.delete(type);
+  }
+
+  /**
+   * Deduplicate, relay broadcasts, then hand the packet to its handler
+   */
+  async handleRegisteredPacket(peerID, packet) {
+    const messageID = this.generateMessageID(packet);
+    if (this.deduplicator.isDuplicate(messageID)) {
+      this.relayPolicy.recordCopy(messageID);
+      return;
+    }
+    this.deduplicator.markSeen(messageID);
+
+    if (packet.senderID === this.encryptionService.getShortID()) return;
+
+    if (packet.recipientID !== this.encryptionService.getShortID()) {
+      this.considerRelay(packet, peerID, messageID);
+    }
+
+    if (
+      !packet.recipientID ||
+      packet.recipientID === this.encryptionService.getShortID()
+    ) {
+      await this.messageHandlers.get(packet.type)(peerID, packet);
+    }
+  }
+
+  async signPacket(packet) {
+    packet.signature = await this.encryptionService.sign(
+      BinaryProtocol.encodeSignableData(packet)
+    );
+    return packet;
+  }
+
+  /**
+   * Check a packet's signature against its sender's known key, from a
+   * handshake or an announcement, and apply the signature policy. A
+   * signature that fails against a known key rejects the packet, so a relay
+   * can't put someone else's ID on its own traffic. Sets packet.isVerified.
+   * @param {KrtrPacket} packet - Decoded packet
+   * @returns {Promise<boolean>} - Whether to process the packet
+   */
+  async verifyPacket(packet) {
+    packet.isVerified = false;
+
+    if (!packet.signature) {
+      const policy =
+        packet.version === LEGACY_PROTOCOL_VERSION
+          ? this.signaturePolicy.legacyUnsigned
+          : this.signaturePolicy.unsigned;
+      if (policy === SignaturePolicy.REJECT) {
+        console.warn(
+          `[KRTR Mesh] Rejecting unsigned packet from ${packet.senderID}`
+        );
+        return false;
+      }
+      this.stats.packetsUnverified++;
+      return true;
+    }
+
+    const isOwnPacket = packet.senderID === this.encryptionService.getShortID();
+    const hasHandshakeKey =
+      isOwnPacket || this.encryptionService.hasSigningKey(packet.senderID);
+    const announcedKey = hasHandshakeKey
+      ? null
+      : this.encryptionService.peerIdentities.resolve(packet.senderID)
+          ?.signingKey;
+
+    if (!hasHandshakeKey && !announcedKey) {
+      // KEY_EXCHANGE is how signing keys are learned, so it can't require one
+      if (
+        this.signaturePolicy.unknownSender === SignaturePolicy.REJECT &&
+        packet.type !== MessageType.KEY_EXCHANGE
+      ) {
+        console.warn(
+          `[KRTR Mesh] Rejecting packet from unknown sender ${packet.senderID}`
+        );
+        return false;
+      }
+      this.stats.packetsUnverified++;
+      return true;
     }
+
+    const data = BinaryProtocol.encodeSignableData(packet);
+    let valid;
+    if (isOwnPacket) {
+      valid = this.encryptionService.verifyOwn(packet.signature, data);
+    } else if (hasHandshakeKey) {
+      valid = await this.encryptionService.verify(
+        packet.signature,
+        data,
+        packet.senderID
+      );
+    } else {
+      valid = this.isSignedBy(packet, announcedKey);
+    }
+
+    if (!valid) {
+      console.warn(
+        `[KRTR Mesh] Rejecting packet with bad signature from ${packet.senderID}`
+      );
+      return false;
+    }
+
+    packet.isVerified = true;
+    return true;
   }
 
   async handleKeyExchange(peerID, packet) {
     try {
-      await this.encryptionService.addPeerPublicKey(peerID, packet.payload);
-      console.log(`[KRTR Mesh] Key exchange completed with ${peerID}`);
+      // The handshake authenticates the sender itself, so the packet needn't
+      // be signed by a key we already know
+      const isForUs = this.receiveAddressedPacket(peerID, packet, {
+        requireVerified: false,
+      });
+      if (!isForUs) return;
+
+      await this.sessionManager.handleHandshakeMessage(
+        packet.senderID,
+        packet.payload
+      );
     } catch (error) {
       console.error(`[KRTR Mesh] Key exchange handling error: ${error}`);
     }
@@ -266,67 +772,149 @@ export class BluetoothMeshService {
     try {
       // Check for duplicates
       const messageID = this.generateMessageID(packet);
-      if (this.processedMessages.has(messageID)) {
-        return; // Already processed
+      if (this.deduplicator.isDuplicate(messageID)) {
+        // Already processed; the copy still counts against relaying it
+        this.relayPolicy.recordCopy(messageID);
+        return;
       }
-      this.processedMessages.add(messageID);
 
-      // Decrypt if encrypted
+      // A carried copy can outlive the dedup window
+      if (
+        packet.recipientID === this.encryptionService.getShortID() &&
+        this.deliveryTracker.getReceived(messageID)
+      ) {
+        return;
+      }
+
+      // Decrypt if addressed to us and encrypted; v1 packets carry no flag
       let content = packet.payload;
+      let isDecrypted = false;
+      const isEncrypted =
+        packet.version === LEGACY_PROTOCOL_VERSION ||
+        packet.hasFlag(PacketFlags.ENCRYPTED);
       if (
-        packet.recipientID &&
-        packet.recipientID !== this.encryptionService.getShortID()
+        isEncrypted &&
+        packet.recipientID === this.encryptionService.getShortID()
       ) {
-        // This is a relayed message, don't decrypt
-      } else {
         try {
           content = await this.encryptionService.decrypt(
             packet.payload,
-            peerID
+            packet.senderID,
+            BinaryProtocol.encodeAuthenticatedHeader(packet)
           );
+          isDecrypted = true;
         } catch (decryptError) {
-          console.warn('[KRTR Mesh] Decryption failed, treating as plaintext');
+          // Never shown as plaintext, and not marked as processed, so a
+          // forged copy can't shadow the genuine message
+          this.stats.messagesRejected++;
+          if (decryptError instanceof MessageAuthenticationError) {
+            console.warn(
+              `[KRTR Mesh] Dropping tampered message from ${packet.senderID}`
+            );
+          } else {
+            console.warn(
+              `[KRTR Mesh] Dropping message from ${packet.senderID} that failed to decrypt:`,
+              decryptError.message
+            );
+          }
+          return;
         }
       }
 
-      // Check if we should relay this message
-      if (packet.ttl > 0 && this.shouldRelay(packet)) {
-        await this.relayMessage(packet, peerID);
+      // Ciphertext for someone else stays compressed inside
+      if (
+        packet.hasFlag(PacketFlags.COMPRESSED) &&
+        (!packet.hasFlag(PacketFlags.ENCRYPTED) || isDecrypted)
+      ) {
+        content = this.compression.decompress(content);
+      }
+
+      this.deduplicator.markSeen(messageID);
+
+      // Check if we should relay this message; ours ends here. Custody
+      // goes first, while the packet still has the TTL it arrived with.
+      if (packet.recipientID !== this.encryptionService.getShortID()) {
+        await this.considerCustody(peerID, packet, messageID);
+        this.considerRelay(packet, peerID, messageID);
+      }
+
+      // Channel traffic goes to the channel's stream instead of the inbox
+      if (!packet.recipientID && ChannelMessage.isChannelMessage(content)) {
+        const channelMessage = await this.channelService.handleChannelMessage(
+          peerID,
+          packet,
+          content
+        );
+        if (channelMessage) {
+          this.delegate?.didReceiveChannelMessage?.(channelMessage);
+
+          // Group messages name the members expected to ack
+          const myID = this.encryptionService.getShortID();
+          if (packet.expectedRecipients?.includes(myID)) {
+            this.deliveryTracker.recordReceived(messageID, packet.senderID);
+            await this.sendDeliveryAck(messageID, packet.senderID, packet);
+          }
+        }
+        return;
       }
 
       // Deliver to local user if intended for us
-      if (
-        !packet.recipientID ||
-        packet.recipientID === this.encryptionService.getShortID()
-      ) {
+      const isAddressedToUs =
+        packet.recipientID === this.encryptionService.getShortID();
+      if (!packet.recipientID || isAddressedToUs) {
         this.delegate?.didReceiveMessage?.({
           id: messageID,
           sender: packet.senderID,
           content: content.toString('utf8'),
           timestamp: new Date(packet.timestamp),
           isRelay: packet.senderID !== peerID,
+          // Only a verified sender can be trusted to be who it says
+          isPrivate: isAddressedToUs && packet.isVerified,
+          verified: packet.isVerified,
           senderPeerID: peerID,
         });
       }
+
+      if (isAddressedToUs) {
+        this.deliveryTracker.recordReceived(messageID, packet.senderID);
+        await this.sendDeliveryAck(messageID, packet.senderID, packet);
+      }
     } catch (error) {
       console.error('[KRTR Mesh] Message handling error:', error);
     }
   }
 
+  /**
+   * Relay a packet if the relay policy approves. Not awaited by callers:
+   * the policy may wait for duplicate copies, which mustn't hold up delivery.
+   */
+  async considerRelay(packet, fromPeerID, messageID) {
+    try {
+      const relay = await this.relayPolicy.shouldRelay(packet, {
+        messageID,
+        rssi: this.peerRSSI.get(fromPeerID) ?? null,
+        neighbourCount: this.connectedPeers.size,
+      });
+      if (relay) {
+        await this.relayMessage(packet, fromPeerID);
+      }
+    } catch (error) {
+      console.error('[KRTR Mesh] Relay decision error:', error);
+    }
+  }
+
   async relayMessage(packet, fromPeerID) {
     try {
+      // Each message is forwarded at most once
+      if (!this.deduplicator.markRelayed(this.generateMessageID(packet))) {
+        return;
+      }
+
       // Decrement TTL
       packet.ttl--;
 
-      // Relay to all connected peers except sender
-      const relayPromises = [];
-      for (const [peerID, device] of this.connectedPeers) {
-        if (peerID !== fromPeerID) {
-          relayPromises.push(this.sendPacketToPeer(peerID, packet));
-        }
-      }
-
-      await Promise.allSettled(relayPromises);
+      // Along the known route, else to all connected peers except sender
+      await this.forwardPacket(packet, fromPeerID);
       this.stats.messagesRelayed++;
 
       console.log(`[KRTR Mesh] Relayed message (TTL: ${packet.ttl})`);
@@ -337,28 +925,38 @@ export class BluetoothMeshService {
 
   async sendMessage(content, recipientID = null, isPrivate = false) {
     try {
-      let payload = Buffer.from(content, 'utf8');
-
-      // Encrypt if private message
-      if (isPrivate && recipientID) {
-        payload = await this.encryptionService.encrypt(payload, recipientID);
+      // Only v1 nodes go by IDs that aren't derived from identity keys
+      if (recipientID && !isPeerID(recipientID)) {
+        return await this.sendLegacyMessage(content, recipientID, isPrivate);
       }
 
-      const packet = new KrtrPacket({
+      const packet = this.createPacket({
         type: MessageType.MESSAGE,
-        senderID: this.encryptionService.getShortID(),
         recipientID: recipientID,
-        payload: payload,
+        payload: Buffer.from(content, 'utf8'),
       });
 
-      // Send to all connected peers
-      const sendPromises = [];
-      for (const peerID of this.connectedPeers.keys()) {
-        sendPromises.push(this.sendPacketToPeer(peerID, packet));
+      // Compress before encrypting; ciphertext doesn't compress
+      this.compressPacket(packet);
+
+      // Addressed messages are acked by their recipient
+      if (recipientID) {
+        this.deliveryTracker.track(packet.messageID, recipientID);
       }
 
-      await Promise.allSettled(sendPromises);
-      this.stats.messagesSent++;
+      if (isPrivate && recipientID) {
+        packet.setFlag(PacketFlags.ENCRYPTED);
+
+        // No session yet, typically with a peer beyond our neighbours: run
+        // the handshake across the mesh and send once it completes
+        if (!(await this.encryptionService.canEncryptFor(recipientID))) {
+          this.queuePrivatePacket(recipientID, packet);
+          return packet;
+        }
+        await this.encryptPrivatePacket(packet);
+      }
+
+      await this.broadcastPacket(packet);
 
       console.log('[KRTR Mesh] Message sent');
       return packet;
@@ -368,10 +966,261 @@ export class BluetoothMeshService {
     }
   }
 
+  /**
+   * Send to a v1 node in the only format it reads: no flags, so no
+   * compression, and no Noise session to encrypt with
+   */
+  async sendLegacyMessage(content, recipientID, isPrivate) {
+    if (isPrivate) {
+      throw new Error(`Can't send private messages to v1 peer ${recipientID}`);
+    }
+
+    const packet = this.createPacket({
+      version: LEGACY_PROTOCOL_VERSION,
+      type: MessageType.MESSAGE,
+      recipientID,
+      payload: Buffer.from(content, 'utf8'),
+    });
+    await this.broadcastPacket(packet);
+
+    console.log(`[KRTR Mesh] Message sent to v1 peer ${recipientID}`);
+    return packet;
+  }
+
+  /**
+   * Encrypt a private packet's payload, binding the header so it can't be
+   * altered
+   */
+  async encryptPrivatePacket(packet) {
+    packet.payload = await this.encryptionService.encrypt(
+      packet.payload,
+      packet.recipientID,
+      BinaryProtocol.encodeAuthenticatedHeader(packet)
+    );
+  }
+
+  /**
+   * Hold a private message until the handshake with its recipient completes.
+   * Only the first message starts the handshake; restarting it for each one
+   * would keep it from ever finishing. Beyond the caps a message fails.
+   */
+  queuePrivatePacket(peerID, packet) {
+    const pending = this.pendingPrivatePackets.get(peerID);
+    let queued = 0;
+    for (const packets of this.pendingPrivatePackets.values()) {
+      queued += packets.length;
+    }
+    if (
+      pending?.length >= this.maxPendingPerPeer ||
+      queued >= this.maxPendingTotal
+    ) {
+      console.warn(
+        `[KRTR Mesh] Private queue full, dropping message for ${peerID}`
+      );
+      this.deliveryTracker.markFailed(packet.messageID);
+      return;
+    }
+
+    if (pending) {
+      pending.push(packet);
+      return;
+    }
+    this.pendingPrivatePackets.set(peerID, [packet]);
+
+    // A session we can't encrypt with is stale, so re-key
+    this.sessionManager.initiateHandshake(peerID, true).catch(error => {
+      console.error(`[KRTR Mesh] Key exchange error for ${peerID}:`, error);
+    });
+    console.log(`[KRTR Mesh] Queued private message until ${peerID} is keyed`);
+  }
+
+  async sendPendingPrivatePackets(peerID) {
+    const pending = this.pendingPrivatePackets.get(peerID);
+    if (!pending) return;
+    this.pendingPrivatePackets.delete(peerID);
+
+    for (const packet of pending) {
+      try {
+        await this.encryptPrivatePacket(packet);
+        await this.broadcastPacket(packet);
+      } catch (error) {
+        console.error(`[KRTR Mesh] Queued send error to ${peerID}:`, error);
+        this.deliveryTracker.markFailed(packet.messageID);
+      }
+    }
+  }
+
+  failPendingPrivatePackets(peerID) {
+    const pending = this.pendingPrivatePackets.get(peerID);
+    if (!pending) return;
+    this.pendingPrivatePackets.delete(peerID);
+
+    for (const packet of pending) {
+      this.deliveryTracker.markFailed(packet.messageID);
+    }
+    console.warn(
+      `[KRTR Mesh] Dropped ${pending.length} private messages for ${peerID}`
+    );
+  }
+
+  /**
+   * Build a packet originating from us, with a fresh random message ID
+   * @param {Object} fields - KrtrPacket fields other than senderID
+   * @returns {KrtrPacket}
+   */
+  createPacket(fields) {
+    const packet = new KrtrPacket({
+      ...fields,
+      senderID: this.encryptionService.getShortID(),
+    });
+
+    // v1 has no extensions; its message ID is the packet hash
+    if (packet.version !== LEGACY_PROTOCOL_VERSION) {
+      packet.extensions.set(
+        PacketExtension.MESSAGE_ID,
+        Buffer.from(Crypto.getRandomBytes(MESSAGE_ID_LENGTH))
+      );
+    }
+    return packet;
+  }
+
+  /**
+   * Compress the payload in place when that makes it smaller. Must run
+   * before encryption, which authenticates the COMPRESSED flag.
+   * @param {KrtrPacket} packet - Packet we originated
+   */
+  compressPacket(packet) {
+    const { data, compressed } = this.compression.compress(packet.payload);
+    if (compressed) {
+      packet.payload = data;
+      packet.setFlag(PacketFlags.COMPRESSED);
+    }
+    return packet;
+  }
+
+  /**
+   * Send a packet we originated: along the known route when it is
+   * addressed, otherwise to all connected peers
+   * @param {KrtrPacket} packet - Packet to send
+   */
+  async broadcastPacket(packet) {
+    await this.signPacket(packet);
+
+    // Our own packet may be relayed back to us
+    this.deduplicator.markSeen(this.generateMessageID(packet));
+
+    await this.forwardPacket(packet);
+    this.stats.messagesSent++;
+  }
+
+  /**
+   * Send an addressed packet to its next hop, flooding when no route is
+   * known or the next hop can't be reached
+   * @param {KrtrPacket} packet - Packet to send
+   * @param {string|null} fromPeerID - Neighbour it came from, never sent back
+   */
+  async forwardPacket(packet, fromPeerID = null) {
+    const nextHop = this.findNextHop(packet, fromPeerID);
+    if (nextHop) {
+      try {
+        await this.sendPacketToPeer(nextHop, packet);
+        this.stats.packetsRouted++;
+        return;
+      } catch (error) {
+        console.warn(`[KRTR Mesh] Route via ${nextHop} failed, flooding`);
+        this.routingTable.removeNextHop(nextHop);
+      }
+    }
+
+    const sendPromises = [];
+    for (const peerID of this.connectedPeers.keys()) {
+      if (peerID !== fromPeerID) {
+        sendPromises.push(this.sendPacketToPeer(peerID, packet));
+      }
+    }
+
+    await Promise.allSettled(sendPromises);
+    if (packet.recipientID) {
+      this.stats.packetsFlooded++;
+    }
+  }
+
+  /**
+   * @returns {string|null} - Connected neighbour to send an addressed packet
+   *   to, or null to flood
+   */
+  findNextHop(packet, fromPeerID = null) {
+    const { recipientID } = packet;
+    if (!recipientID) return null;
+
+    if (this.connectedPeers.has(recipientID)) return recipientID;
+
+    const nextHop = this.routingTable.getNextHop(recipientID);
+    if (
+      !nextHop ||
+      nextHop === fromPeerID ||
+      !this.connectedPeers.has(nextHop)
+    ) {
+      return null;
+    }
+    return nextHop;
+  }
+
+  /**
+   * v1 packets name peers by 8 UTF-8 bytes, which for a v2 peer is the
+   * start of its ID. Swap in the full IDs, so routing and delivery know one
+   * ID per peer; v1 encoding writes them back as the same bytes.
+   */
+  resolveLegacyIDs(peerID, packet) {
+    // A neighbour sending its own v1 packet names itself by its link ID
+    if (
+      this.hopCount(packet) === 1 &&
+      packet.senderID !== peerID &&
+      packet.senderID === toLegacyID(peerID)
+    ) {
+      this.encryptionService.peerIdentities.registerLegacyID(
+        packet.senderID,
+        peerID
+      );
+    }
+
+    packet.senderID = this.resolveLegacyID(packet.senderID);
+    packet.recipientID = this.resolveLegacyID(packet.recipientID);
+  }
+
+  resolveLegacyID(legacyID) {
+    if (!legacyID) return legacyID;
+
+    const myID = this.encryptionService.getShortID();
+    if (legacyID === toLegacyID(myID)) return myID;
+
+    return (
+      this.encryptionService.peerIdentities.resolveLegacyID(legacyID) ||
+      legacyID
+    );
+  }
+
+  /**
+   * Learn that the packet's originator is reachable via the neighbour that
+   * delivered it, at the distance its TTL has travelled
+   */
+  learnRoute(peerID, packet) {
+    const { senderID } = packet;
+    if (!senderID || senderID === this.encryptionService.getShortID()) return;
+
+    this.routingTable.learn(senderID, peerID, this.hopCount(packet));
+  }
+
+  /**
+   * Hops a packet has travelled, from the TTL it has used up
+   */
+  hopCount(packet) {
+    return Math.max(1, DEFAULT_TTL - packet.ttl + 1);
+  }
+
   async sendPacketToPeer(peerID, packet) {
     try {
-      const device = this.connectedPeers.get(peerID);
-      if (!device) {
+      if (!this.connectedPeers.has(peerID)) {
         throw new Error(`Peer ${peerID} not connected`);
       }
 
@@ -380,34 +1229,66 @@ export class BluetoothMeshService {
         throw new Error('Failed to encode packet');
       }
 
-      const characteristic = await device.characteristicForService(
-        KRTR_SERVICE_UUID,
-        KRTR_CHARACTERISTIC_UUID
-      );
-
-      const base64Data = data.toString('base64');
-      await characteristic.writeWithResponse(base64Data);
-
-      this.stats.bytesTransmitted += data.length;
+      await this.sendLinkData(peerID, data, this.generateMessageID(packet));
     } catch (error) {
       console.error(`[KRTR Mesh] Send packet error to ${peerID}:`, error);
       throw error;
     }
   }
 
-  // Utility methods
-  extractPeerID(deviceName) {
-    if (!deviceName || !deviceName.startsWith('KRTR-')) return null;
-    return deviceName.substring(5);
+  /**
+   * Largest frame we put on the link to a peer: its MTU, capped by the
+   * power mode's fragment size
+   */
+  getMaxFrameSize(peerID) {
+    return Math.min(
+      this.peerMTU.get(peerID) || Infinity,
+      this.fragmentation.maxFragmentSize
+    );
   }
 
-  generateMessageID(packet) {
-    return `${packet.senderID}-${packet.timestamp}`;
+  /**
+   * Put an encoded packet or NACK on the link to a neighbour, split into
+   * fragment frames when it exceeds the link's frame size. Each hop
+   * reassembles and fragments again, so every link gets its own MTU.
+   * @param {string} peerID - Connected peer
+   * @param {Buffer} data - Frame to deliver
+   * @param {string} messageID - Hex ID naming its fragments
+   */
+  async sendLinkData(peerID, data, messageID) {
+    const maxFrameSize = this.getMaxFrameSize(peerID);
+    if (data.length <= maxFrameSize) {
+      await this.sendFrame(peerID, data);
+      return;
+    }
+
+    const frames = this.fragmentation
+      .fragment(data, messageID, maxFrameSize)
+      .map(fragment => fragment.data);
+
+    // Kept until the peer has had a chance to NACK what it missed
+    this.fragmentation.cacheSentFragments(peerID, messageID, frames);
+
+    for (const frame of frames) {
+      await this.sendFrame(peerID, frame);
+    }
   }
 
-  shouldRelay(packet) {
-    // Don't relay if TTL is 0 or we've already processed this message
-    return packet.ttl > 0;
+  async sendFrame(peerID, frame) {
+    await this.transport.send(peerID, frame);
+    this.stats.bytesTransmitted += frame.length;
+  }
+
+  // Utility methods
+  /**
+   * Carried message ID, or for v1 packets a hash of the signed content
+   */
+  generateMessageID(packet) {
+    if (packet.messageID) return packet.messageID;
+
+    return Buffer.from(sha256(BinaryProtocol.encodeSignableData(packet)))
+      .subarray(0, MESSAGE_ID_LENGTH)
+      .toString('hex');
   }
 
   getAdvertisingInterval(powerMode) {
@@ -439,18 +1320,24 @@ export class BluetoothMeshService {
     };
 
     this.maxConnections = connectionLimits[powerMode] || 10;
+    this.compression.updateForPowerMode(powerMode);
+    this.fragmentation.updateForPowerMode(powerMode);
+    this.relayPolicy.configure(
+      this.batteryOptimizer.getRelaySettings(powerMode)
+    );
     console.log(
       `[KRTR Mesh] Adjusted for power mode: ${powerMode}, max connections: ${this.maxConnections}`
     );
   }
 
   scheduleDutyCycle(scanDuration, pauseDuration) {
-    setTimeout(() => {
+    clearTimeout(this.dutyCycleTimer);
+    this.dutyCycleTimer = setTimeout(() => {
       if (this.isScanning) {
-        this.bleManager.stopDeviceScan();
+        this.transport.stopDiscovery();
         this.isScanning = false;
 
-        setTimeout(() => {
+        this.dutyCycleTimer = setTimeout(() => {
           if (!this.isScanning) {
             this.startScanning();
           }
@@ -459,45 +1346,510 @@ export class BluetoothMeshService {
     }, scanDuration);
   }
 
+  /**
+   * Broadcast a signed ANNOUNCE beacon with our nickname, capabilities and
+   * identity key
+   */
+  async sendAnnounce() {
+    try {
+      if (this.connectedPeers.size === 0) return;
+
+      const { identityKey, signingKey } =
+        this.encryptionService.getCombinedPublicKeyData();
+      const announce = new PeerAnnounce({
+        nickname: this.nickname,
+        capabilities: this.getCapabilities(),
+        fingerprint: this.encryptionService.getIdentityFingerprint(),
+        identityKey,
+        signingKey,
+      });
+
+      const packet = this.createPacket({
+        type: MessageType.ANNOUNCE,
+        payload: announce.encode(),
+      });
+      await this.broadcastPacket(packet);
+    } catch (error) {
+      console.error('[KRTR Mesh] Announce error:', error);
+    }
+  }
+
+  getCapabilities() {
+    return {
+      protocolVersion: PROTOCOL_VERSION,
+      compression: true,
+      fragmentation: true,
+      zk: typeof this.zkService?.verifyMembershipProof === 'function',
+    };
+  }
+
   async handlePeerAnnouncement(peerID, packet) {
     try {
       // Update peer information
       this.peerLastSeen.set(peerID, Date.now());
-      console.log(`[KRTR Mesh] Received announcement from ${peerID}`);
+
+      const messageID = this.generateMessageID(packet);
+      if (this.deduplicator.isDuplicate(messageID)) {
+        this.relayPolicy.recordCopy(messageID);
+        return;
+      }
+      this.deduplicator.markSeen(messageID);
+
+      if (packet.senderID === this.encryptionService.getShortID()) return;
+
+      const announce = PeerAnnounce.decode(packet.payload);
+      if (!announce) return;
+
+      // The keys must be the ones the peer ID was derived from, and the
+      // packet signed with the announced one: then only the key's holder
+      // can announce this ID
+      const { identityKey, signingKey } = announce;
+      if (
+        derivePeerID(identityKey, signingKey) !== packet.senderID ||
+        fingerprintOf(identityKey, signingKey) !== announce.fingerprint
+      ) {
+        console.warn(
+          `[KRTR Mesh] Announcement identity does not match ${packet.senderID}`
+        );
+        return;
+      }
+      if (!this.isSignedBy(packet, signingKey)) {
+        console.warn(
+          `[KRTR Mesh] Dropping unsigned announcement from ${packet.senderID}`
+        );
+        return;
+      }
+      packet.isVerified = true;
+
+      this.encryptionService.peerIdentities.register(packet.senderID, {
+        identityKey: announce.identityKey,
+        signingKey: announce.signingKey,
+      });
+      this.peerDirectory.update(packet.senderID, announce, {
+        via: peerID,
+        hops: this.hopCount(packet),
+        verified: packet.isVerified,
+        announcedAt: packet.timestamp,
+      });
+
+      this.considerRelay(packet, peerID, messageID);
+
+      console.log(`[KRTR Mesh] Received announcement from ${packet.senderID}`);
     } catch (error) {
       console.error('[KRTR Mesh] Peer announcement error:', error);
     }
   }
 
+  /**
+   * Broadcast a signed LEAVE so peers drop us now rather than on timeout
+   */
+  async sendLeave() {
+    try {
+      if (this.connectedPeers.size === 0) return;
+
+      const packet = this.createPacket({
+        type: MessageType.LEAVE,
+        payload: Buffer.alloc(0),
+      });
+      await this.broadcastPacket(packet);
+    } catch (error) {
+      console.error('[KRTR Mesh] Leave error:', error);
+    }
+  }
+
+  async handleLeave(peerID, packet) {
+    try {
+      const messageID = this.generateMessageID(packet);
+      if (this.deduplicator.isDuplicate(messageID)) {
+        this.relayPolicy.recordCopy(messageID);
+        return;
+      }
+      this.deduplicator.markSeen(messageID);
+
+      const { senderID } = packet;
+      if (senderID === this.encryptionService.getShortID()) return;
+
+      // Only the peer itself can say it's leaving
+      if (!packet.isVerified) {
+        console.warn(`[KRTR Mesh] Ignoring unverified LEAVE from ${senderID}`);
+        return;
+      }
+
+      this.cancelReconnect(senderID);
+      this.handlePeerDisconnected(senderID, { graceful: true });
+      this.routingTable.removeNextHop(senderID);
+      this.peerDirectory.remove(senderID);
+
+      this.considerRelay(packet, peerID, messageID);
+
+      console.log(`[KRTR Mesh] Peer left: ${senderID}`);
+    } catch (error) {
+      console.error('[KRTR Mesh] Leave handling error:', error);
+    }
+  }
+
+  /**
+   * Check a packet's signature against a key we haven't authenticated
+   * through a handshake
+   */
+  isSignedBy(packet, signingKey) {
+    return (
+      !!signingKey &&
+      !!packet.signature &&
+      this.encryptionService.verifyWithKey(
+        packet.signature,
+        BinaryProtocol.encodeSignableData(packet),
+        signingKey
+      )
+    );
+  }
+
+  /**
+   * Deduplicate an addressed control packet, passing it on if it's for
+   * someone else
+   * @param {Object} options - {requireVerified}: drop it unless signed by
+   *   the sender's known key
+   * @returns {boolean} - Whether it's ours to handle
+   */
+  receiveAddressedPacket(peerID, packet, { requireVerified = true } = {}) {
+    const messageID = this.generateMessageID(packet);
+    if (this.deduplicator.isDuplicate(messageID)) {
+      this.relayPolicy.recordCopy(messageID);
+      return false;
+    }
+    this.deduplicator.markSeen(messageID);
+
+    if (packet.recipientID !== this.encryptionService.getShortID()) {
+      this.considerRelay(packet, peerID, messageID);
+      return false;
+    }
+
+    if (requireVerified && !packet.isVerified) {
+      console.warn(
+        `[KRTR Mesh] Ignoring unverified ${packet.type} from ${packet.senderID}`
+      );
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Ack a message addressed to us, routed back to its sender
+   * @param {string} messageID - Message being acked
+   * @param {string} senderID - Its originator
+   * @param {KrtrPacket|null} packet - The message, for the hop count
+   */
+  async sendDeliveryAck(messageID, senderID, packet = null) {
+    try {
+      const ack = new DeliveryAck(
+        messageID,
+        this.encryptionService.getShortID(),
+        this.nickname,
+        packet ? this.hopCount(packet) : 0
+      );
+      await this.broadcastPacket(
+        this.createPacket({
+          type: MessageType.DELIVERY_ACK,
+          recipientID: senderID,
+          payload: ack.encode(),
+        })
+      );
+    } catch (error) {
+      console.error(`[KRTR Mesh] Delivery ack error to ${senderID}:`, error);
+    }
+  }
+
   async handleDeliveryAck(peerID, packet) {
     try {
-      // Parse delivery acknowledgment
-      const ackData = JSON.parse(packet.payload.toString('utf8'));
-      this.delegate?.didReceiveDeliveryAck?.(ackData);
-      console.log(`[KRTR Mesh] Received delivery ack from ${peerID}`);
+      const isForUs = this.receiveAddressedPacket(peerID, packet);
+      if (!isForUs) {
+        await this.releaseDeliveredCustody(packet);
+        return;
+      }
+
+      const ack = DeliveryAck.decode(packet.payload);
+      if (!ack || ack.recipientID !== packet.senderID) return;
+
+      this.deliveryTracker.markDelivered(
+        ack.originalMessageID,
+        packet.senderID
+      );
+      this.delegate?.didReceiveDeliveryAck?.(ack);
+      console.log(`[KRTR Mesh] Received delivery ack from ${packet.senderID}`);
     } catch (error) {
       console.error('[KRTR Mesh] Delivery ack error:', error);
     }
   }
 
-  setupMaintenanceTasks() {
-    // Clean up old processed messages every 5 minutes
-    setInterval(() => {
-      if (this.processedMessages.size > 1000) {
-        this.processedMessages.clear();
-        console.log('[KRTR Mesh] Cleared processed messages cache');
+  /**
+   * Tell a sender we read their message
+   * @param {string} messageID - ID the message was delivered with
+   * @param {string} senderID - Its originator
+   */
+  async sendReadReceipt(messageID, senderID) {
+    try {
+      const received = this.deliveryTracker.getReceived(messageID);
+      if (received?.senderID !== senderID) return;
+      if (!this.deliveryTracker.markReadLocally(messageID)) return;
+
+      await this.broadcastReadReceipt(messageID, senderID);
+    } catch (error) {
+      console.error(`[KRTR Mesh] Read receipt error to ${senderID}:`, error);
+    }
+  }
+
+  async broadcastReadReceipt(messageID, senderID) {
+    const receipt = new ReadReceipt(
+      messageID,
+      this.encryptionService.getShortID(),
+      this.nickname
+    );
+    await this.broadcastPacket(
+      this.createPacket({
+        type: MessageType.READ_RECEIPT,
+        recipientID: senderID,
+        payload: receipt.encode(),
+      })
+    );
+  }
+
+  async handleReadReceipt(peerID, packet) {
+    try {
+      if (!this.receiveAddressedPacket(peerID, packet)) return;
+
+      const receipt = ReadReceipt.decode(packet.payload);
+      if (!receipt || receipt.readerID !== packet.senderID) return;
+
+      this.deliveryTracker.markRead(receipt.originalMessageID, packet.senderID);
+      this.delegate?.didReceiveReadReceipt?.(receipt);
+    } catch (error) {
+      console.error('[KRTR Mesh] Read receipt error:', error);
+    }
+  }
+
+  /**
+   * Ask recipients about messages that haven't been acked in time
+   */
+  async sendDeliveryStatusRequests() {
+    const stalled = this.deliveryTracker.collectStalled();
+
+    for (const [recipientID, messageIDs] of stalled) {
+      try {
+        const request = new DeliveryStatusRequest(
+          messageIDs,
+          this.encryptionService.getShortID()
+        );
+        await this.broadcastPacket(
+          this.createPacket({
+            type: MessageType.DELIVERY_STATUS_REQUEST,
+            recipientID,
+            payload: request.encode(),
+          })
+        );
+      } catch (error) {
+        console.error(
+          `[KRTR Mesh] Delivery status request error to ${recipientID}:`,
+          error
+        );
+      }
+    }
+  }
+
+  /**
+   * Ack again whatever the requester sent us; messages we never got stay
+   * unanswered
+   */
+  async handleDeliveryStatusRequest(peerID, packet) {
+    try {
+      if (!this.receiveAddressedPacket(peerID, packet)) return;
+
+      const request = DeliveryStatusRequest.decode(packet.payload);
+      if (!request) return;
+
+      for (const messageID of request.messageIDs) {
+        const received = this.deliveryTracker.getReceived(messageID);
+        if (received?.senderID !== packet.senderID) continue;
+
+        await this.sendDeliveryAck(messageID, packet.senderID);
+        if (received.read) {
+          await this.broadcastReadReceipt(messageID, packet.senderID);
+        }
+      }
+    } catch (error) {
+      console.error('[KRTR Mesh] Delivery status request error:', error);
+    }
+  }
+
+  /**
+   * Carry an addressed packet we have no route for, so it can still reach
+   * its recipient when we meet it or a peer closer to it
+   */
+  async considerCustody(peerID, packet, messageID) {
+    try {
+      const { recipientID, senderID } = packet;
+      if (!recipientID || this.findNextHop(packet, peerID)) return;
+
+      const accepted = await this.storeAndForward.acceptCustody(packet, {
+        messageID,
+        fromPeerID: peerID,
+        isVerified: packet.isVerified,
+        // Only our own favourites get the long custody tier, and a sender
+        // ID only counts once its signature checked out
+        isFavorite:
+          this.isFavorite(recipientID) ||
+          (packet.isVerified && this.isFavorite(senderID)),
+      });
+      if (accepted) {
+        await this.sendCustodyAck(peerID, messageID);
+      }
+    } catch (error) {
+      console.error('[KRTR Mesh] Custody error:', error);
+    }
+  }
+
+  /**
+   * An ack passing through from the recipient ends our custody of the
+   * message it acks
+   */
+  async releaseDeliveredCustody(packet) {
+    if (!this.storeAndForward.hasCustody()) return;
+
+    const ack = DeliveryAck.decode(packet.payload);
+    if (
+      !ack ||
+      ack.recipientID !== packet.senderID ||
+      !this.storeAndForward.hasCustody(ack.originalMessageID) ||
+      !packet.isVerified
+    ) {
+      return;
+    }
+
+    await this.storeAndForward.releaseCustody(
+      ack.originalMessageID,
+      packet.senderID
+    );
+  }
+
+  async sendCustodyAck(peerID, messageID) {
+    const ack = new CustodyAck(messageID, this.encryptionService.getShortID());
+    await this.broadcastPacket(
+      this.createPacket({
+        type: MessageType.CUSTODY_ACK,
+        recipientID: peerID,
+        payload: ack.encode(),
+      })
+    );
+  }
+
+  async handleCustodyAck(peerID, packet) {
+    try {
+      if (!this.receiveAddressedPacket(peerID, packet)) return;
+
+      const ack = CustodyAck.decode(packet.payload);
+      if (!ack || ack.custodianID !== packet.senderID) return;
+
+      await this.storeAndForward.releaseCustody(ack.messageID, packet.senderID);
+      this.delegate?.didReceiveCustodyAck?.(ack);
+    } catch (error) {
+      console.error('[KRTR Mesh] Custody ack error:', error);
+    }
+  }
+
+  /**
+   * Hand carried packets to their recipient, or to the neighbour a route to
+   * it now goes through
+   * @param {string|null} peerID - Newly connected neighbour, or null for all
+   */
+  async handOffCustody(peerID = null) {
+    const neighbours = peerID
+      ? [peerID]
+      : Array.from(this.connectedPeers.keys());
+
+    for (const record of this.storeAndForward.getCustodyMessages()) {
+      const nextHop = this.connectedPeers.has(record.recipientID)
+        ? record.recipientID
+        : this.routingTable.getNextHop(record.recipientID);
+      if (
+        !nextHop ||
+        !neighbours.includes(nextHop) ||
+        record.offeredTo.includes(nextHop)
+      ) {
+        continue;
+      }
+
+      try {
+        const packet = KrtrPacket.fromBinaryData(
+          Buffer.from(record.data, 'base64')
+        );
+        packet.ttl = Math.max(packet.ttl, 1);
+        await this.sendPacketToPeer(nextHop, packet);
+
+        // A relay confirms with a custody ack; the recipient is the end
+        if (nextHop === record.recipientID) {
+          await this.storeAndForward.releaseCustody(record.id, nextHop);
+        } else {
+          await this.storeAndForward.markOffered(record.id, nextHop);
+        }
+      } catch (error) {
+        console.error(
+          `[KRTR Mesh] Custody hand-off error for ${record.id}:`,
+          error
+        );
       }
+    }
+  }
+
+  /**
+   * @returns {string|null} - DeliveryStatus of a message we sent
+   */
+  getDeliveryStatus(messageID) {
+    return this.deliveryTracker.getStatus(messageID);
+  }
+
+  /**
+   * @returns {Object|null} - Summary and per-recipient status of a message
+   *   we sent, see DeliveryTracker.toInfo
+   */
+  getDelivery(messageID) {
+    return this.deliveryTracker.getDelivery(messageID);
+  }
+
+  setupMaintenanceTasks() {
+    // Expire old message IDs every 5 minutes
+    const dedupTimer = setInterval(() => {
+      this.deduplicator.evict();
     }, 5 * 60 * 1000);
 
+    // Request missing fragments once a reassembly stalls
+    const fragmentNackTimer = setInterval(() => {
+      this.sendFragmentNacks();
+    }, this.fragmentation.nackDelay / 2);
+
+    // Age out routes every minute, and try carried packets on new ones
+    const routeTimer = setInterval(() => {
+      this.routingTable.prune();
+      this.handOffCustody();
+    }, 60 * 1000);
+
+    // Query recipients about unacked messages
+    const deliveryTimer = setInterval(() => {
+      this.sendDeliveryStatusRequests();
+    }, 5 * 1000);
+
+    // Announce ourselves periodically
+    const announceTimer = setInterval(() => {
+      this.sendAnnounce();
+    }, this.announceInterval);
+
     // Update peer list every 30 seconds
-    setInterval(() => {
+    const peerListTimer = setInterval(() => {
       this.delegate?.didUpdatePeerList?.(
         Array.from(this.connectedPeers.keys())
       );
     }, 30 * 1000);
 
     // Clean up stale peer data every 2 minutes
-    setInterval(() => {
+    const staleTimer = setInterval(() => {
       const now = Date.now();
       const staleThreshold = 5 * 60 * 1000; // 5 minutes
 
@@ -507,7 +1859,19 @@ export class BluetoothMeshService {
           this.peerRSSI.delete(peerID);
         }
       }
+
+      this.peerDirectory.prune(now);
     }, 2 * 60 * 1000);
+
+    this.maintenanceTimers.push(
+      dedupTimer,
+      fragmentNackTimer,
+      routeTimer,
+      deliveryTimer,
+      announceTimer,
+      peerListTimer,
+      staleTimer
+    );
   }
 
   // Public API
@@ -519,24 +1883,152 @@ export class BluetoothMeshService {
     return this.peerRSSI.get(peerID) || null;
   }
 
+  /**
+   * Add or remove a favourite and tell the peer, so it retains for us too
+   * @param {string} peerID - Peer whose identity we know
+   * @param {boolean} isFavorite - Add or remove
+   */
+  async setFavorite(peerID, isFavorite = true) {
+    const fingerprint = this.getPeerFingerprint(peerID);
+    if (!fingerprint) {
+      throw new Error(`Unknown identity for peer: ${peerID}`);
+    }
+
+    if (isFavorite) {
+      await this.favorites.add(fingerprint, {
+        nickname: this.peerDirectory.get(peerID)?.nickname,
+        peerID,
+      });
+    } else {
+      await this.favorites.remove(fingerprint);
+      this.cancelReconnect(peerID);
+    }
+
+    await this.sendFavoriteStatus(peerID, isFavorite);
+  }
+
+  isFavorite(peerID) {
+    return this.favorites.isFavorite(this.getPeerFingerprint(peerID));
+  }
+
+  /**
+   * Whether either of us has favourited the other
+   */
+  shouldRetainFor(peerID) {
+    return this.favorites.shouldRetainFor(this.getPeerFingerprint(peerID));
+  }
+
+  getPeerFingerprint(peerID) {
+    return (
+      this.encryptionService.peerIdentities.resolve(peerID)?.fingerprint ||
+      this.encryptionService.getPeerFingerprint(peerID)
+    );
+  }
+
+  async sendFavoriteStatus(peerID, isFavorite) {
+    try {
+      const status = new FavoriteStatus(isFavorite, this.nickname);
+      await this.broadcastPacket(
+        this.createPacket({
+          type: MessageType.FAVORITE_STATUS,
+          recipientID: peerID,
+          payload: status.encode(),
+        })
+      );
+    } catch (error) {
+      console.error(`[KRTR Mesh] Favourite status error to ${peerID}:`, error);
+    }
+  }
+
+  async handleFavoriteStatus(peerID, packet) {
+    try {
+      if (!this.receiveAddressedPacket(peerID, packet)) return;
+
+      const status = FavoriteStatus.decode(packet.payload);
+      const fingerprint = this.getPeerFingerprint(packet.senderID);
+      if (!status || !fingerprint) return;
+
+      await this.favorites.setFavoritedBy(
+        fingerprint,
+        status.isFavorite,
+        packet.senderID
+      );
+      this.delegate?.didUpdateFavoriteStatus?.(
+        packet.senderID,
+        status.isFavorite
+      );
+    } catch (error) {
+      console.error('[KRTR Mesh] Favourite status error:', error);
+    }
+  }
+
+  /**
+   * Announce a new nickname to the mesh
+   */
+  async setNickname(nickname) {
+    this.nickname = nickname;
+    await this.sendAnnounce();
+  }
+
+  /**
+   * Peers heard announcing, directly or via relays
+   */
+  getKnownPeers() {
+    return this.peerDirectory.list();
+  }
+
+  /**
+   * Known routes: [{destination, nextHop, hops, age}]
+   */
+  getRoutingTable() {
+    return this.routingTable.getRoutes();
+  }
+
   getStats() {
     return {
       ...this.stats,
       connectedPeers: this.connectedPeers.size,
+      duplicatesDropped: this.deduplicator.stats.duplicatesDropped,
+      dedupCacheSize: this.deduplicator.entries.size,
       knownPeers: this.peerLastSeen.size,
+      knownRoutes: this.routingTable.routes.size,
+      compression: this.compression.getStats(),
+      fragmentation: this.fragmentation.getStats(),
+      relay: this.relayPolicy.getStats(),
+      delivery: this.deliveryTracker.getStats(),
+      favorites: this.favorites.getStats(),
     };
   }
 
   async disconnect() {
     try {
-      this.bleManager.stopDeviceScan();
-      await this.bleManager.stopDeviceAdvertising();
+      // Say goodbye while the links are still up
+      await this.sendLeave();
+
+      clearTimeout(this.dutyCycleTimer);
+      this.dutyCycleTimer = null;
+      for (const peerID of Array.from(this.reconnectAttempts.keys())) {
+        this.cancelReconnect(peerID);
+      }
+
+      this.transport.stopDiscovery();
+      await this.transport.stopAdvertising();
+      await this.transport.disconnect();
 
-      for (const device of this.connectedPeers.values()) {
-        await device.cancelConnection();
+      for (const timer of this.maintenanceTimers) {
+        clearInterval(timer);
       }
+      this.maintenanceTimers = [];
+      this.sessionManager.destroy();
+      this.pendingPrivatePackets.clear();
+      this.channelService.destroy();
+      this.fragmentation.destroy();
 
       this.connectedPeers.clear();
+      this.peerRSSI.clear();
+      this.peerMTU.clear();
+      this.routingTable.clear();
+      this.peerDirectory.clear();
       this.isScanning = false;
       this.isAdvertising = false;
 
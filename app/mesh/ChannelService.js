@@ -0,0 +1,600 @@
+/**
+ * KRTR Channel Service - Named group channels over the mesh
+ * Handles join/leave, membership, topics, owner-set retention and
+ * password-protected channels keyed through SimpleCryptoService
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Buffer } from 'buffer';
+import {
+  MessageType,
+  BinaryProtocol,
+  ChannelAnnounce,
+  ChannelRetention,
+  ChannelMessage,
+  PacketFlags,
+} from '../protocols/KrtrProtocol';
+import { MessageAuthenticationError } from '../crypto/Aead';
+
+export class ChannelService {
+  constructor({ storagePrefix = 'krtr' } = {}) {
+    this.storageKey = `${storagePrefix}_channels`;
+    this.meshService = null;
+
+    this.channels = new Map(); // channel name -> joined channel state
+    this.announcements = new Map(); // channel name -> latest ChannelAnnounce
+
+    // Limits
+    this.maxMessagesPerChannel = 500; // in-memory stream when retention is off
+    this.memberTimeout = 10 * 60 * 1000; // members silent this long are dropped
+    this.announceIntervalMs = 60 * 1000; // re-announce joined channels
+
+    this.announceInterval = null;
+
+    this.ready = this.initialize();
+  }
+
+  async initialize() {
+    try {
+      await this.loadChannels();
+      console.log('[KRTR Channels] Channel service initialized');
+    } catch (error) {
+      console.error('[KRTR Channels] Initialization error:', error);
+    }
+  }
+
+  /**
+   * Bind to a mesh service: registers packet handlers and starts announcing
+   * @param {BluetoothMeshService} meshService - Mesh to send and receive through
+   */
+  attach(meshService) {
+    this.meshService = meshService;
+
+    meshService.on(MessageType.CHANNEL_ANNOUNCE, (peerID, packet) =>
+      this.handleChannelAnnounce(packet)
+    );
+    meshService.on(MessageType.CHANNEL_RETENTION, (peerID, packet) =>
+      this.handleChannelRetention(packet)
+    );
+
+    this.announceInterval = setInterval(() => {
+      this.announceChannels().catch(error => {
+        console.error('[KRTR Channels] Announce error:', error);
+      });
+    }, this.announceIntervalMs);
+  }
+
+  get cryptoService() {
+    return this.meshService.encryptionService;
+  }
+
+  getMyPeerID() {
+    return this.cryptoService.getShortID();
+  }
+
+  // Channel API
+
+  /**
+   * Join a channel, creating it (and becoming its owner) if nobody has
+   * announced it yet
+   * @param {string} name - Channel name, e.g. '#general'
+   * @param {string|null} password - Required for password-protected channels
+   * @returns {Promise<Object>} - Channel summary
+   */
+  async join(name, password = null) {
+    const channelName = this.normalizeName(name);
+    if (this.channels.has(channelName)) {
+      return this.getChannel(channelName);
+    }
+
+    const announcement = this.announcements.get(channelName);
+    const channel = {
+      name: channelName,
+      creatorID: announcement ? announcement.creatorID : this.getMyPeerID(),
+      // A password wins over an announcement claiming the channel is open,
+      // so a forged one can't talk us into sending in the clear
+      isPasswordProtected: !!password || !!announcement?.isPasswordProtected,
+      keyEpoch: announcement ? announcement.keyEpoch : 0,
+      topic: announcement ? announcement.topic : null,
+      retention: new ChannelRetention({ channel: channelName }),
+      members: new Map([[this.getMyPeerID(), Date.now()]]),
+      messages: [],
+      joinedAt: Date.now(),
+    };
+
+    if (channel.isPasswordProtected) {
+      if (!password) {
+        throw new Error(`Channel ${channelName} requires a password`);
+      }
+
+      if (announcement?.isPasswordProtected) {
+        const valid = await this.cryptoService.registerChannelKey(
+          channelName,
+          password,
+          announcement
+        );
+        if (!valid) {
+          throw new Error(`Incorrect password for ${channelName}`);
+        }
+      } else {
+        const params = await this.cryptoService.createChannelKey(
+          channelName,
+          password
+        );
+        channel.keyEpoch = params.keyEpoch;
+      }
+    }
+
+    this.channels.set(channelName, channel);
+    await this.saveChannels();
+    await this.announceChannel(channel);
+
+    console.log(`[KRTR Channels] Joined ${channelName}`);
+    return this.getChannel(channelName);
+  }
+
+  async leave(name) {
+    const channelName = this.normalizeName(name);
+    const channel = this.channels.get(channelName);
+    if (!channel) return;
+
+    await this.announceChannel(channel, false);
+
+    this.channels.delete(channelName);
+    await this.cryptoService.removeChannelKey(channelName);
+    await this.saveChannels();
+
+    console.log(`[KRTR Channels] Left ${channelName}`);
+  }
+
+  list() {
+    return Array.from(this.channels.keys()).map(name => this.getChannel(name));
+  }
+
+  getChannel(name) {
+    const channel = this.channels.get(this.normalizeName(name));
+    if (!channel) return null;
+
+    return {
+      name: channel.name,
+      creatorID: channel.creatorID,
+      isOwner: this.isOwner(channel),
+      isPasswordProtected: channel.isPasswordProtected,
+      keyEpoch: channel.keyEpoch,
+      topic: channel.topic,
+      retention: { ...channel.retention },
+      members: this.getMembers(channel.name),
+      messageCount: channel.messages.length,
+    };
+  }
+
+  getMembers(name) {
+    const channel = this.channels.get(this.normalizeName(name));
+    if (!channel) return [];
+
+    this.pruneMembers(channel);
+    return Array.from(channel.members.keys());
+  }
+
+  getMessages(name) {
+    const channel = this.channels.get(this.normalizeName(name));
+    return channel ? [...channel.messages] : [];
+  }
+
+  async setTopic(name, topic) {
+    const channel = this.requireOwnedChannel(name);
+    channel.topic = topic;
+
+    await this.saveChannels();
+    await this.announceChannel(channel);
+  }
+
+  /**
+   * Set the retention policy members apply to this channel's history
+   * @param {string} name - Channel we own
+   * @param {Object} policy - {enabled, maxMessages, maxAge}
+   */
+  async setRetention(name, policy) {
+    const channel = this.requireOwnedChannel(name);
+    channel.retention = new ChannelRetention({
+      ...policy,
+      channel: channel.name,
+    });
+    this.applyRetention(channel);
+
+    await this.saveChannels();
+    await this.sendChannelPacket(
+      MessageType.CHANNEL_RETENTION,
+      channel.retention.encode()
+    );
+  }
+
+  /**
+   * Rotate the password of a channel we own; members keep reading older
+   * messages during the crypto service's grace window
+   */
+  async changePassword(name, password) {
+    const channel = this.requireOwnedChannel(name);
+    const params = await this.cryptoService.rotateChannelKey(
+      channel.name,
+      password
+    );
+
+    channel.isPasswordProtected = true;
+    channel.keyEpoch = params.keyEpoch;
+
+    await this.saveChannels();
+    await this.announceChannel(channel);
+  }
+
+  /**
+   * Send a message to a joined channel. Messages in password-protected
+   * channels name the members expected to ack them, so delivery can be
+   * tracked per member.
+   * @param {string} name - Channel name
+   * @param {string} content - Message text
+   * @param {Object} options - {recipients}: peer IDs expected to ack,
+   *   defaulting to the known members of a protected channel
+   */
+  async sendMessage(name, content, { recipients = null } = {}) {
+    const channelName = this.normalizeName(name);
+    const channel = this.channels.get(channelName);
+    if (!channel) {
+      throw new Error(`Not a member of ${channelName}`);
+    }
+
+    const packet = this.meshService.createPacket({
+      type: MessageType.MESSAGE,
+      payload: Buffer.alloc(0),
+    });
+
+    // Set before encrypting: the header binds the recipient list
+    const expectedRecipients = (
+      recipients ||
+      (channel.isPasswordProtected ? this.getMembers(channelName) : [])
+    ).filter(peerID => peerID !== this.getMyPeerID());
+    packet.setExpectedRecipients(expectedRecipients);
+
+    let body = Buffer.from(content, 'utf8');
+    if (channel.isPasswordProtected) {
+      packet.setFlag(PacketFlags.ENCRYPTED);
+      body = await this.cryptoService.encryptChannelMessage(
+        content,
+        channelName,
+        BinaryProtocol.encodeAuthenticatedHeader(packet)
+      );
+    }
+
+    packet.payload = new ChannelMessage({
+      channel: channelName,
+      content: body,
+      isEncrypted: channel.isPasswordProtected,
+    }).encode();
+
+    // Encrypted bodies are bound to the flags already and won't compress
+    if (!channel.isPasswordProtected) {
+      this.meshService.compressPacket(packet);
+    }
+
+    await this.meshService.broadcastPacket(packet);
+
+    const messageID = this.meshService.generateMessageID(packet);
+    if (expectedRecipients.length > 0) {
+      this.meshService.deliveryTracker.track(messageID, expectedRecipients);
+    }
+
+    this.storeMessage(channel, {
+      id: messageID,
+      channel: channelName,
+      sender: packet.senderID,
+      content,
+      timestamp: new Date(packet.timestamp),
+      isRelay: false,
+      verified: true,
+      senderPeerID: packet.senderID,
+    });
+
+    return packet;
+  }
+
+  // Incoming traffic
+
+  /**
+   * Route a MESSAGE packet carrying a ChannelMessage into its channel stream
+   * @param {string} peerID - Peer that delivered the packet
+   * @param {KrtrPacket} packet - The MESSAGE packet
+   * @param {Buffer} payload - Its payload, decompressed
+   * @returns {Promise<Object|null>} - Message for the delegate, or null
+   */
+  async handleChannelMessage(peerID, packet, payload = packet.payload) {
+    const channelMessage = ChannelMessage.decode(payload);
+    if (!channelMessage) return null;
+
+    const channel = this.channels.get(channelMessage.channel);
+    if (!channel) return null; // Relayed on our behalf only
+
+    if (channel.isPasswordProtected && !channelMessage.isEncrypted) {
+      console.warn(
+        `[KRTR Channels] Dropping plaintext message in ${channel.name}`
+      );
+      return null;
+    }
+
+    let content;
+    if (channelMessage.isEncrypted) {
+      try {
+        content = await this.cryptoService.decryptChannelMessage(
+          channelMessage.content,
+          channel.name,
+          BinaryProtocol.encodeAuthenticatedHeader(packet)
+        );
+      } catch (error) {
+        if (error instanceof MessageAuthenticationError) {
+          console.warn(
+            `[KRTR Channels] Dropping unauthenticated message in ${channel.name}`
+          );
+        }
+        return null;
+      }
+    } else {
+      content = channelMessage.content.toString('utf8');
+    }
+
+    channel.members.set(packet.senderID, Date.now());
+
+    const message = {
+      id: this.meshService.generateMessageID(packet),
+      channel: channel.name,
+      sender: packet.senderID,
+      content,
+      timestamp: new Date(packet.timestamp),
+      isRelay: packet.senderID !== peerID,
+      verified: packet.isVerified,
+      senderPeerID: peerID,
+    };
+    this.storeMessage(channel, message);
+
+    return message;
+  }
+
+  async handleChannelAnnounce(packet) {
+    const announce = ChannelAnnounce.decode(packet.payload);
+    if (!announce) return;
+
+    const channelName = announce.channel;
+    const known = this.announcements.get(channelName);
+
+    // Any member may pass on the key parameters so joiners don't need the
+    // owner in range; a different creator is a conflicting claim and ignored
+    if (
+      !known ||
+      (known.creatorID === announce.creatorID &&
+        announce.keyEpoch >= known.keyEpoch)
+    ) {
+      this.announcements.set(channelName, announce);
+    }
+
+    // Only the owner's announcements change channel settings, and only
+    // when signed by the owner's known key
+    const fromOwner =
+      packet.isVerified && announce.creatorID === packet.senderID;
+
+    const channel = this.channels.get(channelName);
+    if (!channel) return;
+
+    if (announce.isMember) {
+      channel.members.set(packet.senderID, Date.now());
+    } else {
+      channel.members.delete(packet.senderID);
+    }
+
+    if (fromOwner && announce.creatorID === channel.creatorID) {
+      channel.topic = announce.topic;
+      // Once protected, always protected: dropping the password would mean
+      // sending in the clear
+      channel.isPasswordProtected =
+        channel.isPasswordProtected || announce.isPasswordProtected;
+
+      if (announce.keyEpoch > channel.keyEpoch) {
+        channel.keyEpoch = announce.keyEpoch;
+        if (!this.cryptoService.hasChannelKey(channelName, announce.keyEpoch)) {
+          // We can still read older epochs until the grace window closes
+          this.meshService.delegate?.didRequireChannelPassword?.(channelName);
+        }
+      }
+
+      await this.saveChannels();
+    }
+
+    this.meshService.delegate?.didUpdateChannel?.(this.getChannel(channelName));
+  }
+
+  async handleChannelRetention(packet) {
+    const retention = ChannelRetention.decode(packet.payload);
+    if (!retention) return;
+
+    const channel = this.channels.get(retention.channel);
+    if (
+      !channel ||
+      !packet.isVerified ||
+      packet.senderID !== channel.creatorID
+    ) {
+      return;
+    }
+
+    channel.retention = retention;
+    this.applyRetention(channel);
+    await this.saveChannels();
+
+    console.log(`[KRTR Channels] Retention updated for ${channel.name}`);
+    this.meshService.delegate?.didUpdateChannel?.(
+      this.getChannel(channel.name)
+    );
+  }
+
+  /**
+   * Supply the new password after the owner rotated a channel's key
+   */
+  async updatePassword(name, password) {
+    const channelName = this.normalizeName(name);
+    const announcement = this.announcements.get(channelName);
+    if (!this.channels.has(channelName) || !announcement) {
+      throw new Error(`No key parameters known for ${channelName}`);
+    }
+
+    const valid = await this.cryptoService.registerChannelKey(
+      channelName,
+      password,
+      announcement
+    );
+    if (!valid) {
+      throw new Error(`Incorrect password for ${channelName}`);
+    }
+  }
+
+  // Announcements
+
+  async announceChannels() {
+    for (const channel of this.channels.values()) {
+      await this.announceChannel(channel);
+    }
+  }
+
+  async announceChannel(channel, isMember = true) {
+    const keyParameters = channel.isPasswordProtected
+      ? this.cryptoService.getChannelKeyParameters(channel.name)
+      : null;
+
+    const announce = new ChannelAnnounce({
+      channel: channel.name,
+      creatorID: channel.creatorID,
+      isMember,
+      topic: channel.topic,
+      isPasswordProtected: channel.isPasswordProtected,
+      keyEpoch: channel.keyEpoch,
+      ...keyParameters,
+    });
+
+    await this.sendChannelPacket(
+      MessageType.CHANNEL_ANNOUNCE,
+      announce.encode()
+    );
+
+    if (this.isOwner(channel) && isMember) {
+      await this.sendChannelPacket(
+        MessageType.CHANNEL_RETENTION,
+        channel.retention.encode()
+      );
+    }
+  }
+
+  async sendChannelPacket(type, payload) {
+    if (!this.meshService) return;
+
+    const packet = this.meshService.createPacket({ type, payload });
+    await this.meshService.broadcastPacket(packet);
+  }
+
+  // Helpers
+
+  normalizeName(name) {
+    const trimmed = name.trim().toLowerCase();
+    return trimmed.startsWith('#') ? trimmed : `#${trimmed}`;
+  }
+
+  isOwner(channel) {
+    return channel.creatorID === this.getMyPeerID();
+  }
+
+  requireOwnedChannel(name) {
+    const channel = this.channels.get(this.normalizeName(name));
+    if (!channel) {
+      throw new Error(`Not a member of ${this.normalizeName(name)}`);
+    }
+    if (!this.isOwner(channel)) {
+      throw new Error(`Only the owner can change ${channel.name}`);
+    }
+    return channel;
+  }
+
+  storeMessage(channel, message) {
+    channel.messages.push(message);
+    this.applyRetention(channel);
+
+    if (channel.retention.enabled) {
+      this.saveChannels().catch(error => {
+        console.error('[KRTR Channels] Save error:', error);
+      });
+    }
+  }
+
+  applyRetention(channel) {
+    const { maxAge, maxMessages } = channel.retention;
+
+    if (maxAge) {
+      const cutoff = Date.now() - maxAge;
+      channel.messages = channel.messages.filter(
+        message => new Date(message.timestamp).getTime() >= cutoff
+      );
+    }
+
+    const limit = maxMessages || this.maxMessagesPerChannel;
+    if (channel.messages.length > limit) {
+      channel.messages = channel.messages.slice(-limit);
+    }
+  }
+
+  pruneMembers(channel) {
+    const cutoff = Date.now() - this.memberTimeout;
+    for (const [peerID, lastSeen] of channel.members) {
+      if (peerID !== this.getMyPeerID() && lastSeen < cutoff) {
+        channel.members.delete(peerID);
+      }
+    }
+  }
+
+  // Persistence
+
+  async loadChannels() {
+    const data = await AsyncStorage.getItem(this.storageKey);
+    if (!data) return;
+
+    for (const saved of JSON.parse(data)) {
+      this.channels.set(saved.name, {
+        ...saved,
+        retention: new ChannelRetention({
+          ...saved.retention,
+          channel: saved.name,
+        }),
+        members: new Map(),
+        messages: saved.messages.map(message => ({
+          ...message,
+          timestamp: new Date(message.timestamp),
+        })),
+      });
+    }
+  }
+
+  async saveChannels() {
+    const data = Array.from(this.channels.values(), channel => ({
+      name: channel.name,
+      creatorID: channel.creatorID,
+      isPasswordProtected: channel.isPasswordProtected,
+      keyEpoch: channel.keyEpoch,
+      topic: channel.topic,
+      retention: channel.retention,
+      joinedAt: channel.joinedAt,
+      // History is only kept on disk when the owner enabled retention
+      messages: channel.retention.enabled ? channel.messages : [],
+    }));
+
+    await AsyncStorage.setItem(this.storageKey, JSON.stringify(data));
+  }
+
+  destroy() {
+    if (this.announceInterval) {
+      clearInterval(this.announceInterval);
+      this.announceInterval = null;
+    }
+  }
+}
@@ -0,0 +1,326 @@
+/**
+ * KRTR Delivery Tracker - End-to-end status of addressed messages
+ * Moves outgoing messages through SENT, DELIVERED, READ and FAILED as acks,
+ * read receipts and status queries play out, and remembers what we received
+ * so we can answer a sender asking about a message. Group messages track
+ * each expected recipient and summarise as PARTIALLY_DELIVERED until all ack.
+ */
+
+import { DeliveryStatus } from '../protocols/KrtrProtocol';
+
+// A recipient's later states win; a late ack still overrides FAILED
+const STATUS_RANK = {
+  [DeliveryStatus.SENDING]: 0,
+  [DeliveryStatus.SENT]: 1,
+  [DeliveryStatus.FAILED]: 2,
+  [DeliveryStatus.DELIVERED]: 3,
+  [DeliveryStatus.READ]: 4,
+};
+
+export class DeliveryTracker {
+  /**
+   * @param {Object} options - {ackTimeout, statusRequestInterval,
+   *   maxStatusRequests, maxTracked}
+   */
+  constructor({
+    ackTimeout = 15 * 1000, // Wait this long for an ack before asking
+    statusRequestInterval = 30 * 1000,
+    maxStatusRequests = 3, // Unanswered queries before giving up
+    maxTracked = 500,
+  } = {}) {
+    this.ackTimeout = ackTimeout;
+    this.statusRequestInterval = statusRequestInterval;
+    this.maxStatusRequests = maxStatusRequests;
+    this.maxTracked = maxTracked;
+
+    // messageID -> {messageID, recipients: Map peerID -> status, status,
+    //   message, sentAt, updatedAt, statusRequests, lastRequestAt}
+    this.outgoing = new Map();
+    // messageID -> {senderID, receivedAt, read}
+    this.incoming = new Map();
+
+    // Callbacks
+    this.onStatusChanged = null; // (messageID, status, entry) => void
+
+    this.stats = {
+      messagesTracked: 0,
+      recipientsDelivered: 0,
+      recipientsRead: 0,
+      messagesFailed: 0,
+      statusRequestsSent: 0,
+    };
+  }
+
+  /**
+   * Start tracking a message we sent
+   * @param {string} messageID - Packet message ID
+   * @param {string|string[]} recipients - Peer, or peers of a group message,
+   *   expected to ack it
+   * @param {KrtrMessage|null} message - Kept in step via deliveryStatus and
+   *   recipientStatus
+   */
+  track(messageID, recipients, message = null, now = Date.now()) {
+    const peerIDs = Array.isArray(recipients) ? recipients : [recipients];
+    if (peerIDs.length === 0) return;
+
+    this.outgoing.set(messageID, {
+      messageID,
+      recipients: new Map(peerIDs.map(peerID => [peerID, DeliveryStatus.SENT])),
+      status: DeliveryStatus.SENDING,
+      message,
+      sentAt: now,
+      updatedAt: now,
+      statusRequests: 0,
+      lastRequestAt: null,
+    });
+    this.stats.messagesTracked++;
+    this.trim(this.outgoing);
+
+    this.updateSummary(this.outgoing.get(messageID));
+  }
+
+  /**
+   * @param {string} messageID - Acked message
+   * @param {string} fromPeerID - Peer the ack came from
+   * @returns {boolean} - Whether the recipient's status moved forward
+   */
+  markDelivered(messageID, fromPeerID) {
+    const changed = this.setRecipientStatus(
+      messageID,
+      fromPeerID,
+      DeliveryStatus.DELIVERED
+    );
+    if (changed) this.stats.recipientsDelivered++;
+    return changed;
+  }
+
+  markRead(messageID, fromPeerID) {
+    const changed = this.setRecipientStatus(
+      messageID,
+      fromPeerID,
+      DeliveryStatus.READ
+    );
+    if (changed) this.stats.recipientsRead++;
+    return changed;
+  }
+
+  /**
+   * Give up on every recipient that hasn't acked
+   */
+  markFailed(messageID) {
+    const entry = this.outgoing.get(messageID);
+    if (!entry) return false;
+
+    for (const [peerID, status] of entry.recipients) {
+      if (status === DeliveryStatus.SENT) {
+        entry.recipients.set(peerID, DeliveryStatus.FAILED);
+      }
+    }
+
+    const changed = this.updateSummary(entry);
+    if (changed && entry.status === DeliveryStatus.FAILED) {
+      this.stats.messagesFailed++;
+    }
+    return changed;
+  }
+
+  isRecipient(messageID, peerID) {
+    return !!this.outgoing.get(messageID)?.recipients.has(peerID);
+  }
+
+  setRecipientStatus(messageID, peerID, status) {
+    const entry = this.outgoing.get(messageID);
+    const current = entry?.recipients.get(peerID);
+    if (!current || STATUS_RANK[status] <= STATUS_RANK[current]) {
+      return false;
+    }
+
+    entry.recipients.set(peerID, status);
+    this.updateSummary(entry);
+    return true;
+  }
+
+  /**
+   * Recompute the message's status from its recipients' and report changes
+   * @returns {boolean} - Whether the summary changed
+   */
+  updateSummary(entry) {
+    const counts = this.countRecipients(entry);
+    const total = entry.recipients.size;
+
+    let status = DeliveryStatus.SENT;
+    if (counts.read === total) {
+      status = DeliveryStatus.READ;
+    } else if (counts.delivered === total) {
+      status = DeliveryStatus.DELIVERED;
+    } else if (counts.delivered > 0) {
+      status = DeliveryStatus.PARTIALLY_DELIVERED;
+    } else if (counts.failed === total) {
+      status = DeliveryStatus.FAILED;
+    }
+
+    if (entry.message) {
+      entry.message.recipientStatus = Object.fromEntries(entry.recipients);
+    }
+
+    // A group ack can change the count without changing the summary
+    const summaryChanged = status !== entry.status;
+    if (summaryChanged || status === DeliveryStatus.PARTIALLY_DELIVERED) {
+      entry.status = status;
+      entry.updatedAt = Date.now();
+      if (entry.message) {
+        entry.message.deliveryStatus = status;
+      }
+
+      this.onStatusChanged?.(entry.messageID, status, this.toInfo(entry));
+    }
+    return summaryChanged;
+  }
+
+  /**
+   * @returns {Object} - {delivered, read, failed}; read counts as delivered
+   */
+  countRecipients(entry) {
+    const counts = { delivered: 0, read: 0, failed: 0 };
+    for (const status of entry.recipients.values()) {
+      if (status === DeliveryStatus.READ) counts.read++;
+      if (
+        status === DeliveryStatus.READ ||
+        status === DeliveryStatus.DELIVERED
+      ) {
+        counts.delivered++;
+      }
+      if (status === DeliveryStatus.FAILED) counts.failed++;
+    }
+    return counts;
+  }
+
+  getStatus(messageID) {
+    return this.outgoing.get(messageID)?.status || null;
+  }
+
+  getDelivery(messageID) {
+    const entry = this.outgoing.get(messageID);
+    return entry ? this.toInfo(entry) : null;
+  }
+
+  /**
+   * Snapshot for the delegate and UI, e.g. "delivered to 4 of 6"
+   * @returns {Object} - {messageID, status, recipients, deliveredCount,
+   *   recipientCount, sentAt, updatedAt, statusRequests}
+   */
+  toInfo(entry) {
+    return {
+      messageID: entry.messageID,
+      status: entry.status,
+      recipients: Object.fromEntries(entry.recipients),
+      deliveredCount: this.countRecipients(entry).delivered,
+      recipientCount: entry.recipients.size,
+      sentAt: entry.sentAt,
+      updatedAt: entry.updatedAt,
+      statusRequests: entry.statusRequests,
+    };
+  }
+
+  getRecipientStatus(messageID, peerID) {
+    return this.outgoing.get(messageID)?.recipients.get(peerID) || null;
+  }
+
+  /**
+   * Recipients that haven't acked
+   */
+  getUnacked(entry) {
+    return Array.from(entry.recipients)
+      .filter(([, status]) => status === DeliveryStatus.SENT)
+      .map(([peerID]) => peerID);
+  }
+
+  /**
+   * Messages still waiting on acks that are due a status query. Those that
+   * used up their queries are marked FAILED for the silent recipients.
+   * @returns {Map} - recipientID -> [messageID]
+   */
+  collectStalled(now = Date.now()) {
+    const stalled = new Map();
+
+    for (const entry of Array.from(this.outgoing.values())) {
+      const unacked = this.getUnacked(entry);
+      if (unacked.length === 0) continue;
+
+      const waitingSince = entry.lastRequestAt ?? entry.sentAt;
+      const wait = entry.lastRequestAt
+        ? this.statusRequestInterval
+        : this.ackTimeout;
+      if (now - waitingSince < wait) continue;
+
+      if (entry.statusRequests >= this.maxStatusRequests) {
+        this.markFailed(entry.messageID);
+        continue;
+      }
+
+      entry.statusRequests++;
+      entry.lastRequestAt = now;
+
+      for (const peerID of unacked) {
+        const messageIDs = stalled.get(peerID) || [];
+        messageIDs.push(entry.messageID);
+        stalled.set(peerID, messageIDs);
+        this.stats.statusRequestsSent++;
+      }
+    }
+
+    return stalled;
+  }
+
+  /**
+   * Remember a message addressed to us, so a status query can be answered
+   */
+  recordReceived(messageID, senderID, now = Date.now()) {
+    this.incoming.set(messageID, { senderID, receivedAt: now, read: false });
+    this.trim(this.incoming);
+  }
+
+  /**
+   * @returns {Object|null} - {senderID, receivedAt, read}
+   */
+  getReceived(messageID) {
+    const received = this.incoming.get(messageID);
+    return received ? { ...received } : null;
+  }
+
+  /**
+   * Record that we sent a read receipt for a received message
+   * @returns {boolean} - False if unknown or already read
+   */
+  markReadLocally(messageID) {
+    const received = this.incoming.get(messageID);
+    if (!received || received.read) return false;
+
+    received.read = true;
+    return true;
+  }
+
+  // Map order is oldest first
+  trim(map) {
+    while (map.size > this.maxTracked) {
+      map.delete(map.keys().next().value);
+    }
+  }
+
+  clear() {
+    this.outgoing.clear();
+    this.incoming.clear();
+  }
+
+  getStats() {
+    let pending = 0;
+    for (const entry of this.outgoing.values()) {
+      if (this.getUnacked(entry).length > 0) pending++;
+    }
+
+    return {
+      ...this.stats,
+      pendingDeliveries: pending,
+    };
+  }
+}
@@ -0,0 +1,143 @@
+/**
+ * KRTR Favorites Service - Peers we keep messages and links for
+ * Keyed by identity fingerprint, the full hash the 8-byte peer ID is cut
+ * from. Also remembers who has favourited us, so retention is mutual.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+export class FavoritesService {
+  constructor({ storagePrefix = 'krtr' } = {}) {
+    this.storageKey = `${storagePrefix}_favorites`;
+
+    // fingerprint -> {fingerprint, nickname, peerID, addedAt}
+    this.favorites = new Map();
+    // fingerprint -> {fingerprint, peerID, since}: peers who favourited us
+    this.favoritedBy = new Map();
+
+    // Callbacks
+    this.onChanged = null; // (fingerprint, isFavorite) => void
+
+    this.ready = this.initialize();
+  }
+
+  async initialize() {
+    try {
+      await this.loadFavorites();
+      console.log(
+        `[KRTR Favorites] Loaded ${this.favorites.size} favourites, favourited by ${this.favoritedBy.size}`
+      );
+    } catch (error) {
+      console.error('[KRTR Favorites] Initialization error:', error);
+    }
+  }
+
+  /**
+   * @param {string} fingerprint - Identity key fingerprint
+   * @param {Object} details - {nickname, peerID} last seen for the peer
+   */
+  async add(fingerprint, { nickname = null, peerID = null } = {}) {
+    const existing = this.favorites.get(fingerprint);
+    this.favorites.set(fingerprint, {
+      fingerprint,
+      nickname: nickname || existing?.nickname || null,
+      peerID: peerID || existing?.peerID || null,
+      addedAt: existing?.addedAt || Date.now(),
+    });
+    await this.saveFavorites();
+
+    if (!existing) this.onChanged?.(fingerprint, true);
+  }
+
+  async remove(fingerprint) {
+    if (!this.favorites.delete(fingerprint)) return;
+
+    await this.saveFavorites();
+    this.onChanged?.(fingerprint, false);
+  }
+
+  isFavorite(fingerprint) {
+    return !!fingerprint && this.favorites.has(fingerprint);
+  }
+
+  list() {
+    return Array.from(this.favorites.values(), favorite => ({
+      ...favorite,
+      isMutual: this.favoritedBy.has(favorite.fingerprint),
+    }));
+  }
+
+  /**
+   * Record a peer's FAVORITE_STATUS for us
+   */
+  async setFavoritedBy(fingerprint, isFavorite, peerID = null) {
+    if (isFavorite === this.favoritedBy.has(fingerprint)) return;
+
+    if (isFavorite) {
+      this.favoritedBy.set(fingerprint, {
+        fingerprint,
+        peerID,
+        since: Date.now(),
+      });
+    } else {
+      this.favoritedBy.delete(fingerprint);
+    }
+    await this.saveFavorites();
+  }
+
+  isFavoritedBy(fingerprint) {
+    return !!fingerprint && this.favoritedBy.has(fingerprint);
+  }
+
+  /**
+   * Whether messages for this peer get the favourite retention tier: either
+   * side favouriting the other is enough
+   */
+  shouldRetainFor(fingerprint) {
+    return this.isFavorite(fingerprint) || this.isFavoritedBy(fingerprint);
+  }
+
+  // Persistence
+
+  async loadFavorites() {
+    const data = await AsyncStorage.getItem(this.storageKey);
+    if (!data) return;
+
+    const parsed = JSON.parse(data);
+    for (const favorite of parsed.favorites || []) {
+      this.favorites.set(favorite.fingerprint, favorite);
+    }
+    for (const entry of parsed.favoritedBy || []) {
+      this.favoritedBy.set(entry.fingerprint, entry);
+    }
+  }
+
+  async saveFavorites() {
+    await AsyncStorage.setItem(
+      this.storageKey,
+      JSON.stringify({
+        favorites: Array.from(this.favorites.values()),
+        favoritedBy: Array.from(this.favoritedBy.values()),
+      })
+    );
+  }
+
+  async clear() {
+    this.favorites.clear();
+    this.favoritedBy.clear();
+    await AsyncStorage.removeItem(this.storageKey);
+  }
+
+  getStats() {
+    let mutual = 0;
+    for (const fingerprint of this.favorites.keys()) {
+      if (this.favoritedBy.has(fingerprint)) mutual++;
+    }
+
+    return {
+      favorites: this.favorites.size,
+      favoritedBy: this.favoritedBy.size,
+      mutual,
+    };
+  }
+}
@@ -0,0 +1,96 @@
+/**
+ * KRTR Message Deduplicator - Time-windowed LRU of seen message IDs
+ * Shared by message handling and relaying so a packet is processed and
+ * forwarded at most once while it can still be circulating in the mesh
+ */
+
+export class MessageDeduplicator {
+  /**
+   * @param {Object} options - {maxEntries, windowMs}
+   */
+  constructor({ maxEntries = 5000, windowMs = 30 * 60 * 1000 } = {}) {
+    this.maxEntries = maxEntries;
+    // Should exceed the longest time a packet can keep circulating
+    this.windowMs = windowMs;
+
+    // messageID -> {seenAt, relayed}; Map order is least recently seen first
+    this.entries = new Map();
+
+    this.stats = {
+      duplicatesDropped: 0,
+      evictions: 0,
+    };
+  }
+
+  /**
+   * @param {string} messageID - Message ID
+   * @returns {boolean} - Whether the message was seen inside the window
+   */
+  isDuplicate(messageID) {
+    const entry = this.entries.get(messageID);
+    if (!entry) return false;
+
+    if (Date.now() - entry.seenAt > this.windowMs) {
+      this.entries.delete(messageID);
+      return false;
+    }
+
+    this.stats.duplicatesDropped++;
+    return true;
+  }
+
+  markSeen(messageID) {
+    const entry = this.entries.get(messageID);
+    this.entries.delete(messageID);
+    this.entries.set(messageID, {
+      seenAt: Date.now(),
+      relayed: entry?.relayed || false,
+    });
+
+    this.evict();
+  }
+
+  /**
+   * Claim the single relay of a message
+   * @returns {boolean} - False if it was already relayed
+   */
+  markRelayed(messageID) {
+    const entry = this.entries.get(messageID);
+    if (entry?.relayed) return false;
+
+    if (entry) {
+      entry.relayed = true;
+    } else {
+      this.entries.set(messageID, { seenAt: Date.now(), relayed: true });
+      this.evict();
+    }
+    return true;
+  }
+
+  /**
+   * Drop expired entries, then the least recently seen beyond maxEntries
+   */
+  evict(now = Date.now()) {
+    for (const [messageID, entry] of this.entries) {
+      if (now - entry.seenAt <= this.windowMs) break;
+      this.entries.delete(messageID);
+      this.stats.evictions++;
+    }
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.stats.evictions++;
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      size: this.entries.size,
+    };
+  }
+}
@@ -0,0 +1,142 @@
+/**
+ * KRTR Peer Directory - Everyone we've heard announce themselves
+ * Merges ANNOUNCE beacons received directly and via relays into one entry per
+ * peer, and emits events as peers appear, change and go quiet
+ */
+
+export const PeerDirectoryEvent = {
+  ADDED: 'peerAdded',
+  UPDATED: 'peerUpdated',
+  REMOVED: 'peerRemoved',
+};
+
+export class PeerDirectory {
+  /**
+   * @param {Object} options - {peerTimeout}
+   */
+  constructor({ peerTimeout = 3 * 60 * 1000 } = {}) {
+    // Several announce intervals, so one lost beacon doesn't drop a peer
+    this.peerTimeout = peerTimeout;
+
+    // peerID -> {peerID, nickname, capabilities, fingerprint, isDirect,
+    //   via, hops, verified, announcedAt, lastSeen}
+    this.peers = new Map();
+    this.listeners = new Map(); // event -> Set of handlers
+  }
+
+  /**
+   * @param {string} event - PeerDirectoryEvent value
+   * @param {Function} handler - Called with the peer entry
+   */
+  on(event, handler) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(handler);
+  }
+
+  off(event, handler) {
+    this.listeners.get(event)?.delete(handler);
+  }
+
+  emit(event, peer) {
+    for (const handler of this.listeners.get(event) || []) {
+      try {
+        handler({ ...peer });
+      } catch (error) {
+        console.error(`[KRTR Directory] ${event} handler error:`, error);
+      }
+    }
+  }
+
+  /**
+   * Merge an announcement into the directory
+   * @param {string} peerID - Announcing peer
+   * @param {PeerAnnounce} announce - Decoded announcement
+   * @param {Object} context - {via, hops, verified, announcedAt}
+   * @returns {Object|null} - The entry, or null if the announcement was stale
+   */
+  update(peerID, announce, { via, hops, verified = false, announcedAt }) {
+    const now = Date.now();
+    const existing = this.peers.get(peerID);
+
+    // Relayed copies of an older beacon can arrive after a newer one
+    if (existing && announcedAt < existing.announcedAt) {
+      return null;
+    }
+
+    // Copies of one beacon keep the shortest path they arrived by
+    const sameBeacon = existing && existing.announcedAt === announcedAt;
+    const keepPath = sameBeacon && existing.hops <= hops;
+
+    const entry = {
+      peerID,
+      nickname: announce.nickname,
+      capabilities: { ...announce.capabilities },
+      fingerprint: announce.fingerprint,
+      isDirect: keepPath ? existing.isDirect : via === peerID,
+      via: keepPath ? existing.via : via,
+      hops: keepPath ? existing.hops : hops,
+      verified:
+        verified ||
+        (!!existing?.verified && existing.fingerprint === announce.fingerprint),
+      announcedAt,
+      lastSeen: now,
+    };
+    this.peers.set(peerID, entry);
+
+    if (!existing) {
+      this.emit(PeerDirectoryEvent.ADDED, entry);
+    } else if (this.hasChanged(existing, entry)) {
+      this.emit(PeerDirectoryEvent.UPDATED, entry);
+    }
+    return entry;
+  }
+
+  hasChanged(before, after) {
+    return (
+      before.nickname !== after.nickname ||
+      before.fingerprint !== after.fingerprint ||
+      before.isDirect !== after.isDirect ||
+      before.verified !== after.verified ||
+      JSON.stringify(before.capabilities) !== JSON.stringify(after.capabilities)
+    );
+  }
+
+  get(peerID) {
+    const peer = this.peers.get(peerID);
+    return peer ? { ...peer } : null;
+  }
+
+  list() {
+    return Array.from(this.peers.values(), peer => ({ ...peer }));
+  }
+
+  remove(peerID) {
+    const peer = this.peers.get(peerID);
+    if (!peer) return;
+
+    this.peers.delete(peerID);
+    this.emit(PeerDirectoryEvent.REMOVED, peer);
+  }
+
+  /**
+   * Drop peers that haven't announced within peerTimeout
+   */
+  prune(now = Date.now()) {
+    for (const [peerID, peer] of this.peers) {
+      if (now - peer.lastSeen > this.peerTimeout) {
+        this.remove(peerID);
+      }
+    }
+  }
+
+  clear() {
+    this.peers.clear();
+  }
+
+  destroy() {
+    this.peers.clear();
+    this.listeners.clear();
+  }
+}
@@ -0,0 +1,111 @@
+/**
+ * KRTR Relay Policy - Decides whether to rebroadcast a packet we received
+ * Combines probabilistic gossip, counter-based suppression and RSSI-aware
+ * selection so dense meshes don't turn every broadcast into a storm
+ */
+
+export const DEFAULT_RELAY_POLICY = {
+  probability: 1, // Chance of relaying a broadcast
+  counterThreshold: 0, // Skip once this many copies were heard; 0 disables
+  minDelay: 0, // ms to wait for copies before deciding
+  maxDelay: 0,
+  strongRSSI: null, // dBm; a sender this loud is close, so our relay adds little
+  strongRSSIFactor: 0.5, // Probability multiplier for strong senders
+  sparseNeighbourCount: 2, // With this few neighbours, always relay
+};
+
+export class RelayPolicy {
+  /**
+   * @param {Object} config - Overrides for DEFAULT_RELAY_POLICY
+   */
+  constructor(config = {}) {
+    this.config = { ...DEFAULT_RELAY_POLICY, ...config };
+    this.maxTracked = 1000;
+
+    // messageID -> copies heard; Map order is oldest first
+    this.copies = new Map();
+
+    this.stats = {
+      relaysApproved: 0,
+      suppressedByProbability: 0,
+      suppressedByCounter: 0,
+    };
+  }
+
+  /**
+   * Replace the settings, e.g. when the power mode changes
+   */
+  configure(config = {}) {
+    this.config = { ...DEFAULT_RELAY_POLICY, ...config };
+  }
+
+  /**
+   * Count a copy of a message, including duplicates we won't process again
+   */
+  recordCopy(messageID) {
+    this.copies.set(messageID, (this.copies.get(messageID) || 0) + 1);
+
+    while (this.copies.size > this.maxTracked) {
+      this.copies.delete(this.copies.keys().next().value);
+    }
+  }
+
+  /**
+   * Decide whether to relay a packet, waiting for duplicate copies when
+   * counter-based suppression is enabled
+   * @param {KrtrPacket} packet - Packet we received
+   * @param {Object} context - {messageID, rssi, neighbourCount}
+   * @returns {Promise<boolean>}
+   */
+  async shouldRelay(packet, { messageID, rssi = null, neighbourCount = 0 }) {
+    if (packet.ttl <= 0) return false;
+
+    // Addressed packets follow the routing table, not gossip
+    if (packet.recipientID) return true;
+
+    this.recordCopy(messageID);
+
+    // Dropping relays in a sparse area could partition the mesh
+    if (neighbourCount <= this.config.sparseNeighbourCount) {
+      this.stats.relaysApproved++;
+      return true;
+    }
+
+    let probability = this.config.probability;
+    if (this.config.strongRSSI !== null && rssi !== null) {
+      if (rssi >= this.config.strongRSSI) {
+        probability *= this.config.strongRSSIFactor;
+      }
+    }
+
+    if (Math.random() >= probability) {
+      this.stats.suppressedByProbability++;
+      return false;
+    }
+
+    const { minDelay, maxDelay, counterThreshold } = this.config;
+    const delay = minDelay + Math.floor(Math.random() * (maxDelay - minDelay));
+    if (delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    if (
+      counterThreshold > 0 &&
+      this.copies.get(messageID) >= counterThreshold
+    ) {
+      this.stats.suppressedByCounter++;
+      return false;
+    }
+
+    this.stats.relaysApproved++;
+    return true;
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      trackedMessages: this.copies.size,
+      config: { ...this.config },
+    };
+  }
+}
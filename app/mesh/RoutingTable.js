@@ -0,0 +1,123 @@
+/**
+ * KRTR Routing Table - Distance-vector next hops learned from mesh traffic
+ * Every packet that reaches us tells us its sender is reachable through the
+ * neighbour that delivered it, at a distance given by the TTL it used up
+ */
+
+export class RoutingTable {
+  /**
+   * @param {Object} options - {routeTTL, maxRoutes}
+   */
+  constructor({ routeTTL = 5 * 60 * 1000, maxRoutes = 500 } = {}) {
+    this.routeTTL = routeTTL; // Routes not refreshed within this are dropped
+    this.maxRoutes = maxRoutes;
+
+    // destination -> {nextHop, hops, updatedAt}
+    this.routes = new Map();
+
+    this.stats = {
+      routesLearned: 0,
+      routesReplaced: 0,
+      routesExpired: 0,
+    };
+  }
+
+  /**
+   * Record that a destination is reachable through a neighbour
+   * @param {string} destination - Peer ID of the packet's originator
+   * @param {string} nextHop - Neighbour that delivered the packet
+   * @param {number} hops - Distance to the destination via nextHop
+   * @returns {boolean} - Whether the table changed
+   */
+  learn(destination, nextHop, hops, now = Date.now()) {
+    const route = this.routes.get(destination);
+
+    // Keep a live route unless the new one is shorter or comes from the same
+    // neighbour, whose latest distance replaces its earlier one
+    if (
+      route &&
+      !this.isExpired(route, now) &&
+      route.nextHop !== nextHop &&
+      hops >= route.hops
+    ) {
+      return false;
+    }
+
+    if (!route) {
+      this.stats.routesLearned++;
+    } else if (route.nextHop !== nextHop) {
+      this.stats.routesReplaced++;
+    }
+
+    this.routes.delete(destination);
+    this.routes.set(destination, { nextHop, hops, updatedAt: now });
+
+    while (this.routes.size > this.maxRoutes) {
+      this.routes.delete(this.routes.keys().next().value);
+    }
+    return true;
+  }
+
+  /**
+   * @returns {string|null} - Neighbour to forward to, or null if unknown
+   */
+  getNextHop(destination, now = Date.now()) {
+    const route = this.routes.get(destination);
+    if (!route) return null;
+
+    if (this.isExpired(route, now)) {
+      this.routes.delete(destination);
+      this.stats.routesExpired++;
+      return null;
+    }
+    return route.nextHop;
+  }
+
+  /**
+   * Forget every route through a neighbour, e.g. when its link fails
+   */
+  removeNextHop(nextHop) {
+    for (const [destination, route] of this.routes) {
+      if (route.nextHop === nextHop || destination === nextHop) {
+        this.routes.delete(destination);
+      }
+    }
+  }
+
+  isExpired(route, now = Date.now()) {
+    return now - route.updatedAt > this.routeTTL;
+  }
+
+  prune(now = Date.now()) {
+    for (const [destination, route] of this.routes) {
+      if (this.isExpired(route, now)) {
+        this.routes.delete(destination);
+        this.stats.routesExpired++;
+      }
+    }
+  }
+
+  /**
+   * Snapshot of the table for inspection
+   * @returns {Array} - [{destination, nextHop, hops, age}] by distance
+   */
+  getRoutes(now = Date.now()) {
+    return Array.from(this.routes, ([destination, route]) => ({
+      destination,
+      nextHop: route.nextHop,
+      hops: route.hops,
+      age: now - route.updatedAt,
+    })).sort((a, b) => a.hops - b.hops);
+  }
+
+  clear() {
+    this.routes.clear();
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      size: this.routes.size,
+    };
+  }
+}
@@ -1,16 +1,44 @@
 /**
  * KRTR Store and Forward Service - Offline message caching and delivery
- * Intelligent message caching with tiered retention policies
+ * Intelligent message caching with tiered retention policies, and optional
+ * DTN-style custody of other peers' packets until a relay or the recipient
+ * can take them. Messages live in the encrypted MessageStore, one record each.
  */
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { KrtrMessage, DeliveryStatus } from '../protocols/KrtrProtocol';
+import { DeliveryStatus } from '../protocols/KrtrProtocol';
+import { MessageStore } from '../storage/MessageStore';
+
+// Record kinds in the message store
+const CACHED = 'cached'; // our own messages waiting for an offline peer
+const CUSTODY = 'custody'; // other peers' packets we carry
 
 export class StoreAndForwardService {
-  constructor() {
-    // Message cache for offline peers
-    this.messageCache = new Map(); // peerID -> messages[]
-    this.favoriteCache = new Map(); // peerID -> messages[] (longer retention)
+  /**
+   * @param {Object} options - {storagePrefix, carryForOthers,
+   *   encryptionService, backend, store}; the encryption service keys the
+   *   store, the backend defaults to AsyncStorage
+   */
+  constructor({
+    storagePrefix = 'krtr',
+    carryForOthers = false,
+    encryptionService = null,
+    backend,
+    store = null,
+  } = {}) {
+    // Plaintext JSON blobs from before the message store, migrated on load
+    this.regularCacheKey = `${storagePrefix}_message_cache`;
+    this.favoriteCacheKey = `${storagePrefix}_favorite_cache`;
+    this.custodyCacheKey = `${storagePrefix}_custody_cache`;
+
+    // Cached and carried messages, encrypted at rest
+    this.store =
+      store ||
+      new MessageStore({
+        backend,
+        namespace: `${storagePrefix}_messages`,
+        encryptionService,
+      });
     this.deliveryQueue = new Map(); // messageID -> delivery attempts
 
     // Cache limits and TTL
@@ -23,105 +51,155 @@ export class StoreAndForwardService {
     this.maxDeliveryAttempts = 5;
     this.deliveryRetryInterval = 30 * 1000; // 30 seconds
 
-    this.initialize();
+    // Callbacks
+    this.isFavoritePeer = null; // (peerID) => boolean, picks the cache tier
+
+    // Custody of packets addressed to others; same TTL tiers as our own
+    this.carryForOthers = carryForOthers;
+    this.custodyLimit = 200; // packets carried in total
+    this.custodyQuotaPerOriginator = 20; // so one sender can't fill the cache
+    this.custodyQuotaPerNeighbour = 50; // nor one neighbour, whoever it names
+
+    this.stats = {
+      custodyAccepted: 0,
+      custodyRefused: 0,
+      custodyDelivered: 0, // handed to the recipient
+      custodyTransferred: 0, // taken over by another custodian
+      custodyExpired: 0,
+    };
+
+    // Periodic task handles
+    this.cleanupInterval = null;
+
+    this.ready = this.initialize();
   }
 
   async initialize() {
     try {
-      // Load cached messages from persistent storage
-      await this.loadCachedMessages();
+      await this.store.open();
+
+      // Move any plaintext caches from older versions into the store
+      await this.migrateLegacyCaches();
 
       // Set up periodic cleanup
       this.setupCleanupTasks();
 
-      console.log('[KRTR Store&Forward] Service initialized');
+      console.log(
+        `[KRTR Store&Forward] Service initialized with ${this.getTotalCachedMessages()} cached and ${this.store.count(
+          CUSTODY
+        )} carried messages`
+      );
     } catch (error) {
       console.error('[KRTR Store&Forward] Initialization error:', error);
     }
   }
 
-  async loadCachedMessages() {
+  async migrateLegacyCaches() {
     try {
-      const regularCacheData = await AsyncStorage.getItem('krtr_message_cache');
+      const regularCacheData = await AsyncStorage.getItem(this.regularCacheKey);
       const favoriteCacheData = await AsyncStorage.getItem(
-        'krtr_favorite_cache'
+        this.favoriteCacheKey
       );
+      const custodyCacheData = await AsyncStorage.getItem(this.custodyCacheKey);
+      if (!regularCacheData && !favoriteCacheData && !custodyCacheData) {
+        return;
+      }
 
-      if (regularCacheData) {
-        const parsed = JSON.parse(regularCacheData);
-        for (const [peerID, messages] of Object.entries(parsed)) {
-          this.messageCache.set(
-            peerID,
-            messages.map(msg => ({
-              ...msg,
-              timestamp: new Date(msg.timestamp),
-            }))
-          );
+      let migrated = 0;
+      for (const [data, isFavorite] of [
+        [regularCacheData, false],
+        [favoriteCacheData, true],
+      ]) {
+        if (!data) continue;
+
+        for (const [peerID, messages] of Object.entries(JSON.parse(data))) {
+          for (const message of messages) {
+            await this.putCachedMessage({ ...message, isFavorite }, peerID);
+            migrated++;
+          }
         }
       }
 
-      if (favoriteCacheData) {
-        const parsed = JSON.parse(favoriteCacheData);
-        for (const [peerID, messages] of Object.entries(parsed)) {
-          this.favoriteCache.set(
-            peerID,
-            messages.map(msg => ({
-              ...msg,
-              timestamp: new Date(msg.timestamp),
-            }))
-          );
+      if (custodyCacheData) {
+        for (const record of JSON.parse(custodyCacheData)) {
+          await this.putCustodyRecord(record);
+          migrated++;
         }
       }
 
+      await AsyncStorage.removeItem(this.regularCacheKey);
+      await AsyncStorage.removeItem(this.favoriteCacheKey);
+      await AsyncStorage.removeItem(this.custodyCacheKey);
+
       console.log(
-        `[KRTR Store&Forward] Loaded ${this.messageCache.size} regular and ${this.favoriteCache.size} favorite caches`
+        `[KRTR Store&Forward] Migrated ${migrated} messages to the message store`
       );
     } catch (error) {
-      console.error('[KRTR Store&Forward] Load cache error:', error);
+      console.error(
+        '[KRTR Store&Forward] Legacy cache migration error:',
+        error
+      );
     }
   }
 
-  async saveCachedMessages() {
-    try {
-      // Convert Maps to objects for JSON serialization
-      const regularCacheObj = {};
-      for (const [peerID, messages] of this.messageCache) {
-        regularCacheObj[peerID] = messages;
-      }
+  /**
+   * Expiry follows the message's tier, from when it was cached
+   */
+  getExpiry(message) {
+    const ttl = message.isFavorite ? this.favoriteTTL : this.regularTTL;
+    return new Date(message.cachedAt).getTime() + ttl;
+  }
 
-      const favoriteCacheObj = {};
-      for (const [peerID, messages] of this.favoriteCache) {
-        favoriteCacheObj[peerID] = messages;
-      }
+  async putCachedMessage(message, recipientID) {
+    await this.store.put({
+      kind: CACHED,
+      id: message.id,
+      peerID: recipientID,
+      channel: message.channel || null,
+      expiresAt: this.getExpiry(message),
+      data: message,
+    });
+  }
 
-      await AsyncStorage.setItem(
-        'krtr_message_cache',
-        JSON.stringify(regularCacheObj)
-      );
-      await AsyncStorage.setItem(
-        'krtr_favorite_cache',
-        JSON.stringify(favoriteCacheObj)
-      );
+  async putCustodyRecord(record) {
+    await this.store.put({
+      kind: CUSTODY,
+      id: record.id,
+      peerID: record.recipientID,
+      expiresAt: this.getExpiry(record),
+      data: record,
+    });
+  }
 
-      console.log('[KRTR Store&Forward] Cached messages saved');
-    } catch (error) {
-      console.error('[KRTR Store&Forward] Save cache error:', error);
-    }
+  /**
+   * Cached messages for a peer, oldest first
+   * @param {string} peerID - Recipient
+   * @param {boolean|null} isFavorite - Only this tier, or both for null
+   */
+  getCachedMessages(peerID, isFavorite = null) {
+    return this.store
+      .query({ kind: CACHED, peerID })
+      .map(record => record.data)
+      .filter(
+        message => isFavorite === null || message.isFavorite === isFavorite
+      );
   }
 
-  async cacheMessage(message, recipientID, isFavorite = false) {
+  /**
+   * @param {Object} message - Message to deliver later
+   * @param {string} recipientID - Offline peer
+   * @param {boolean|null} isFavorite - Cache tier; null looks the peer up
+   */
+  async cacheMessage(message, recipientID, isFavorite = null) {
     try {
-      const cache = isFavorite ? this.favoriteCache : this.messageCache;
+      if (isFavorite === null) {
+        isFavorite = !!this.isFavoritePeer?.(recipientID);
+      }
+
       const limit = isFavorite
         ? this.favoriteCacheLimit
         : this.regularCacheLimit;
 
-      if (!cache.has(recipientID)) {
-        cache.set(recipientID, []);
-      }
-
-      const messages = cache.get(recipientID);
-
       // Add message with metadata
       const cachedMessage = {
         ...message,
@@ -130,16 +208,15 @@ export class StoreAndForwardService {
         isFavorite,
       };
 
-      messages.push(cachedMessage);
+      await this.putCachedMessage(cachedMessage, recipientID);
 
       // Enforce cache limits (FIFO)
-      if (messages.length > limit) {
-        messages.splice(0, messages.length - limit);
+      const messages = this.getCachedMessages(recipientID, isFavorite);
+      const overflow = Math.max(0, messages.length - limit);
+      for (const oldest of messages.slice(0, overflow)) {
+        await this.store.remove(CACHED, oldest.id);
       }
 
-      // Save to persistent storage
-      await this.saveCachedMessages();
-
       console.log(
         `[KRTR Store&Forward] Cached message for ${recipientID} (favorite: ${isFavorite})`
       );
@@ -150,9 +227,7 @@ export class StoreAndForwardService {
 
   async deliverCachedMessages(peerID, meshService) {
     try {
-      const regularMessages = this.messageCache.get(peerID) || [];
-      const favoriteMessages = this.favoriteCache.get(peerID) || [];
-      const allMessages = [...regularMessages, ...favoriteMessages];
+      const allMessages = this.getCachedMessages(peerID);
 
       if (allMessages.length === 0) {
         return;
@@ -187,7 +262,7 @@ export class StoreAndForwardService {
       for (let i = 0; i < results.length; i++) {
         if (results[i].status === 'fulfilled') {
           const message = allMessages[i];
-          this.removeCachedMessage(message.id, peerID);
+          await this.removeCachedMessage(message.id, peerID);
           deliveredCount++;
         }
       }
@@ -195,9 +270,6 @@ export class StoreAndForwardService {
       console.log(
         `[KRTR Store&Forward] Delivered ${deliveredCount}/${allMessages.length} messages to ${peerID}`
       );
-
-      // Save updated cache
-      await this.saveCachedMessages();
     } catch (error) {
       console.error('[KRTR Store&Forward] Delivery error:', error);
     }
@@ -207,6 +279,9 @@ export class StoreAndForwardService {
     try {
       // Increment delivery attempts
       message.deliveryAttempts = (message.deliveryAttempts || 0) + 1;
+      await this.store.update(CACHED, message.id, {
+        deliveryAttempts: message.deliveryAttempts,
+      });
 
       // Check if we've exceeded max attempts
       if (message.deliveryAttempts > this.maxDeliveryAttempts) {
@@ -244,31 +319,128 @@ export class StoreAndForwardService {
     }
   }
 
-  removeCachedMessage(messageID, peerID) {
-    // Remove from regular cache
-    const regularMessages = this.messageCache.get(peerID);
-    if (regularMessages) {
-      const index = regularMessages.findIndex(msg => msg.id === messageID);
-      if (index !== -1) {
-        regularMessages.splice(index, 1);
-        if (regularMessages.length === 0) {
-          this.messageCache.delete(peerID);
-        }
-        return;
-      }
+  async removeCachedMessage(messageID, peerID) {
+    const record = this.store.get(CACHED, messageID);
+    if (record?.peerID !== peerID) return false;
+
+    return this.store.remove(CACHED, messageID);
+  }
+
+  // Custody
+
+  /**
+   * Take custody of a packet addressed to another peer
+   * @param {KrtrPacket} packet - Packet as received, before any relay
+   * @param {Object} options - {messageID, fromPeerID, isVerified,
+   *   isFavorite}: the neighbour that delivered it, whether its signature
+   *   checked out, and whether it gets the longer TTL tier
+   * @returns {Promise<boolean>} - Whether we now carry it
+   */
+  async acceptCustody(
+    packet,
+    { messageID, fromPeerID, isVerified = false, isFavorite = false }
+  ) {
+    if (!this.carryForOthers) return false;
+    if (this.store.has(CUSTODY, messageID)) return true;
+
+    // An unverified sender ID could name anyone, so only verified packets
+    // count against their originator; the neighbour is always accountable
+    const carried = this.getCustodyMessages();
+    const fromNeighbour = carried.filter(
+      record => record.deliveredBy === fromPeerID
+    ).length;
+    const fromOriginator = isVerified
+      ? carried.filter(
+          record => record.isVerified && record.originatorID === packet.senderID
+        ).length
+      : 0;
+    if (
+      this.store.count(CUSTODY) >= this.custodyLimit ||
+      fromNeighbour >= this.custodyQuotaPerNeighbour ||
+      fromOriginator >= this.custodyQuotaPerOriginator
+    ) {
+      this.stats.custodyRefused++;
+      return false;
     }
 
-    // Remove from favorite cache
-    const favoriteMessages = this.favoriteCache.get(peerID);
-    if (favoriteMessages) {
-      const index = favoriteMessages.findIndex(msg => msg.id === messageID);
-      if (index !== -1) {
-        favoriteMessages.splice(index, 1);
-        if (favoriteMessages.length === 0) {
-          this.favoriteCache.delete(peerID);
-        }
-      }
+    const data = packet.toBinaryData();
+    if (!data) return false;
+
+    await this.putCustodyRecord({
+      id: messageID,
+      data: data.toString('base64'),
+      recipientID: packet.recipientID,
+      originatorID: packet.senderID,
+      isVerified,
+      deliveredBy: fromPeerID,
+      cachedAt: new Date(),
+      isFavorite,
+      offeredTo: [], // peers we handed it to, awaiting custody acks
+    });
+    this.stats.custodyAccepted++;
+
+    console.log(
+      `[KRTR Store&Forward] Took custody of ${messageID} for ${packet.recipientID}`
+    );
+    return true;
+  }
+
+  /**
+   * Packets we carry that haven't expired
+   */
+  getCustodyMessages() {
+    return this.store
+      .query({ kind: CUSTODY })
+      .map(record => record.data)
+      .filter(record => !this.isMessageExpired(record));
+  }
+
+  /**
+   * @param {string|null} messageID - Packet, or null for whether we carry any
+   */
+  hasCustody(messageID = null) {
+    return messageID === null
+      ? this.store.count(CUSTODY) > 0
+      : this.store.has(CUSTODY, messageID);
+  }
+
+  /**
+   * Record a hand-off, so the packet isn't offered to the same peer again
+   */
+  async markOffered(messageID, peerID) {
+    const record = this.store.get(CUSTODY, messageID)?.data;
+    if (record && !record.offeredTo.includes(peerID)) {
+      await this.store.update(CUSTODY, messageID, {
+        offeredTo: [...record.offeredTo, peerID],
+      });
+    }
+  }
+
+  /**
+   * Drop a carried packet once the recipient has it or a peer we handed it
+   * to acked custody
+   * @param {string} messageID - Carried packet
+   * @param {string} peerID - Recipient or new custodian
+   * @returns {Promise<boolean>} - Whether we released it
+   */
+  async releaseCustody(messageID, peerID) {
+    const record = this.store.get(CUSTODY, messageID)?.data;
+    if (!record) return false;
+
+    if (peerID === record.recipientID) {
+      this.stats.custodyDelivered++;
+    } else if (record.offeredTo.includes(peerID)) {
+      this.stats.custodyTransferred++;
+    } else {
+      return false;
     }
+
+    await this.store.remove(CUSTODY, messageID);
+
+    console.log(
+      `[KRTR Store&Forward] Released custody of ${messageID} to ${peerID}`
+    );
+    return true;
   }
 
   isMessageExpired(message) {
@@ -281,55 +453,23 @@ export class StoreAndForwardService {
 
   setupCleanupTasks() {
     // Clean up expired messages every hour
-    setInterval(() => {
+    this.cleanupInterval = setInterval(() => {
       this.cleanupExpiredMessages();
     }, 60 * 60 * 1000);
-
-    // Save cache every 5 minutes
-    setInterval(() => {
-      this.saveCachedMessages();
-    }, 5 * 60 * 1000);
   }
 
   async cleanupExpiredMessages() {
     try {
-      let cleanedCount = 0;
-
-      // Clean regular cache
-      for (const [peerID, messages] of this.messageCache) {
-        const validMessages = messages.filter(
-          msg => !this.isMessageExpired(msg)
-        );
-        if (validMessages.length !== messages.length) {
-          cleanedCount += messages.length - validMessages.length;
-          if (validMessages.length === 0) {
-            this.messageCache.delete(peerID);
-          } else {
-            this.messageCache.set(peerID, validMessages);
-          }
-        }
-      }
+      // Read off the store's expiry index
+      const expired = await this.store.removeExpired();
+      this.stats.custodyExpired += expired.filter(
+        record => record.kind === CUSTODY
+      ).length;
 
-      // Clean favorite cache
-      for (const [peerID, messages] of this.favoriteCache) {
-        const validMessages = messages.filter(
-          msg => !this.isMessageExpired(msg)
-        );
-        if (validMessages.length !== messages.length) {
-          cleanedCount += messages.length - validMessages.length;
-          if (validMessages.length === 0) {
-            this.favoriteCache.delete(peerID);
-          } else {
-            this.favoriteCache.set(peerID, validMessages);
-          }
-        }
-      }
-
-      if (cleanedCount > 0) {
+      if (expired.length > 0) {
         console.log(
-          `[KRTR Store&Forward] Cleaned up ${cleanedCount} expired messages`
+          `[KRTR Store&Forward] Cleaned up ${expired.length} expired messages`
         );
-        await this.saveCachedMessages();
       }
     } catch (error) {
       console.error('[KRTR Store&Forward] Cleanup error:', error);
@@ -338,47 +478,58 @@ export class StoreAndForwardService {
 
   // Public API
   getCachedMessageCount(peerID) {
-    const regular = this.messageCache.get(peerID)?.length || 0;
-    const favorite = this.favoriteCache.get(peerID)?.length || 0;
+    const regular = this.getCachedMessages(peerID, false).length;
+    const favorite = this.getCachedMessages(peerID, true).length;
     return { regular, favorite, total: regular + favorite };
   }
 
   getTotalCachedMessages() {
-    let total = 0;
-    for (const messages of this.messageCache.values()) {
-      total += messages.length;
-    }
-    for (const messages of this.favoriteCache.values()) {
-      total += messages.length;
-    }
-    return total;
+    return this.store.count(CACHED);
   }
 
   async clearCache(peerID = null) {
     if (peerID) {
       // Clear cache for specific peer
-      this.messageCache.delete(peerID);
-      this.favoriteCache.delete(peerID);
+      await this.store.clear({ kind: CACHED, peerID });
     } else {
       // Clear all caches
-      this.messageCache.clear();
-      this.favoriteCache.clear();
+      await this.store.clear();
     }
-
-    await this.saveCachedMessages();
     console.log(
       `[KRTR Store&Forward] Cleared cache${peerID ? ` for ${peerID}` : ''}`
     );
   }
 
+  // Cleanup
+  destroy() {
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval);
+      this.cleanupInterval = null;
+    }
+
+    console.log('[KRTR Store&Forward] Service destroyed');
+  }
+
   getStats() {
+    const peers = this.store.getPeers(CACHED);
+
     return {
-      regularCacheSize: this.messageCache.size,
-      favoriteCacheSize: this.favoriteCache.size,
+      ...this.stats,
+      regularCacheSize: peers.filter(
+        peerID => this.getCachedMessages(peerID, false).length > 0
+      ).length,
+      favoriteCacheSize: peers.filter(
+        peerID => this.getCachedMessages(peerID, true).length > 0
+      ).length,
+      custodyCacheSize: this.store.count(CUSTODY),
       totalCachedMessages: this.getTotalCachedMessages(),
+      store: this.store.getStats(),
       cacheLimit: {
         regular: this.regularCacheLimit,
         favorite: this.favoriteCacheLimit,
+        custody: this.custodyLimit,
+        custodyPerOriginator: this.custodyQuotaPerOriginator,
+        custodyPerNeighbour: this.custodyQuotaPerNeighbour,
       },
       ttl: {
         regular: this.regularTTL,
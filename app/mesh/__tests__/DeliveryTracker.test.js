@@ -0,0 +1,99 @@
+import { DeliveryTracker } from '../DeliveryTracker';
+import { DeliveryStatus } from '../../protocols/KrtrProtocol';
+
+describe('DeliveryTracker', () => {
+  it('moves a private message through delivered and read', () => {
+    const tracker = new DeliveryTracker();
+    const changes = [];
+    tracker.onStatusChanged = (messageID, status) => changes.push(status);
+
+    tracker.track('m1', 'bob');
+    expect(tracker.getStatus('m1')).toBe(DeliveryStatus.SENT);
+
+    expect(tracker.markDelivered('m1', 'bob')).toBe(true);
+    expect(tracker.markDelivered('m1', 'bob')).toBe(false);
+    expect(tracker.markRead('m1', 'bob')).toBe(true);
+    expect(tracker.markDelivered('m1', 'bob')).toBe(false);
+
+    expect(tracker.getStatus('m1')).toBe(DeliveryStatus.READ);
+    expect(changes).toEqual([
+      DeliveryStatus.SENT,
+      DeliveryStatus.DELIVERED,
+      DeliveryStatus.READ,
+    ]);
+  });
+
+  it('ignores acks from peers that were not recipients', () => {
+    const tracker = new DeliveryTracker();
+    tracker.track('m1', 'bob');
+
+    expect(tracker.markDelivered('m1', 'mallory')).toBe(false);
+    expect(tracker.getStatus('m1')).toBe(DeliveryStatus.SENT);
+  });
+
+  it('summarises a group message until every recipient acks', () => {
+    const tracker = new DeliveryTracker();
+    tracker.track('m1', ['a', 'b', 'c']);
+
+    tracker.markDelivered('m1', 'a');
+    expect(tracker.getStatus('m1')).toBe(DeliveryStatus.PARTIALLY_DELIVERED);
+    expect(tracker.getDelivery('m1')).toMatchObject({
+      deliveredCount: 1,
+      recipientCount: 3,
+    });
+
+    tracker.markDelivered('m1', 'b');
+    tracker.markRead('m1', 'c');
+    expect(tracker.getStatus('m1')).toBe(DeliveryStatus.DELIVERED);
+  });
+
+  it('queries stalled recipients, then fails them', () => {
+    const tracker = new DeliveryTracker({
+      ackTimeout: 100,
+      statusRequestInterval: 50,
+      maxStatusRequests: 2,
+    });
+    tracker.track('m1', ['a', 'b'], null, 0);
+    tracker.markDelivered('m1', 'a');
+
+    expect(tracker.collectStalled(99).size).toBe(0);
+    expect(tracker.collectStalled(100)).toEqual(new Map([['b', ['m1']]]));
+    expect(tracker.collectStalled(120).size).toBe(0);
+    expect(tracker.collectStalled(150)).toEqual(new Map([['b', ['m1']]]));
+
+    expect(tracker.collectStalled(200).size).toBe(0);
+    expect(tracker.getRecipientStatus('m1', 'b')).toBe(DeliveryStatus.FAILED);
+    expect(tracker.getStats()).toMatchObject({
+      messagesFailed: 0,
+      statusRequestsSent: 2,
+      pendingDeliveries: 0,
+    });
+  });
+
+  it('lets a late ack override a failure', () => {
+    const tracker = new DeliveryTracker();
+    tracker.track('m1', 'bob');
+    tracker.markFailed('m1');
+    expect(tracker.getStatus('m1')).toBe(DeliveryStatus.FAILED);
+
+    tracker.markDelivered('m1', 'bob');
+    expect(tracker.getStatus('m1')).toBe(DeliveryStatus.DELIVERED);
+  });
+
+  it('remembers received messages for status queries', () => {
+    const tracker = new DeliveryTracker({ maxTracked: 2 });
+    tracker.recordReceived('m1', 'alice', 10);
+
+    expect(tracker.getReceived('m1')).toEqual({
+      senderID: 'alice',
+      receivedAt: 10,
+      read: false,
+    });
+    expect(tracker.markReadLocally('m1')).toBe(true);
+    expect(tracker.markReadLocally('m1')).toBe(false);
+
+    tracker.recordReceived('m2', 'alice');
+    tracker.recordReceived('m3', 'alice');
+    expect(tracker.getReceived('m1')).toBeNull();
+  });
+});
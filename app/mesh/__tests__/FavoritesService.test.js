@@ -0,0 +1,30 @@
+import { FavoritesService } from '../FavoritesService';
+
+const ALICE = 'a'.repeat(64);
+const BOB = 'b'.repeat(64);
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('FavoritesService', () => {
+  it('retains for peers either side has favourited', async () => {
+    const favorites = new FavoritesService({ storagePrefix: 'retention' });
+    await favorites.ready;
+
+    await favorites.add(ALICE, { nickname: 'alice' });
+    await favorites.setFavoritedBy(ALICE, true);
+    await favorites.setFavoritedBy(BOB, true);
+
+    expect(favorites.shouldRetainFor(ALICE)).toBe(true);
+    expect(favorites.shouldRetainFor(BOB)).toBe(true);
+    expect(favorites.isFavorite(BOB)).toBe(false);
+    expect(favorites.list()).toEqual([
+      expect.objectContaining({ fingerprint: ALICE, isMutual: true }),
+    ]);
+  });
+});
@@ -0,0 +1,96 @@
+import { Buffer } from 'buffer';
+import { StoreAndForwardService } from '../StoreAndForwardService';
+import { MemoryStorageBackend } from '../../storage/MemoryStorageBackend';
+import { KrtrPacket, MessageType } from '../../protocols/KrtrProtocol';
+
+const RECIPIENT = 'dddddddddddddddd';
+
+// Stands in for SimpleCryptoService's identity-bound key
+const encryptionService = {
+  ready: Promise.resolve(),
+  deriveStorageKey: () => Buffer.alloc(32, 1),
+};
+
+async function createService() {
+  const service = new StoreAndForwardService({
+    carryForOthers: true,
+    encryptionService,
+    backend: new MemoryStorageBackend(),
+  });
+  await service.ready;
+  return service;
+}
+
+function createPacket(senderID) {
+  return new KrtrPacket({
+    type: MessageType.MESSAGE,
+    senderID,
+    recipientID: RECIPIENT,
+    payload: Buffer.from('carried'),
+  });
+}
+
+let service = null;
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  service?.destroy();
+  jest.restoreAllMocks();
+});
+
+describe('StoreAndForwardService custody', () => {
+  it('holds each delivering neighbour to its own quota', async () => {
+    service = await createService();
+    service.custodyQuotaPerNeighbour = 2;
+
+    const accepted = [];
+    for (let i = 0; i < 3; i++) {
+      accepted.push(
+        await service.acceptCustody(createPacket(`${i}`.repeat(16)), {
+          messageID: `n${i}`,
+          fromPeerID: 'neighbour-a',
+        })
+      );
+    }
+    accepted.push(
+      await service.acceptCustody(createPacket('3333333333333333'), {
+        messageID: 'n3',
+        fromPeerID: 'neighbour-b',
+      })
+    );
+
+    expect(accepted).toEqual([true, true, false, true]);
+    expect(service.stats.custodyRefused).toBe(1);
+  });
+
+  it('counts only verified packets against their originator', async () => {
+    service = await createService();
+    service.custodyQuotaPerOriginator = 1;
+    const originator = 'aaaaaaaaaaaaaaaa';
+
+    // Forged copies naming the originator don't use up its quota
+    expect(
+      await service.acceptCustody(createPacket(originator), {
+        messageID: 'forged',
+        fromPeerID: 'neighbour-a',
+      })
+    ).toBe(true);
+    expect(
+      await service.acceptCustody(createPacket(originator), {
+        messageID: 'genuine',
+        fromPeerID: 'neighbour-b',
+        isVerified: true,
+      })
+    ).toBe(true);
+    expect(
+      await service.acceptCustody(createPacket(originator), {
+        messageID: 'over quota',
+        fromPeerID: 'neighbour-b',
+        isVerified: true,
+      })
+    ).toBe(false);
+  });
+});
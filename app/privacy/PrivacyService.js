@@ -56,7 +56,7 @@ export class PrivacyService {
    * @param {string} content - Message content
    * @param {string} recipientID - Recipient ID (null for broadcast)
    * @param {boolean} isPrivate - Whether message is private
-   * @returns {Promise} - Promise that resolves when message is sent
+   * @returns {Promise<KrtrPacket>} - Resolves with the packet once sent
    */
   async sendMessageWithPrivacy(content, recipientID = null, isPrivate = false) {
     return new Promise((resolve, reject) => {
@@ -122,12 +122,12 @@ export class PrivacyService {
     // Send ready messages
     for (const message of readyMessages) {
       try {
-        await this.meshService.sendMessage(
+        const packet = await this.meshService.sendMessage(
           message.content,
           message.recipientID,
           message.isPrivate
         );
-        message.resolve();
+        message.resolve(packet);
       } catch (error) {
         message.reject(error);
       }
@@ -5,6 +5,7 @@
 
 import { Buffer } from 'buffer';
 import uuid from 'react-native-uuid';
+import { isPeerID } from '../crypto/PeerIdentity';
 
 // Message types for KRTR protocol
 export const MessageType = {
@@ -12,9 +13,11 @@ export const MessageType = {
   KEY_EXCHANGE: 0x02, // Key exchange messages
   LEAVE: 0x03, // Graceful disconnect
   MESSAGE: 0x04, // Chat messages (private/broadcast)
-  FRAGMENT_START: 0x05, // Start of fragmented message
-  FRAGMENT_CONTINUE: 0x06, // Continuation fragment
-  FRAGMENT_END: 0x07, // Final fragment
+  // Deprecated: v1 fragments. We fragment with LinkFrameType frames instead,
+  // so these are never sent or reassembled; the codes stay reserved for v1
+  FRAGMENT_START: 0x05,
+  FRAGMENT_CONTINUE: 0x06,
+  FRAGMENT_END: 0x07,
   CHANNEL_ANNOUNCE: 0x08, // Channel status announcement
   CHANNEL_RETENTION: 0x09, // Channel retention policy
   DELIVERY_ACK: 0x0a, // Acknowledge message received
@@ -25,6 +28,8 @@ export const MessageType = {
   ZK_MESSAGE_PROOF: 0x0f, // Zero-knowledge message authenticity proof
   ZK_AUTH_CHALLENGE: 0x10, // Challenge for ZK authentication
   ZK_AUTH_RESPONSE: 0x11, // Response to ZK authentication challenge
+  CUSTODY_ACK: 0x13, // A relay took custody of a packet we handed it
+  FAVORITE_STATUS: 0x14, // Sender added or removed us as a favourite
 };
 
 // Special recipient IDs
@@ -42,7 +47,7 @@ export class MessagePadding {
     const paddingNeeded = targetSize - data.length;
     if (paddingNeeded > 255) return data; // PKCS#7 limit
 
-    const padded = Buffer.concat([data]);
+    let padded = Buffer.concat([data]);
     const randomBytes = Buffer.alloc(paddingNeeded - 1);
     // Fill with random bytes
     for (let i = 0; i < randomBytes.length; i++) {
@@ -73,6 +78,42 @@ export class MessagePadding {
   }
 }
 
+// Wire format versions. Version 1 packets are still decoded and relayed.
+export const PROTOCOL_VERSION = 2;
+export const LEGACY_PROTOCOL_VERSION = 1;
+
+// Hops a packet may travel; relays decrement it
+export const DEFAULT_TTL = 7;
+
+// v2 header flags
+export const PacketFlags = {
+  SIGNED: 0x01, // 64-byte signature follows the payload
+  COMPRESSED: 0x02, // Payload is compressed
+  FRAGMENTED: 0x04, // Payload is one fragment of a larger packet
+  ENCRYPTED: 0x08, // Payload is end-to-end encrypted
+  PADDED: 0x10, // Payload carries privacy padding
+  HAS_EXTENSIONS: 0x20, // TLV extension block follows the timestamp
+  HAS_RECIPIENT: 0x40, // 8-byte recipient ID present
+};
+
+// v2 TLV extension types
+export const PacketExtension = {
+  MESSAGE_ID: 0x01, // 16 random bytes identifying the message end to end
+  RECIPIENTS: 0x02, // 8-byte peer IDs expected to ack a group message
+};
+
+export const MESSAGE_ID_LENGTH = 16;
+
+const PEER_ID_LENGTH = 8;
+const TIMESTAMP_LENGTH = 8;
+const SIGNATURE_LENGTH = 64;
+const PAYLOAD_LENGTH_SIZE = 4;
+const MAX_EXTENSION_BLOCK = 0xffff;
+// version + type + ttl + sender + recipient + timestamp + payload length
+const V1_HEADER_LENGTH = 3 + 2 * PEER_ID_LENGTH + TIMESTAMP_LENGTH + 4;
+// version + type + ttl + flags + sender + timestamp + payload length
+const V2_MIN_HEADER_LENGTH = 4 + PEER_ID_LENGTH + TIMESTAMP_LENGTH + 4;
+
 // Main packet structure for KRTR protocol
 export class KrtrPacket {
   constructor({
@@ -82,9 +123,12 @@ export class KrtrPacket {
     timestamp = null,
     payload,
     signature = null,
-    ttl = 7,
+    ttl = DEFAULT_TTL,
+    version = PROTOCOL_VERSION,
+    flags = 0,
+    extensions = null,
   }) {
-    this.version = 1;
+    this.version = version;
     this.type = type;
     this.senderID = senderID;
     this.recipientID = recipientID;
@@ -92,6 +136,51 @@ export class KrtrPacket {
     this.payload = payload;
     this.signature = signature;
     this.ttl = ttl;
+    // Feature flags other than SIGNED and the layout bits, which encode derives
+    this.flags = flags;
+    this.extensions = extensions || new Map(); // TLV type -> Buffer
+  }
+
+  // Hex message ID from the MESSAGE_ID extension; null for v1 packets
+  get messageID() {
+    const id = this.extensions.get(PacketExtension.MESSAGE_ID);
+    return id && id.length === MESSAGE_ID_LENGTH ? id.toString('hex') : null;
+  }
+
+  // Peer IDs from the RECIPIENTS extension; null when absent or malformed
+  get expectedRecipients() {
+    const block = this.extensions.get(PacketExtension.RECIPIENTS);
+    if (!block || block.length === 0 || block.length % PEER_ID_LENGTH !== 0) {
+      return null;
+    }
+
+    const recipients = [];
+    for (let offset = 0; offset < block.length; offset += PEER_ID_LENGTH) {
+      recipients.push(
+        block.slice(offset, offset + PEER_ID_LENGTH).toString('hex')
+      );
+    }
+    return recipients;
+  }
+
+  setExpectedRecipients(peerIDs) {
+    if (!peerIDs || peerIDs.length === 0) {
+      this.extensions.delete(PacketExtension.RECIPIENTS);
+      return;
+    }
+
+    this.extensions.set(
+      PacketExtension.RECIPIENTS,
+      Buffer.concat(peerIDs.map(peerID => BinaryProtocol.encodePeerID(peerID)))
+    );
+  }
+
+  hasFlag(flag) {
+    return (this.flags & flag) !== 0;
+  }
+
+  setFlag(flag, enabled = true) {
+    this.flags = enabled ? this.flags | flag : this.flags & ~flag;
   }
 
   // Convert packet to binary data for transmission
@@ -109,44 +198,52 @@ export class KrtrPacket {
 export class BinaryProtocol {
   static encode(packet) {
     try {
-      const buffers = [];
+      if (packet.version === LEGACY_PROTOCOL_VERSION) {
+        return this.encodeV1(packet);
+      }
+      if (packet.version !== PROTOCOL_VERSION) {
+        throw new Error(`Unsupported packet version: ${packet.version}`);
+      }
+      if (packet.signature && packet.signature.length !== SIGNATURE_LENGTH) {
+        throw new Error('Invalid signature length');
+      }
 
-      // Header: version (1) + type (1) + ttl (1) = 3 bytes
-      buffers.push(Buffer.from([packet.version, packet.type, packet.ttl]));
+      const buffers = [];
 
-      // Sender ID (8 bytes)
-      const senderBuffer = Buffer.from(packet.senderID, 'utf8');
-      const senderPadded = Buffer.alloc(8);
-      senderBuffer.copy(senderPadded, 0, 0, Math.min(8, senderBuffer.length));
-      buffers.push(senderPadded);
+      // Header: version (1) + type (1) + ttl (1) + flags (1)
+      buffers.push(
+        Buffer.from([
+          packet.version,
+          packet.type,
+          packet.ttl,
+          this.encodeFlags(packet),
+        ])
+      );
 
-      // Recipient ID (8 bytes, optional)
+      // Sender ID (8 bytes), recipient ID (8 bytes, only when addressed)
+      buffers.push(this.encodePeerID(packet.senderID));
       if (packet.recipientID) {
-        const recipientBuffer = Buffer.from(packet.recipientID, 'utf8');
-        const recipientPadded = Buffer.alloc(8);
-        recipientBuffer.copy(
-          recipientPadded,
-          0,
-          0,
-          Math.min(8, recipientBuffer.length)
-        );
-        buffers.push(recipientPadded);
-      } else {
-        buffers.push(Buffer.alloc(8, 0));
+        buffers.push(this.encodePeerID(packet.recipientID));
       }
 
       // Timestamp (8 bytes)
-      const timestampBuffer = Buffer.alloc(8);
-      timestampBuffer.writeBigUInt64BE(BigInt(packet.timestamp));
-      buffers.push(timestampBuffer);
+      buffers.push(this.encodeTimestamp(packet.timestamp));
+
+      // Extensions: block length (2) + TLVs
+      if (packet.extensions.size > 0) {
+        const extensions = this.encodeExtensions(packet.extensions);
+        const extensionLength = Buffer.alloc(2);
+        extensionLength.writeUInt16BE(extensions.length);
+        buffers.push(extensionLength, extensions);
+      }
 
       // Payload length (4 bytes) + payload
-      const payloadLength = Buffer.alloc(4);
+      const payloadLength = Buffer.alloc(PAYLOAD_LENGTH_SIZE);
       payloadLength.writeUInt32BE(packet.payload.length);
       buffers.push(payloadLength);
       buffers.push(packet.payload);
 
-      // Signature (optional, 64 bytes if present)
+      // Signature (64 bytes, flagged)
       if (packet.signature) {
         buffers.push(packet.signature);
       }
@@ -158,62 +255,340 @@ export class BinaryProtocol {
     }
   }
 
-  static decode(data) {
-    try {
-      if (data.length < 27) return null; // Minimum packet size
+  static encodeV1(packet) {
+    const buffers = [];
 
-      let offset = 0;
+    // Header: version (1) + type (1) + ttl (1) = 3 bytes
+    buffers.push(Buffer.from([packet.version, packet.type, packet.ttl]));
 
-      // Header
-      const version = data[offset++];
-      const type = data[offset++];
-      const ttl = data[offset++];
+    // Sender ID (8 bytes)
+    buffers.push(this.encodePeerID(packet.senderID, packet.version));
 
-      // Sender ID (8 bytes)
-      const senderBuffer = data.slice(offset, offset + 8);
-      const senderID = senderBuffer.toString('utf8').replace(/\0+$/, '');
-      offset += 8;
+    // Recipient ID (8 bytes, optional)
+    buffers.push(this.encodePeerID(packet.recipientID, packet.version));
 
-      // Recipient ID (8 bytes)
-      const recipientBuffer = data.slice(offset, offset + 8);
-      const recipientID = recipientBuffer.every(b => b === 0)
-        ? null
-        : recipientBuffer.toString('utf8').replace(/\0+$/, '');
-      offset += 8;
+    // Timestamp (8 bytes)
+    buffers.push(this.encodeTimestamp(packet.timestamp));
 
-      // Timestamp (8 bytes)
-      const timestamp = Number(data.readBigUInt64BE(offset));
-      offset += 8;
+    // Payload length (4 bytes) + payload
+    const payloadLength = Buffer.alloc(PAYLOAD_LENGTH_SIZE);
+    payloadLength.writeUInt32BE(packet.payload.length);
+    buffers.push(payloadLength);
+    buffers.push(packet.payload);
 
-      // Payload length and payload
-      const payloadLength = data.readUInt32BE(offset);
-      offset += 4;
+    // Signature (optional, 64 bytes if present)
+    if (packet.signature) {
+      buffers.push(packet.signature);
+    }
 
-      if (offset + payloadLength > data.length) return null;
+    return Buffer.concat(buffers);
+  }
 
-      const payload = data.slice(offset, offset + payloadLength);
-      offset += payloadLength;
+  // Layout bits come from the packet's contents, feature bits from packet.flags
+  static encodeFlags(packet) {
+    let flags =
+      packet.flags &
+      ~(
+        PacketFlags.SIGNED |
+        PacketFlags.HAS_EXTENSIONS |
+        PacketFlags.HAS_RECIPIENT
+      );
+    if (packet.signature) flags |= PacketFlags.SIGNED;
+    if (packet.extensions.size > 0) flags |= PacketFlags.HAS_EXTENSIONS;
+    if (packet.recipientID) flags |= PacketFlags.HAS_RECIPIENT;
+    return flags;
+  }
 
-      // Signature (optional)
-      let signature = null;
-      if (offset + 64 <= data.length) {
-        signature = data.slice(offset, offset + 64);
+  // TLV: type (1) + length (2) + value, sorted by type for a canonical form
+  static encodeExtensions(extensions) {
+    const buffers = [];
+    const types = Array.from(extensions.keys()).sort((a, b) => a - b);
+
+    for (const type of types) {
+      const value = extensions.get(type);
+      if (type < 0 || type > 0xff || value.length > MAX_EXTENSION_BLOCK) {
+        throw new Error(`Invalid extension: ${type}`);
       }
 
-      return new KrtrPacket({
-        type,
-        senderID,
-        recipientID,
-        timestamp,
-        payload,
-        signature,
-        ttl,
-      });
+      const header = Buffer.alloc(3);
+      header.writeUInt8(type, 0);
+      header.writeUInt16BE(value.length, 1);
+      buffers.push(header, value);
+    }
+
+    const block = Buffer.concat(buffers);
+    if (block.length > MAX_EXTENSION_BLOCK) {
+      throw new Error('Extension block too large');
+    }
+    return block;
+  }
+
+  static decodeExtensions(block) {
+    const extensions = new Map();
+    let offset = 0;
+
+    while (offset < block.length) {
+      if (offset + 3 > block.length) {
+        throw new Error('Truncated extension header');
+      }
+
+      const type = block.readUInt8(offset);
+      const length = block.readUInt16BE(offset + 1);
+      offset += 3;
+
+      if (offset + length > block.length) {
+        throw new Error('Truncated extension value');
+      }
+      if (extensions.has(type)) {
+        throw new Error(`Duplicate extension: ${type}`);
+      }
+
+      extensions.set(type, block.slice(offset, offset + length));
+      offset += length;
+    }
+
+    return extensions;
+  }
+
+  // Peer IDs occupy fixed 8-byte slots, zero-filled when absent. Identity
+  // derived IDs are 16 hex characters stored as raw bytes; legacy IDs are
+  // UTF-8, truncated to fit. v1 packets are UTF-8 throughout, so there a
+  // derived ID is written as its legacy form, its first 8 characters.
+  static encodePeerID(peerID, version = PROTOCOL_VERSION) {
+    if (version !== LEGACY_PROTOCOL_VERSION && isPeerID(peerID)) {
+      return Buffer.from(peerID, 'hex');
+    }
+
+    const padded = Buffer.alloc(PEER_ID_LENGTH, 0);
+    if (peerID) {
+      const idBuffer = Buffer.from(peerID, 'utf8');
+      idBuffer.copy(padded, 0, 0, Math.min(PEER_ID_LENGTH, idBuffer.length));
+    }
+    return padded;
+  }
+
+  static decodePeerID(buffer, version = PROTOCOL_VERSION) {
+    if (buffer.every(b => b === 0)) return null;
+
+    return version === LEGACY_PROTOCOL_VERSION
+      ? buffer.toString('utf8').replace(/\0+$/, '')
+      : buffer.toString('hex');
+  }
+
+  static encodeTimestamp(timestamp) {
+    const timestampBuffer = Buffer.alloc(TIMESTAMP_LENGTH);
+    timestampBuffer.writeBigUInt64BE(BigInt(timestamp));
+    return timestampBuffer;
+  }
+
+  /**
+   * Header fields an end-to-end layer can bind to (AEAD associated data).
+   * TTL is excluded because relays decrement it in flight, and so is the
+   * SIGNED flag because the signature is added after this is computed.
+   * @param {KrtrPacket} packet - Packet being protected
+   * @returns {Buffer} - version + type + sender + recipient + timestamp,
+   *   plus flags and the length-prefixed extension block from v2 on
+   */
+  static encodeAuthenticatedHeader(packet) {
+    const fields = [
+      Buffer.from([packet.version, packet.type]),
+      this.encodePeerID(packet.senderID, packet.version),
+      this.encodePeerID(packet.recipientID, packet.version),
+      this.encodeTimestamp(packet.timestamp),
+    ];
+
+    if (packet.version >= PROTOCOL_VERSION) {
+      const extensions = this.encodeExtensions(packet.extensions);
+      const extensionLength = Buffer.alloc(2);
+      extensionLength.writeUInt16BE(extensions.length);
+      fields.push(
+        Buffer.from([this.encodeFlags(packet) & ~PacketFlags.SIGNED]),
+        extensionLength,
+        extensions
+      );
+    }
+
+    return Buffer.concat(fields);
+  }
+
+  /**
+   * Bytes covered by the packet signature: the authenticated header plus
+   * the length-prefixed payload. The lengths stop a relay from moving bytes
+   * between the extension block and the payload. TTL is left out so relays
+   * don't invalidate it.
+   * @param {KrtrPacket} packet - Packet being signed or verified
+   * @returns {Buffer}
+   */
+  static encodeSignableData(packet) {
+    const payloadLength = Buffer.alloc(4);
+    payloadLength.writeUInt32BE(packet.payload.length);
+    return Buffer.concat([
+      this.encodeAuthenticatedHeader(packet),
+      payloadLength,
+      packet.payload,
+    ]);
+  }
+
+  static decode(data) {
+    try {
+      if (!data || data.length < 1) return null;
+
+      switch (data[0]) {
+        case PROTOCOL_VERSION:
+          return this.decodeV2(data);
+        case LEGACY_PROTOCOL_VERSION:
+          return this.decodeV1(data);
+        default:
+          console.warn(
+            `[KRTR Protocol] Unsupported packet version: ${data[0]}`
+          );
+          return null;
+      }
     } catch (error) {
       console.error('[KRTR Protocol] Decoding error:', error);
       return null;
     }
   }
+
+  static decodeV2(data) {
+    if (data.length < V2_MIN_HEADER_LENGTH) return null;
+
+    let offset = 0;
+
+    // Header
+    const version = data[offset++];
+    const type = data[offset++];
+    const ttl = data[offset++];
+    const flags = data[offset++];
+
+    const need = length => {
+      if (offset + length > data.length) {
+        throw new Error('Packet truncated');
+      }
+    };
+
+    // Sender ID (8 bytes)
+    need(PEER_ID_LENGTH);
+    const senderID = this.decodePeerID(data.slice(offset, offset + 8));
+    offset += PEER_ID_LENGTH;
+
+    // Recipient ID (8 bytes, flagged)
+    let recipientID = null;
+    if (flags & PacketFlags.HAS_RECIPIENT) {
+      need(PEER_ID_LENGTH);
+      recipientID = this.decodePeerID(data.slice(offset, offset + 8));
+      offset += PEER_ID_LENGTH;
+    }
+
+    // Timestamp (8 bytes)
+    need(TIMESTAMP_LENGTH);
+    const timestamp = Number(data.readBigUInt64BE(offset));
+    offset += TIMESTAMP_LENGTH;
+
+    // Extensions (flagged)
+    let extensions = new Map();
+    if (flags & PacketFlags.HAS_EXTENSIONS) {
+      need(2);
+      const extensionLength = data.readUInt16BE(offset);
+      offset += 2;
+      need(extensionLength);
+      extensions = this.decodeExtensions(
+        data.slice(offset, offset + extensionLength)
+      );
+      offset += extensionLength;
+    }
+
+    // Payload length and payload
+    need(PAYLOAD_LENGTH_SIZE);
+    const payloadLength = data.readUInt32BE(offset);
+    offset += PAYLOAD_LENGTH_SIZE;
+    need(payloadLength);
+    const payload = data.slice(offset, offset + payloadLength);
+    offset += payloadLength;
+
+    // Signature (flagged)
+    let signature = null;
+    if (flags & PacketFlags.SIGNED) {
+      need(SIGNATURE_LENGTH);
+      signature = data.slice(offset, offset + SIGNATURE_LENGTH);
+      offset += SIGNATURE_LENGTH;
+    }
+
+    if (offset !== data.length) {
+      throw new Error(`Unexpected trailing bytes: ${data.length - offset}`);
+    }
+
+    return new KrtrPacket({
+      version,
+      type,
+      senderID,
+      recipientID,
+      timestamp,
+      payload,
+      signature,
+      ttl,
+      flags:
+        flags &
+        ~(
+          PacketFlags.SIGNED |
+          PacketFlags.HAS_EXTENSIONS |
+          PacketFlags.HAS_RECIPIENT
+        ),
+      extensions,
+    });
+  }
+
+  static decodeV1(data) {
+    if (data.length < V1_HEADER_LENGTH) return null; // Minimum packet size
+
+    let offset = 0;
+
+    // Header
+    const version = data[offset++];
+    const type = data[offset++];
+    const ttl = data[offset++];
+
+    // Sender ID (8 bytes)
+    const senderID =
+      this.decodePeerID(data.slice(offset, offset + 8), version) || '';
+    offset += PEER_ID_LENGTH;
+
+    // Recipient ID (8 bytes)
+    const recipientID = this.decodePeerID(
+      data.slice(offset, offset + 8),
+      version
+    );
+    offset += PEER_ID_LENGTH;
+
+    // Timestamp (8 bytes)
+    const timestamp = Number(data.readBigUInt64BE(offset));
+    offset += TIMESTAMP_LENGTH;
+
+    // Payload length and payload
+    const payloadLength = data.readUInt32BE(offset);
+    offset += PAYLOAD_LENGTH_SIZE;
+
+    if (offset + payloadLength > data.length) return null;
+
+    const payload = data.slice(offset, offset + payloadLength);
+    offset += payloadLength;
+
+    // Signature: v1 has no flag, so the only valid trailers are none or 64 bytes
+    const trailing = data.length - offset;
+    if (trailing !== 0 && trailing !== SIGNATURE_LENGTH) return null;
+    const signature = trailing ? data.slice(offset) : null;
+
+    return new KrtrPacket({
+      version,
+      type,
+      senderID,
+      recipientID,
+      timestamp,
+      payload,
+      signature,
+      ttl,
+    });
+  }
 }
 
 // Message structure for KRTR
@@ -233,6 +608,7 @@ export class KrtrMessage {
     encryptedContent = null,
     isEncrypted = false,
     deliveryStatus = null,
+    recipientStatus = null,
   }) {
     this.id = id || uuid.v4();
     this.sender = sender;
@@ -248,6 +624,7 @@ export class KrtrMessage {
     this.encryptedContent = encryptedContent;
     this.isEncrypted = isEncrypted;
     this.deliveryStatus = deliveryStatus || (isPrivate ? 'sending' : null);
+    this.recipientStatus = recipientStatus; // peerID -> status, group messages
   }
 }
 
@@ -327,6 +704,340 @@ export class ReadReceipt {
   }
 }
 
+// Custody signal: the custodian now carries the message, so the previous
+// holder can drop its copy
+export class CustodyAck {
+  constructor(messageID, custodianID) {
+    this.messageID = messageID;
+    this.custodianID = custodianID;
+    this.timestamp = new Date();
+  }
+
+  encode() {
+    return Buffer.from(JSON.stringify(this), 'utf8');
+  }
+
+  static decode(data) {
+    try {
+      const json = JSON.parse(data.toString('utf8'));
+      const ack = new CustodyAck(json.messageID, json.custodianID);
+      ack.timestamp = new Date(json.timestamp);
+      return ack;
+    } catch (error) {
+      console.error('[KRTR Protocol] CustodyAck decode error:', error);
+      return null;
+    }
+  }
+}
+
+// Favourite status: lets the other side keep our messages as long as we
+// keep theirs
+export class FavoriteStatus {
+  constructor(isFavorite, nickname = null) {
+    this.isFavorite = isFavorite;
+    this.nickname = nickname;
+    this.timestamp = new Date();
+  }
+
+  encode() {
+    return Buffer.from(JSON.stringify(this), 'utf8');
+  }
+
+  static decode(data) {
+    try {
+      const json = JSON.parse(data.toString('utf8'));
+      const status = new FavoriteStatus(!!json.isFavorite, json.nickname);
+      status.timestamp = new Date(json.timestamp);
+      return status;
+    } catch (error) {
+      console.error('[KRTR Protocol] FavoriteStatus decode error:', error);
+      return null;
+    }
+  }
+}
+
+// Query for messages still waiting on a delivery ack; the recipient acks
+// again any it has received
+export class DeliveryStatusRequest {
+  constructor(messageIDs, requesterID) {
+    this.messageIDs = messageIDs;
+    this.requestID = uuid.v4();
+    this.requesterID = requesterID;
+    this.timestamp = new Date();
+  }
+
+  encode() {
+    return Buffer.from(JSON.stringify(this), 'utf8');
+  }
+
+  static decode(data) {
+    try {
+      const json = JSON.parse(data.toString('utf8'));
+      if (!Array.isArray(json.messageIDs)) return null;
+
+      const request = new DeliveryStatusRequest(
+        json.messageIDs,
+        json.requesterID
+      );
+      request.requestID = json.requestID;
+      request.timestamp = new Date(json.timestamp);
+      return request;
+    } catch (error) {
+      console.error(
+        '[KRTR Protocol] DeliveryStatusRequest decode error:',
+        error
+      );
+      return null;
+    }
+  }
+}
+
+// Peer announcement beacon: who we are and what we support. The identity
+// key lets receivers check it derives to the sender's peer ID.
+export class PeerAnnounce {
+  constructor({
+    nickname = null,
+    capabilities = {},
+    fingerprint,
+    identityKey,
+    signingKey,
+  }) {
+    this.nickname = nickname;
+    this.capabilities = capabilities; // {protocolVersion, compression, zk, ...}
+    this.fingerprint = fingerprint; // SHA-256 of the identity and signing keys, hex
+    this.identityKey = identityKey; // Buffer, X25519
+    this.signingKey = signingKey; // Buffer, Ed25519
+  }
+
+  encode() {
+    return Buffer.from(
+      JSON.stringify({
+        ...this,
+        identityKey: this.identityKey.toString('base64'),
+        signingKey: this.signingKey.toString('base64'),
+      }),
+      'utf8'
+    );
+  }
+
+  static decode(data) {
+    try {
+      const json = JSON.parse(data.toString('utf8'));
+      if (!json.identityKey || !json.signingKey) return null;
+
+      return new PeerAnnounce({
+        ...json,
+        capabilities: json.capabilities || {},
+        identityKey: Buffer.from(json.identityKey, 'base64'),
+        signingKey: Buffer.from(json.signingKey, 'base64'),
+      });
+    } catch (error) {
+      console.error('[KRTR Protocol] PeerAnnounce decode error:', error);
+      return null;
+    }
+  }
+}
+
+// Channel announcement: membership status plus the key parameters joiners
+// need to derive the channel key from its password
+export class ChannelAnnounce {
+  constructor({
+    channel,
+    creatorID,
+    isMember = true,
+    topic = null,
+    isPasswordProtected = false,
+    keyEpoch = 0,
+    kdf = null,
+    salt = null,
+    iterations = null,
+    keyCommitment = null,
+    timestamp = null,
+  }) {
+    this.channel = channel;
+    this.creatorID = creatorID;
+    this.isMember = isMember;
+    this.topic = topic;
+    this.isPasswordProtected = isPasswordProtected;
+    this.keyEpoch = keyEpoch;
+    this.kdf = kdf;
+    this.salt = salt;
+    this.iterations = iterations;
+    this.keyCommitment = keyCommitment;
+    this.timestamp = timestamp || new Date();
+  }
+
+  encode() {
+    return Buffer.from(
+      JSON.stringify({
+        ...this,
+        salt: this.salt ? this.salt.toString('base64') : null,
+        keyCommitment: this.keyCommitment
+          ? this.keyCommitment.toString('base64')
+          : null,
+      }),
+      'utf8'
+    );
+  }
+
+  static decode(data) {
+    try {
+      const json = JSON.parse(data.toString('utf8'));
+      return new ChannelAnnounce({
+        ...json,
+        salt: json.salt ? Buffer.from(json.salt, 'base64') : null,
+        keyCommitment: json.keyCommitment
+          ? Buffer.from(json.keyCommitment, 'base64')
+          : null,
+        timestamp: new Date(json.timestamp),
+      });
+    } catch (error) {
+      console.error('[KRTR Protocol] ChannelAnnounce decode error:', error);
+      return null;
+    }
+  }
+}
+
+// Channel retention policy, set by the channel owner
+export class ChannelRetention {
+  constructor({
+    channel,
+    enabled = false,
+    maxMessages = null,
+    maxAge = null,
+    timestamp = null,
+  }) {
+    this.channel = channel;
+    this.enabled = enabled; // Whether members keep channel history
+    this.maxMessages = maxMessages;
+    this.maxAge = maxAge; // milliseconds
+    this.timestamp = timestamp || new Date();
+  }
+
+  encode() {
+    return Buffer.from(JSON.stringify(this), 'utf8');
+  }
+
+  static decode(data) {
+    try {
+      const json = JSON.parse(data.toString('utf8'));
+      return new ChannelRetention({
+        ...json,
+        timestamp: new Date(json.timestamp),
+      });
+    } catch (error) {
+      console.error('[KRTR Protocol] ChannelRetention decode error:', error);
+      return null;
+    }
+  }
+}
+
+// Channel message payload carried in MESSAGE packets. The magic prefix is
+// not valid UTF-8, so it can't collide with a plain text message.
+export class ChannelMessage {
+  static MAGIC = Buffer.from([0xc7, 0x43]);
+  static FLAG_ENCRYPTED = 0x01;
+
+  constructor({ channel, content, isEncrypted = false }) {
+    this.channel = channel;
+    this.content = content; // Buffer: plaintext or channel envelope
+    this.isEncrypted = isEncrypted;
+  }
+
+  // Magic (2) + flags (1) + channel length (1) + channel + content
+  encode() {
+    const channel = Buffer.from(this.channel, 'utf8');
+    if (channel.length > 255) {
+      throw new Error('Channel name too long');
+    }
+
+    return Buffer.concat([
+      ChannelMessage.MAGIC,
+      Buffer.from([
+        this.isEncrypted ? ChannelMessage.FLAG_ENCRYPTED : 0,
+        channel.length,
+      ]),
+      channel,
+      this.content,
+    ]);
+  }
+
+  static isChannelMessage(data) {
+    return (
+      !!data &&
+      data.length >= 4 &&
+      data[0] === ChannelMessage.MAGIC[0] &&
+      data[1] === ChannelMessage.MAGIC[1]
+    );
+  }
+
+  static decode(data) {
+    if (!ChannelMessage.isChannelMessage(data)) return null;
+
+    const flags = data[2];
+    const channelLength = data[3];
+    if (4 + channelLength > data.length) return null;
+
+    return new ChannelMessage({
+      channel: data.slice(4, 4 + channelLength).toString('utf8'),
+      content: data.slice(4 + channelLength),
+      isEncrypted: (flags & ChannelMessage.FLAG_ENCRYPTED) !== 0,
+    });
+  }
+}
+
+// Selective retransmission request for a fragmented message, sent back over
+// the link as a LinkFrameType.FRAGMENT_NACK frame
+export class FragmentNack {
+  constructor({ messageID, totalFragments, missing = [] }) {
+    this.messageID = messageID; // hex message ID from the fragment header
+    this.totalFragments = totalFragments;
+    this.missing = missing; // fragment indices
+  }
+
+  // Message ID length (1) + message ID + total (2) + bitmap, bit set = missing
+  encode() {
+    const messageID = Buffer.from(this.messageID, 'hex');
+    const header = Buffer.alloc(3);
+    header.writeUInt16BE(this.totalFragments, 1);
+    header[0] = messageID.length;
+
+    const bitmap = Buffer.alloc(Math.ceil(this.totalFragments / 8));
+    for (const index of this.missing) {
+      bitmap[index >> 3] |= 0x80 >> (index & 7);
+    }
+
+    return Buffer.concat([
+      header.subarray(0, 1),
+      messageID,
+      header.subarray(1),
+      bitmap,
+    ]);
+  }
+
+  static decode(data) {
+    if (!data || data.length < 1) return null;
+
+    const idLength = data[0];
+    if (data.length < 1 + idLength + 2) return null;
+
+    const totalFragments = data.readUInt16BE(1 + idLength);
+    const bitmap = data.subarray(3 + idLength);
+    if (bitmap.length !== Math.ceil(totalFragments / 8)) return null;
+
+    const missing = [];
+    for (let index = 0; index < totalFragments; index++) {
+      if (bitmap[index >> 3] & (0x80 >> (index & 7))) missing.push(index);
+    }
+
+    return new FragmentNack({
+      messageID: data.subarray(1, 1 + idLength).toString('hex'),
+      totalFragments,
+      missing,
+    });
+  }
+}
+
 // Zero-Knowledge Proof structures
 export class ZKMembershipProof {
   constructor(proof, publicSignals, nullifierHash) {
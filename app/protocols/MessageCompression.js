@@ -11,6 +11,8 @@ export class MessageCompression {
     // Compression settings
     this.compressionThreshold = 100; // bytes
     this.maxCompressionRatio = 0.9; // Don't compress if ratio > 90%
+    // Largest output we inflate; a few bytes of LZ4 can claim megabytes
+    this.maxDecompressedSize = 64 * 1024;
 
     // Statistics
     this.stats = {
@@ -74,11 +76,20 @@ export class MessageCompression {
   /**
    * Decompress message data
    * @param {Buffer} data - Compressed data
+   * @param {number} maxSize - Largest output accepted
    * @returns {Buffer} - Decompressed data
+   * @throws {Error} - If the data is malformed or inflates past maxSize
    */
-  decompress(data) {
+  decompress(data, maxSize = this.maxDecompressedSize) {
     try {
-      const decompressed = Buffer.from(LZ4.decompress(data));
+      // The frame's own size claims aren't trusted: decode into a fixed
+      // buffer and check how far the decoder got
+      const output = new Uint8Array(maxSize);
+      const size = LZ4.decompressFrame(data, output);
+      if (size > maxSize) {
+        throw new Error(`Decompressed data exceeds ${maxSize} bytes`);
+      }
+      const decompressed = Buffer.from(output.subarray(0, size));
 
       this.stats.messagesDecompressed++;
 
@@ -177,14 +188,47 @@ export class MessageCompression {
   }
 }
 
+// Fragments and NACKs only cross one link, so instead of a packet header
+// they lead with a marker byte no packet version uses
+export const LinkFrameType = {
+  FRAGMENT: 0xf0,
+  FRAGMENT_NACK: 0xf1,
+};
+
+// Fragment header: marker (1) + message ID (8) + index (2) + total (2) +
+// flags (1), leaving 6 bytes of data in the 20 a default BLE MTU carries
+export const FRAGMENT_ID_LENGTH = 8;
+export const FRAGMENT_HEADER_SIZE = 1 + FRAGMENT_ID_LENGTH + 5;
+const FRAGMENT_ID_OFFSET = 1;
+const FRAGMENT_INDEX_OFFSET = FRAGMENT_ID_OFFSET + FRAGMENT_ID_LENGTH;
+
+export const FragmentFlags = {
+  FIRST: 0x01,
+  LAST: 0x02,
+};
+
 /**
  * Message fragmentation for large messages
  */
 export class MessageFragmentation {
   constructor() {
-    this.maxFragmentSize = 500; // bytes (BLE MTU consideration)
+    this.maxFragmentSize = 500; // bytes per fragment, header included
     this.fragmentTimeout = 30000; // 30 seconds
-    this.activeFragments = new Map(); // fragmentID -> {fragments, timestamp, totalFragments}
+    this.activeFragments = new Map(); // source:fragmentID -> {fragments, receivedCount, bytes, ...}
+
+    // Fragments are unauthenticated and link-local, so any neighbour can
+    // open collections; these bound what they can make us hold
+    this.maxMessageSize = 64 * 1024; // reassembled bytes per message
+    this.maxCollectionsPerSource = 4;
+    this.maxCollections = 32;
+    this.maxBufferedBytes = 256 * 1024; // across all collections
+
+    // Selective retransmission
+    this.nackDelay = 2000; // quiet time before asking for missing fragments
+    this.maxNackRounds = 3; // NACKs per incomplete message
+    this.maxRetransmitRounds = 3; // resends per sent message
+    this.maxSentMessages = 32;
+    this.sentFragments = new Map(); // destination:messageID -> {frames, timestamp, retransmitRounds}
 
     // Statistics
     this.stats = {
@@ -192,6 +236,10 @@ export class MessageFragmentation {
       messagesReassembled: 0,
       fragmentsSent: 0,
       fragmentsReceived: 0,
+      fragmentsRetransmitted: 0,
+      nacksSent: 0,
+      nacksReceived: 0,
+      fragmentsRefused: 0,
       timeouts: 0,
       errors: 0,
     };
@@ -202,25 +250,41 @@ export class MessageFragmentation {
   /**
    * Fragment a large message
    * @param {Buffer} data - Message data to fragment
-   * @param {string} messageID - Unique message identifier
+   * @param {string} messageID - Hex message identifier; its first 8 bytes
+   *   identify the fragments on the wire
+   * @param {number} fragmentSize - Largest fragment, header included; the
+   *   destination link's limit when it is below maxFragmentSize
    * @returns {Array} - Array of fragment packets
    */
-  fragment(data, messageID) {
+  fragment(data, messageID, fragmentSize = this.maxFragmentSize) {
     try {
-      if (data.length <= this.maxFragmentSize) {
+      if (data.length <= fragmentSize) {
         return [{ data, isFragment: false }];
       }
 
+      const chunkSize = fragmentSize - FRAGMENT_HEADER_SIZE;
+      if (chunkSize <= 0) {
+        throw new Error(
+          `Fragment size ${fragmentSize} leaves no room for data`
+        );
+      }
+
       const fragments = [];
-      const totalFragments = Math.ceil(data.length / this.maxFragmentSize);
+      const totalFragments = Math.ceil(data.length / chunkSize);
+      if (totalFragments > 0xffff) {
+        throw new Error(
+          `Message of ${data.length} bytes needs too many fragments`
+        );
+      }
+      const fragmentID = this.toFragmentID(messageID);
 
       for (let i = 0; i < totalFragments; i++) {
-        const start = i * this.maxFragmentSize;
-        const end = Math.min(start + this.maxFragmentSize, data.length);
+        const start = i * chunkSize;
+        const end = Math.min(start + chunkSize, data.length);
         const fragmentData = data.slice(start, end);
 
         const fragmentHeader = {
-          messageID,
+          messageID: fragmentID,
           fragmentIndex: i,
           totalFragments,
           isFirst: i === 0,
@@ -253,36 +317,75 @@ export class MessageFragmentation {
   /**
    * Process incoming fragment
    * @param {Object} fragmentPacket - Fragment packet
+   * @param {string|null} source - Peer it came from; messages are reassembled
+   *   per source so two senders of the same message don't mix
    * @returns {Object|null} - Complete message if reassembly finished, null otherwise
    */
-  processFragment(fragmentPacket) {
+  processFragment(fragmentPacket, source = null) {
     try {
-      const { messageID, fragmentIndex, totalFragments, isFirst, isLast } =
+      const { messageID, fragmentIndex, totalFragments } =
         fragmentPacket.header;
       const fragmentData = fragmentPacket.data;
+      const key = source ? `${source}:${messageID}` : messageID;
 
       this.stats.fragmentsReceived++;
 
-      // Initialize fragment collection if first fragment
-      if (isFirst || !this.activeFragments.has(messageID)) {
-        this.activeFragments.set(messageID, {
-          fragments: new Array(totalFragments),
+      // Every fragment but the last is a full chunk, so this is about the
+      // size the message claims
+      const isLast = fragmentIndex === totalFragments - 1;
+      const claimedSize = isLast
+        ? fragmentData.length
+        : (totalFragments - 1) * fragmentData.length;
+      if (claimedSize > this.maxMessageSize) {
+        return this.refuseFragment(`message of ${claimedSize} bytes`);
+      }
+
+      // Initialize fragment collection on the first fragment to arrive; a
+      // retransmitted first fragment must not discard the others
+      if (!this.activeFragments.has(key)) {
+        const refusal = this.checkCollectionLimits(source);
+        if (refusal) return this.refuseFragment(refusal);
+
+        this.activeFragments.set(key, {
+          messageID,
+          source,
+          fragments: new Map(), // index -> data
           receivedCount: 0,
+          bytes: 0,
           totalFragments,
           timestamp: Date.now(),
+          lastFragmentAt: Date.now(),
+          nackRounds: 0,
         });
       }
 
-      const fragmentCollection = this.activeFragments.get(messageID);
+      const fragmentCollection = this.activeFragments.get(key);
+      if (fragmentCollection.totalFragments !== totalFragments) {
+        console.warn(
+          `[KRTR Fragmentation] Inconsistent fragment total for ${messageID}`
+        );
+        this.stats.errors++;
+        return null;
+      }
+      fragmentCollection.lastFragmentAt = Date.now();
 
       // Check if fragment already received
-      if (fragmentCollection.fragments[fragmentIndex]) {
+      if (fragmentCollection.fragments.has(fragmentIndex)) {
         return null; // Duplicate fragment
       }
 
+      if (
+        fragmentCollection.bytes + fragmentData.length > this.maxMessageSize ||
+        this.getBufferedBytes() + fragmentData.length > this.maxBufferedBytes
+      ) {
+        this.activeFragments.delete(key);
+        return this.refuseFragment(`buffered data for ${messageID}`);
+      }
+
       // Store fragment
-      fragmentCollection.fragments[fragmentIndex] = fragmentData;
+      fragmentCollection.fragments.set(fragmentIndex, fragmentData);
       fragmentCollection.receivedCount++;
+      fragmentCollection.bytes += fragmentData.length;
 
       // Check if all fragments received
       if (
@@ -290,11 +393,13 @@ export class MessageFragmentation {
       ) {
         // Reassemble message
         const completeMessage = this.reassembleMessage(
-          fragmentCollection.fragments
+          Array.from({ length: totalFragments }, (_, index) =>
+            fragmentCollection.fragments.get(index)
+          )
         );
 
         // Clean up
-        this.activeFragments.delete(messageID);
+        this.activeFragments.delete(key);
 
         this.stats.messagesReassembled++;
 
@@ -317,6 +422,130 @@ export class MessageFragmentation {
     }
   }
 
+  /**
+   * @returns {string|null} - Why a new collection from this source is refused
+   */
+  checkCollectionLimits(source) {
+    if (this.activeFragments.size >= this.maxCollections) {
+      return 'too many incomplete messages';
+    }
+
+    let fromSource = 0;
+    for (const collection of this.activeFragments.values()) {
+      if (collection.source === source) fromSource++;
+    }
+    if (fromSource >= this.maxCollectionsPerSource) {
+      return `too many incomplete messages from ${source}`;
+    }
+    return null;
+  }
+
+  refuseFragment(reason) {
+    console.warn(`[KRTR Fragmentation] Refused fragment: ${reason}`);
+    this.stats.fragmentsRefused++;
+    return null;
+  }
+
+  getBufferedBytes() {
+    let bytes = 0;
+    for (const collection of this.activeFragments.values()) {
+      bytes += collection.bytes;
+    }
+    return bytes;
+  }
+
+  /**
+   * Incomplete messages that went quiet and still have NACK rounds left.
+   * Each call uses up a round for every message it returns.
+   * @returns {Array} - [{source, messageID, totalFragments, missing}]
+   */
+  collectStalledFragments(now = Date.now()) {
+    const stalled = [];
+
+    for (const collection of this.activeFragments.values()) {
+      if (
+        now - collection.lastFragmentAt < this.nackDelay ||
+        collection.nackRounds >= this.maxNackRounds
+      ) {
+        continue;
+      }
+
+      const missing = [];
+      for (let i = 0; i < collection.totalFragments; i++) {
+        if (!collection.fragments.has(i)) missing.push(i);
+      }
+
+      collection.nackRounds++;
+      // Give the retransmission a full delay before asking again
+      collection.lastFragmentAt = now;
+      this.stats.nacksSent++;
+
+      stalled.push({
+        source: collection.source,
+        messageID: collection.messageID,
+        totalFragments: collection.totalFragments,
+        missing,
+      });
+    }
+
+    return stalled;
+  }
+
+  /**
+   * Keep encoded fragments sent to a destination so a NACK can be answered
+   * @param {string} destination - Peer the fragments went to
+   * @param {string} messageID - Message identifier from the fragment header
+   * @param {Array<Buffer>} frames - Encoded fragments, by index
+   */
+  cacheSentFragments(destination, messageID, frames) {
+    const fragmentID = this.toFragmentID(messageID);
+    this.sentFragments.set(`${destination}:${fragmentID}`, {
+      frames,
+      timestamp: Date.now(),
+      retransmitRounds: 0,
+    });
+
+    while (this.sentFragments.size > this.maxSentMessages) {
+      this.sentFragments.delete(this.sentFragments.keys().next().value);
+    }
+  }
+
+  /**
+   * Frames to resend for a NACK, within the retry budget
+   * @param {string} destination - Peer that sent the NACK
+   * @param {string} messageID - Message identifier
+   * @param {Array<number>} missing - Fragment indices it lacks
+   * @returns {Array<Buffer>} - Frames to resend; empty if unknown or exhausted
+   */
+  getRetransmission(destination, messageID, missing) {
+    this.stats.nacksReceived++;
+
+    const key = `${destination}:${this.toFragmentID(messageID)}`;
+    const sent = this.sentFragments.get(key);
+    if (!sent) return [];
+
+    if (sent.retransmitRounds >= this.maxRetransmitRounds) {
+      this.sentFragments.delete(key);
+      return [];
+    }
+    sent.retransmitRounds++;
+
+    const frames = missing
+      .map(index => sent.frames[index])
+      .filter(frame => !!frame);
+    this.stats.fragmentsRetransmitted += frames.length;
+    return frames;
+  }
+
+  /**
+   * Wire form of a message ID: its first 8 bytes, zero padded, as hex
+   */
+  toFragmentID(messageID) {
+    const fragmentID = Buffer.alloc(FRAGMENT_ID_LENGTH);
+    Buffer.from(messageID, 'hex').copy(fragmentID, 0, 0, FRAGMENT_ID_LENGTH);
+    return fragmentID.toString('hex');
+  }
+
   /**
    * Create fragment packet with header
    * @param {Object} header - Fragment header
@@ -324,12 +553,20 @@ export class MessageFragmentation {
    * @returns {Object} - Fragment packet
    */
   createFragmentPacket(header, data) {
-    const headerBuffer = Buffer.from(JSON.stringify(header), 'utf8');
-    const headerLength = Buffer.alloc(2);
-    headerLength.writeUInt16BE(headerBuffer.length);
+    const headerBuffer = Buffer.alloc(FRAGMENT_HEADER_SIZE);
+    headerBuffer[0] = LinkFrameType.FRAGMENT;
+    Buffer.from(header.messageID, 'hex').copy(headerBuffer, FRAGMENT_ID_OFFSET);
+    headerBuffer.writeUInt16BE(header.fragmentIndex, FRAGMENT_INDEX_OFFSET);
+    headerBuffer.writeUInt16BE(
+      header.totalFragments,
+      FRAGMENT_INDEX_OFFSET + 2
+    );
+    headerBuffer[FRAGMENT_INDEX_OFFSET + 4] =
+      (header.isFirst ? FragmentFlags.FIRST : 0) |
+      (header.isLast ? FragmentFlags.LAST : 0);
 
     return {
-      data: Buffer.concat([headerLength, headerBuffer, data]),
+      data: Buffer.concat([headerBuffer, data]),
       header,
       isFragment: true,
     };
@@ -338,21 +575,48 @@ export class MessageFragmentation {
   /**
    * Parse fragment packet
    * @param {Buffer} packetData - Raw packet data
-   * @returns {Object} - Parsed fragment packet
+   * @returns {Object|null} - Parsed fragment packet, or null if malformed
    */
   parseFragmentPacket(packetData) {
-    try {
-      const headerLength = packetData.readUInt16BE(0);
-      const headerBuffer = packetData.slice(2, 2 + headerLength);
-      const data = packetData.slice(2 + headerLength);
-
-      const header = JSON.parse(headerBuffer.toString('utf8'));
+    if (!packetData || packetData.length < FRAGMENT_HEADER_SIZE) {
+      console.warn('[KRTR Fragmentation] Fragment shorter than its header');
+      return null;
+    }
+    if (packetData[0] !== LinkFrameType.FRAGMENT) {
+      console.warn('[KRTR Fragmentation] Not a fragment frame');
+      return null;
+    }
 
-      return { header, data };
-    } catch (error) {
-      console.error('[KRTR Fragmentation] Parse fragment error:', error);
-      throw error;
+    const fragmentIndex = packetData.readUInt16BE(FRAGMENT_INDEX_OFFSET);
+    const totalFragments = packetData.readUInt16BE(FRAGMENT_INDEX_OFFSET + 2);
+    const flags = packetData[FRAGMENT_INDEX_OFFSET + 4];
+    const isFirst = (flags & FragmentFlags.FIRST) !== 0;
+    const isLast = (flags & FragmentFlags.LAST) !== 0;
+
+    // Index, total and flags must agree with each other
+    if (
+      totalFragments === 0 ||
+      fragmentIndex >= totalFragments ||
+      isFirst !== (fragmentIndex === 0) ||
+      isLast !== (fragmentIndex === totalFragments - 1) ||
+      (flags & ~(FragmentFlags.FIRST | FragmentFlags.LAST)) !== 0
+    ) {
+      console.warn('[KRTR Fragmentation] Inconsistent fragment header');
+      return null;
     }
+
+    return {
+      header: {
+        messageID: packetData
+          .subarray(FRAGMENT_ID_OFFSET, FRAGMENT_INDEX_OFFSET)
+          .toString('hex'),
+        fragmentIndex,
+        totalFragments,
+        isFirst,
+        isLast,
+      },
+      data: packetData.subarray(FRAGMENT_HEADER_SIZE),
+    };
   }
 
   /**
@@ -368,7 +632,7 @@ export class MessageFragmentation {
    * Clean up expired fragments
    */
   setupCleanup() {
-    setInterval(() => {
+    this.cleanupTimer = setInterval(() => {
       const now = Date.now();
       let cleanedCount = 0;
 
@@ -380,6 +644,12 @@ export class MessageFragmentation {
         }
       }
 
+      for (const [key, sent] of this.sentFragments) {
+        if (now - sent.timestamp > this.fragmentTimeout) {
+          this.sentFragments.delete(key);
+        }
+      }
+
       if (cleanedCount > 0) {
         console.log(
           `[KRTR Fragmentation] Cleaned up ${cleanedCount} expired fragment collections`
@@ -388,6 +658,12 @@ export class MessageFragmentation {
     }, 60000); // Check every minute
   }
 
+  destroy() {
+    clearInterval(this.cleanupTimer);
+    this.activeFragments.clear();
+    this.sentFragments.clear();
+  }
+
   /**
    * Get fragmentation statistics
    * @returns {Object} - Fragmentation stats
@@ -396,6 +672,7 @@ export class MessageFragmentation {
     return {
       ...this.stats,
       activeFragmentCollections: this.activeFragments.size,
+      cachedSentMessages: this.sentFragments.size,
       maxFragmentSize: this.maxFragmentSize,
       fragmentTimeout: this.fragmentTimeout,
     };
@@ -0,0 +1,172 @@
+import { Buffer } from 'buffer';
+import { ed25519 } from '@noble/curves/ed25519';
+import {
+  BinaryProtocol,
+  KrtrPacket,
+  MessageType,
+  PacketFlags,
+  PacketExtension,
+  PROTOCOL_VERSION,
+  LEGACY_PROTOCOL_VERSION,
+} from '../KrtrProtocol';
+
+const senderID = '0123456789abcdef';
+const recipientID = 'fedcba9876543210';
+const timestamp = 1700000000000;
+
+function createPacket(overrides = {}) {
+  return new KrtrPacket({
+    type: MessageType.MESSAGE,
+    senderID,
+    timestamp,
+    payload: Buffer.from('hello mesh', 'utf8'),
+    ...overrides,
+  });
+}
+
+beforeEach(() => {
+  // Malformed input is logged before decode returns null
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('BinaryProtocol v2', () => {
+  it('round-trips a broadcast packet', () => {
+    const packet = createPacket({ ttl: 3 });
+    const decoded = BinaryProtocol.decode(BinaryProtocol.encode(packet));
+
+    expect(decoded.version).toBe(PROTOCOL_VERSION);
+    expect(decoded.type).toBe(MessageType.MESSAGE);
+    expect(decoded.ttl).toBe(3);
+    expect(decoded.senderID).toBe(senderID);
+    expect(decoded.recipientID).toBeNull();
+    expect(decoded.timestamp).toBe(timestamp);
+    expect(decoded.payload.toString()).toBe('hello mesh');
+    expect(decoded.signature).toBeNull();
+  });
+
+  it('only carries a recipient when addressed', () => {
+    const broadcast = BinaryProtocol.encode(createPacket());
+    const addressed = BinaryProtocol.encode(createPacket({ recipientID }));
+
+    expect(addressed.length - broadcast.length).toBe(8);
+    expect(addressed[3] & PacketFlags.HAS_RECIPIENT).toBeTruthy();
+    expect(BinaryProtocol.decode(addressed).recipientID).toBe(recipientID);
+  });
+
+  it('round-trips feature flags, extensions and the signature', () => {
+    const packet = createPacket({
+      recipientID,
+      signature: Buffer.alloc(64, 9),
+      flags: PacketFlags.ENCRYPTED | PacketFlags.PADDED,
+    });
+    packet.extensions.set(PacketExtension.MESSAGE_ID, Buffer.alloc(16, 0xab));
+    packet.setExpectedRecipients([recipientID, senderID]);
+
+    const decoded = BinaryProtocol.decode(BinaryProtocol.encode(packet));
+
+    expect(decoded.hasFlag(PacketFlags.ENCRYPTED)).toBe(true);
+    expect(decoded.hasFlag(PacketFlags.PADDED)).toBe(true);
+    expect(decoded.hasFlag(PacketFlags.SIGNED)).toBe(false);
+    expect(decoded.messageID).toBe('ab'.repeat(16));
+    expect(decoded.expectedRecipients).toEqual([recipientID, senderID]);
+    expect(decoded.signature.equals(Buffer.alloc(64, 9))).toBe(true);
+  });
+
+  it('signs everything but the TTL', () => {
+    const packet = createPacket({ recipientID });
+    const signable = BinaryProtocol.encodeSignableData(packet);
+
+    packet.ttl = 1;
+    expect(BinaryProtocol.encodeSignableData(packet).equals(signable)).toBe(
+      true
+    );
+
+    packet.payload = Buffer.from('hello mesH', 'utf8');
+    expect(BinaryProtocol.encodeSignableData(packet).equals(signable)).toBe(
+      false
+    );
+  });
+
+  it('fails verification once bytes move between extensions and payload', () => {
+    // The payload opens with what reads as a RECIPIENTS extension
+    const moved = Buffer.concat([
+      Buffer.from([PacketExtension.RECIPIENTS, 0, 8]),
+      Buffer.from(recipientID, 'hex'),
+    ]);
+    const packet = createPacket({
+      recipientID,
+      payload: Buffer.concat([moved, Buffer.from('hello mesh', 'utf8')]),
+    });
+    packet.extensions.set(PacketExtension.MESSAGE_ID, Buffer.alloc(16, 0xab));
+
+    const privateKey = ed25519.utils.randomPrivateKey();
+    const signature = ed25519.sign(
+      BinaryProtocol.encodeSignableData(packet),
+      privateKey
+    );
+
+    const reframed = createPacket({ recipientID });
+    reframed.extensions.set(PacketExtension.MESSAGE_ID, Buffer.alloc(16, 0xab));
+    reframed.setExpectedRecipients([recipientID]);
+
+    expect(
+      ed25519.verify(
+        signature,
+        BinaryProtocol.encodeSignableData(reframed),
+        ed25519.getPublicKey(privateKey)
+      )
+    ).toBe(false);
+  });
+
+  it('rejects truncated packets and trailing bytes', () => {
+    const data = BinaryProtocol.encode(createPacket());
+
+    expect(BinaryProtocol.decode(data.slice(0, data.length - 1))).toBeNull();
+    expect(
+      BinaryProtocol.decode(Buffer.concat([data, Buffer.from([0])]))
+    ).toBeNull();
+    expect(BinaryProtocol.decode(Buffer.from([9, 1, 2]))).toBeNull();
+  });
+
+  it('rejects duplicate extensions', () => {
+    const extension = Buffer.from([PacketExtension.MESSAGE_ID, 0, 1, 0xff]);
+    expect(() =>
+      BinaryProtocol.decodeExtensions(Buffer.concat([extension, extension]))
+    ).toThrow('Duplicate extension');
+  });
+});
+
+describe('BinaryProtocol v1', () => {
+  it('still decodes legacy packets with UTF-8 peer IDs', () => {
+    const packet = createPacket({
+      version: LEGACY_PROTOCOL_VERSION,
+      senderID: 'peer-a',
+      recipientID: 'peer-b',
+    });
+    const decoded = BinaryProtocol.decode(BinaryProtocol.encode(packet));
+
+    expect(decoded.version).toBe(LEGACY_PROTOCOL_VERSION);
+    expect(decoded.senderID).toBe('peer-a');
+    expect(decoded.recipientID).toBe('peer-b');
+    expect(decoded.payload.toString()).toBe('hello mesh');
+  });
+
+  it('writes derived peer IDs in the legacy form v1 nodes read', () => {
+    const packet = createPacket({
+      version: LEGACY_PROTOCOL_VERSION,
+      recipientID,
+    });
+    const decoded = BinaryProtocol.decode(BinaryProtocol.encode(packet));
+
+    expect(decoded.senderID).toBe(senderID.substring(0, 8));
+    expect(decoded.recipientID).toBe(recipientID.substring(0, 8));
+    expect(BinaryProtocol.encodeSignableData(decoded)).toEqual(
+      BinaryProtocol.encodeSignableData(packet)
+    );
+  });
+});
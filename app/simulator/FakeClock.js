@@ -0,0 +1,190 @@
+/**
+ * KRTR Fake Clock - Deterministic time source for the mesh simulator
+ * Replaces the global timers, Date and Math.random while installed
+ */
+
+// Captured at load time so flushing keeps working while timers are faked
+const realSetImmediate =
+  globalThis.setImmediate || (callback => Promise.resolve().then(callback));
+
+/**
+ * Small seeded PRNG (mulberry32) so simulated loss and jitter are repeatable
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} - Returns floats in [0, 1)
+ */
+export function createSeededRandom(seed = 1) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export class FakeClock {
+  constructor({ startTime = 1700000000000, seed = 1 } = {}) {
+    this.now = startTime;
+    this.random = createSeededRandom(seed);
+    this.timers = new Map(); // timerID -> {callback, args, time, interval}
+    this.nextTimerID = 1;
+    this.originals = null;
+  }
+
+  setTimeout(callback, delay = 0, ...args) {
+    const id = this.nextTimerID++;
+    this.timers.set(id, {
+      callback,
+      args,
+      time: this.now + Math.max(0, delay),
+      interval: null,
+    });
+    return id;
+  }
+
+  clearTimeout(id) {
+    this.timers.delete(id);
+  }
+
+  setInterval(callback, interval = 0, ...args) {
+    const id = this.nextTimerID++;
+    const period = Math.max(1, interval);
+    this.timers.set(id, {
+      callback,
+      args,
+      time: this.now + period,
+      interval: period,
+    });
+    return id;
+  }
+
+  clearInterval(id) {
+    this.timers.delete(id);
+  }
+
+  /**
+   * Replace global timers, Date and Math.random with this clock
+   */
+  install() {
+    if (this.originals) return;
+
+    const now = () => this.now;
+    const RealDate = Date;
+
+    class FakeDate extends RealDate {
+      constructor(...args) {
+        if (args.length === 0) {
+          super(now());
+        } else {
+          super(...args);
+        }
+      }
+
+      static now() {
+        return now();
+      }
+    }
+
+    this.originals = {
+      setTimeout: globalThis.setTimeout,
+      clearTimeout: globalThis.clearTimeout,
+      setInterval: globalThis.setInterval,
+      clearInterval: globalThis.clearInterval,
+      Date: globalThis.Date,
+      random: Math.random,
+    };
+
+    globalThis.setTimeout = this.setTimeout.bind(this);
+    globalThis.clearTimeout = this.clearTimeout.bind(this);
+    globalThis.setInterval = this.setInterval.bind(this);
+    globalThis.clearInterval = this.clearInterval.bind(this);
+    globalThis.Date = FakeDate;
+    Math.random = this.random;
+  }
+
+  /**
+   * Restore the real globals
+   */
+  uninstall() {
+    if (!this.originals) return;
+
+    globalThis.setTimeout = this.originals.setTimeout;
+    globalThis.clearTimeout = this.originals.clearTimeout;
+    globalThis.setInterval = this.originals.setInterval;
+    globalThis.clearInterval = this.originals.clearInterval;
+    globalThis.Date = this.originals.Date;
+    Math.random = this.originals.random;
+    this.originals = null;
+  }
+
+  /**
+   * Let pending promise chains settle before the next timer fires
+   */
+  async flush() {
+    await new Promise(resolve => realSetImmediate(resolve));
+  }
+
+  /**
+   * Advance time, firing every timer that falls due in order
+   * @param {number} ms - Milliseconds to advance
+   */
+  async tick(ms) {
+    const target = this.now + ms;
+
+    await this.flush();
+
+    for (;;) {
+      const next = this.nextDueTimer(target);
+      if (!next) break;
+
+      const [id, timer] = next;
+      this.now = timer.time;
+
+      if (timer.interval) {
+        timer.time += timer.interval;
+      } else {
+        this.timers.delete(id);
+      }
+
+      try {
+        timer.callback(...timer.args);
+      } catch (error) {
+        console.error('[KRTR Sim] Timer callback error:', error);
+      }
+
+      await this.flush();
+    }
+
+    this.now = target;
+  }
+
+  nextDueTimer(limit) {
+    let due = null;
+
+    for (const entry of this.timers) {
+      const [id, timer] = entry;
+      if (timer.time > limit) continue;
+      if (
+        !due ||
+        timer.time < due[1].time ||
+        (timer.time === due[1].time && id < due[0])
+      ) {
+        due = entry;
+      }
+    }
+
+    return due;
+  }
+
+  /**
+   * Drop every pending timer
+   */
+  reset() {
+    this.timers.clear();
+  }
+
+  getPendingTimerCount() {
+    return this.timers.size;
+  }
+}
@@ -0,0 +1,335 @@
+/**
+ * KRTR Mesh Simulator - Headless multi-node mesh for Node test benches
+ * Runs real mesh, store-and-forward and privacy services over a VirtualRadio
+ * driven by a FakeClock, so routing changes can be regression-tested without phones
+ */
+
+import { BluetoothMeshService } from '../mesh/BluetoothMeshService';
+import { StoreAndForwardService } from '../mesh/StoreAndForwardService';
+import { ChannelService } from '../mesh/ChannelService';
+import { FavoritesService } from '../mesh/FavoritesService';
+import { MemoryStorageBackend } from '../storage/MemoryStorageBackend';
+import { BatteryOptimizer, PowerMode } from '../mesh/BatteryOptimizer';
+import { SimpleCryptoService } from '../crypto/SimpleCryptoService';
+import { PrivacyService } from '../privacy/PrivacyService';
+import { FakeClock } from './FakeClock';
+import { VirtualRadio } from './VirtualRadio';
+
+/**
+ * Battery optimizer pinned to one power mode, without native monitoring
+ */
+export class SimulatedBatteryOptimizer extends BatteryOptimizer {
+  constructor(powerMode = PowerMode.BALANCED) {
+    super();
+    this.currentPowerMode = powerMode;
+  }
+
+  async initialize() {
+    // No native battery or app state events in the simulator
+  }
+
+  destroy() {}
+}
+
+/**
+ * Example:
+ *   const sim = new MeshSimulator({ seed: 7 });
+ *   await Promise.all(['a', 'b', 'c'].map(name => sim.addNode(name)));
+ *   sim.line(['a', 'b', 'c'], { lossRate: 0.1 });
+ *   await sim.start();
+ *   await sim.run(5000); // discovery and connections
+ *   await sim.send('a', 'hi');
+ *   await sim.run(1000);
+ *   sim.deliveredTo('hi'); // ['b', 'c']
+ *   await sim.stop();
+ */
+export class MeshSimulator {
+  constructor({
+    seed = 1,
+    clock = null,
+    powerMode = PowerMode.BALANCED,
+    privacy = {},
+    carryForOthers = false,
+  } = {}) {
+    this.clock = clock || new FakeClock({ seed });
+    this.radio = new VirtualRadio({ random: this.clock.random });
+    this.powerMode = powerMode;
+    this.carryForOthers = carryForOthers; // nodes take custody of others' packets
+
+    // PrivacyService overrides, e.g. { coverTrafficEnabled: false }
+    this.privacyOverrides = { coverTrafficEnabled: false, ...privacy };
+
+    this.nodes = new Map(); // name -> SimNode
+    this.isRunning = false;
+  }
+
+  // Lifecycle
+
+  /**
+   * Install the fake clock; nodes added afterwards start immediately
+   */
+  async start() {
+    this.clock.install();
+    this.isRunning = true;
+
+    for (const node of this.nodes.values()) {
+      await this.bootNode(node);
+    }
+  }
+
+  async stop() {
+    for (const node of this.nodes.values()) {
+      await this.shutdownNode(node);
+    }
+
+    this.clock.reset();
+    this.clock.uninstall();
+    this.isRunning = false;
+  }
+
+  /**
+   * Advance simulated time
+   * @param {number} ms - Milliseconds to run
+   */
+  async run(ms) {
+    await this.clock.tick(ms);
+  }
+
+  // Nodes
+
+  /**
+   * Add a node; it boots straight away if the simulator is running
+   * @param {string} name - Node name used for topology and assertions
+   * @returns {Promise<Object>} - The simulated node
+   */
+  async addNode(name) {
+    if (this.nodes.has(name)) {
+      throw new Error(`Node ${name} already exists`);
+    }
+
+    const node = {
+      name,
+      transport: this.radio.addNode(name),
+      mesh: null,
+      storeAndForward: null,
+      storage: new MemoryStorageBackend(), // survives reboots, like a disk
+      channels: null,
+      privacy: null,
+      batteryOptimizer: null,
+      received: [],
+      channelMessages: [],
+      connected: [],
+      disconnected: [],
+      peerID: null,
+    };
+    this.nodes.set(name, node);
+
+    if (this.isRunning) {
+      await this.bootNode(node);
+    }
+
+    return node;
+  }
+
+  async bootNode(node) {
+    if (node.mesh) return;
+
+    const storagePrefix = `krtr_sim_${node.name}`;
+    const encryptionService = new SimpleCryptoService({ storagePrefix });
+    node.storeAndForward = new StoreAndForwardService({
+      storagePrefix,
+      carryForOthers: this.carryForOthers,
+      encryptionService,
+      backend: node.storage,
+    });
+    node.channels = new ChannelService({ storagePrefix });
+    node.batteryOptimizer = new SimulatedBatteryOptimizer(this.powerMode);
+
+    node.mesh = new BluetoothMeshService(
+      {
+        didReceiveMessage: message => {
+          if (node.privacy?.shouldDisplayMessage(message) === false) return;
+          node.received.push({ ...message, receivedAt: Date.now() });
+        },
+        didReceiveChannelMessage: message => {
+          node.channelMessages.push({ ...message, receivedAt: Date.now() });
+        },
+        didConnectToPeer: peerID => {
+          node.connected.push(peerID);
+          node.storeAndForward.deliverCachedMessages(peerID, node.mesh);
+        },
+        didDisconnectFromPeer: peerID => {
+          node.disconnected.push(peerID);
+        },
+      },
+      {
+        transport: node.transport,
+        encryptionService,
+        storeAndForward: node.storeAndForward,
+        channelService: node.channels,
+        batteryOptimizer: node.batteryOptimizer,
+        favorites: new FavoritesService({ storagePrefix }),
+      }
+    );
+
+    node.privacy = new PrivacyService(node.mesh, node.batteryOptimizer);
+    Object.assign(node.privacy, this.privacyOverrides);
+    if (!node.privacy.coverTrafficEnabled && node.privacy.coverTrafficTimer) {
+      clearTimeout(node.privacy.coverTrafficTimer);
+      node.privacy.coverTrafficTimer = null;
+    }
+
+    await node.mesh.ready;
+    node.peerID = encryptionService.getShortID();
+  }
+
+  async shutdownNode(node) {
+    if (!node.mesh) return;
+
+    await node.mesh.disconnect();
+    node.privacy.destroy();
+    node.storeAndForward.destroy();
+    node.mesh = null;
+  }
+
+  /**
+   * Take a node off the air and drop it from the simulation (node churn)
+   */
+  async removeNode(name) {
+    const node = this.getNode(name);
+    await this.shutdownNode(node);
+    this.radio.removeNode(name);
+    this.nodes.delete(name);
+  }
+
+  /**
+   * Toggle a node's radio without destroying its state
+   */
+  setOnline(name, online) {
+    this.getNode(name);
+    this.radio.setOnline(name, online);
+  }
+
+  getNode(name) {
+    const node = this.nodes.get(name);
+    if (!node) {
+      throw new Error(`Unknown node: ${name}`);
+    }
+    return node;
+  }
+
+  getPeerID(name) {
+    return this.getNode(name).peerID;
+  }
+
+  // Topology
+
+  link(a, b, settings = {}) {
+    this.radio.link(a, b, settings);
+  }
+
+  unlink(a, b) {
+    this.radio.unlink(a, b);
+  }
+
+  /**
+   * Connect the named nodes in a chain: a - b - c - ...
+   */
+  line(names, settings = {}) {
+    for (let i = 0; i < names.length - 1; i++) {
+      this.link(names[i], names[i + 1], settings);
+    }
+  }
+
+  /**
+   * Connect every named node to every other
+   */
+  fullMesh(names, settings = {}) {
+    for (let i = 0; i < names.length; i++) {
+      for (let j = i + 1; j < names.length; j++) {
+        this.link(names[i], names[j], settings);
+      }
+    }
+  }
+
+  partition(groupA, groupB) {
+    this.radio.partition(groupA, groupB);
+  }
+
+  heal() {
+    this.radio.heal();
+  }
+
+  // Traffic
+
+  /**
+   * Send a message from a node, bypassing privacy timing delays
+   * @param {string} from - Sending node name
+   * @param {string} content - Message text
+   * @param {Object} options - {to: node name, isPrivate}
+   */
+  async send(from, content, { to = null, isPrivate = false } = {}) {
+    const recipientID = to ? this.getPeerID(to) : null;
+    return this.getNode(from).mesh.sendMessage(content, recipientID, isPrivate);
+  }
+
+  /**
+   * Send through the node's PrivacyService (timing randomization applies)
+   */
+  async sendWithPrivacy(from, content, { to = null, isPrivate = false } = {}) {
+    const recipientID = to ? this.getPeerID(to) : null;
+    return this.getNode(from).privacy.sendMessageWithPrivacy(
+      content,
+      recipientID,
+      isPrivate
+    );
+  }
+
+  // Assertions
+
+  getReceived(name) {
+    return this.getNode(name).received;
+  }
+
+  hasReceived(name, content) {
+    return this.getReceived(name).some(message => message.content === content);
+  }
+
+  /**
+   * Names of nodes (other than the sender) that received the content
+   */
+  deliveredTo(content) {
+    return Array.from(this.nodes.keys()).filter(name =>
+      this.hasReceived(name, content)
+    );
+  }
+
+  getStats(name) {
+    return this.getNode(name).mesh.getStats();
+  }
+
+  /**
+   * Radio frames matching a filter, e.g. {type: MessageType.MESSAGE}
+   */
+  getFrames(filter = {}) {
+    return this.radio.frames.filter(frame =>
+      Object.entries(filter).every(([key, value]) => frame[key] === value)
+    );
+  }
+
+  /**
+   * Aggregate mesh stats across all nodes
+   */
+  getTotals() {
+    const totals = {};
+    for (const node of this.nodes.values()) {
+      if (!node.mesh) continue;
+      for (const [key, value] of Object.entries(node.mesh.getStats())) {
+        if (typeof value === 'number') {
+          totals[key] = (totals[key] || 0) + value;
+        }
+      }
+    }
+    return totals;
+  }
+}
@@ -0,0 +1,318 @@
+/**
+ * KRTR Virtual Radio - Simulated shared medium for the mesh simulator
+ * Models topology, per-link loss, latency and RSSI on top of the Transport API
+ */
+
+import { Buffer } from 'buffer';
+import { Transport } from '../transport/Transport';
+import { BinaryProtocol } from '../protocols/KrtrProtocol';
+import { LinkFrameType } from '../protocols/MessageCompression';
+
+const DEFAULT_LINK = {
+  lossRate: 0, // probability a frame is dropped
+  latency: 20, // ms
+  jitter: 0, // extra random ms on top of latency
+  rssi: -60, // dBm reported on discovery
+  mtu: null, // largest frame in bytes; null for unlimited
+};
+
+function linkKey(a, b) {
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+export class VirtualRadio {
+  constructor({ random = Math.random, recordFrames = true } = {}) {
+    this.random = random;
+    this.recordFrames = recordFrames;
+
+    this.nodes = new Map(); // name -> {online, transport}
+    this.links = new Map(); // linkKey -> link settings
+    this.cutLinks = new Set(); // linkKeys severed by a partition
+
+    this.frames = [];
+    this.stats = {
+      framesSent: 0,
+      framesDelivered: 0,
+      framesLost: 0,
+      framesRejected: 0,
+      bytesDelivered: 0,
+    };
+  }
+
+  // Topology
+
+  addNode(name) {
+    if (!this.nodes.has(name)) {
+      this.nodes.set(name, { online: true, transport: null });
+    }
+    return this.createTransport(name);
+  }
+
+  removeNode(name) {
+    const node = this.nodes.get(name);
+    if (!node) return;
+
+    node.transport?.disconnect();
+    this.nodes.delete(name);
+
+    for (const key of Array.from(this.links.keys())) {
+      if (key.split('|').includes(name)) {
+        this.links.delete(key);
+        this.cutLinks.delete(key);
+      }
+    }
+  }
+
+  setOnline(name, online) {
+    const node = this.nodes.get(name);
+    if (!node) return;
+
+    node.online = online;
+    if (online) this.refreshDiscovery();
+    else this.dropUnreachableConnections();
+  }
+
+  link(a, b, settings = {}) {
+    const key = linkKey(a, b);
+    this.links.set(key, {
+      ...DEFAULT_LINK,
+      ...this.links.get(key),
+      ...settings,
+    });
+    this.refreshDiscovery();
+  }
+
+  unlink(a, b) {
+    this.links.delete(linkKey(a, b));
+    this.dropUnreachableConnections();
+  }
+
+  /**
+   * Sever every link between the two groups until heal() is called
+   */
+  partition(groupA, groupB) {
+    for (const a of groupA) {
+      for (const b of groupB) {
+        const key = linkKey(a, b);
+        if (this.links.has(key)) {
+          this.cutLinks.add(key);
+        }
+      }
+    }
+    this.dropUnreachableConnections();
+  }
+
+  heal() {
+    this.cutLinks.clear();
+    this.refreshDiscovery();
+  }
+
+  getLink(a, b) {
+    return this.links.get(linkKey(a, b)) || null;
+  }
+
+  isReachable(a, b) {
+    const key = linkKey(a, b);
+    return (
+      this.links.has(key) &&
+      !this.cutLinks.has(key) &&
+      this.nodes.get(a)?.online === true &&
+      this.nodes.get(b)?.online === true
+    );
+  }
+
+  neighbours(name) {
+    return Array.from(this.nodes.keys()).filter(
+      other => other !== name && this.isReachable(name, other)
+    );
+  }
+
+  // Transports
+
+  createTransport(name) {
+    const transport = new VirtualRadioTransport(this, name);
+    this.nodes.get(name).transport = transport;
+    return transport;
+  }
+
+  getTransport(name) {
+    return this.nodes.get(name)?.transport || null;
+  }
+
+  /**
+   * Tear down connections whose link went away, as a BLE supervision
+   * timeout would, and tell both ends
+   */
+  dropUnreachableConnections() {
+    for (const [name, node] of this.nodes) {
+      const transport = node.transport;
+      if (!transport) continue;
+
+      for (const [peerID, remote] of Array.from(transport.links)) {
+        if (this.isReachable(name, remote.name)) continue;
+
+        transport.links.delete(peerID);
+        transport.emitDisconnect(peerID);
+      }
+    }
+  }
+
+  refreshDiscovery() {
+    for (const [name, node] of this.nodes) {
+      if (!node.transport?.discoveryHandler) continue;
+
+      for (const neighbour of this.neighbours(name)) {
+        node.transport.notifyDiscovered(this.getTransport(neighbour));
+      }
+    }
+  }
+
+  /**
+   * Put a frame on the air from one transport to another
+   */
+  transmit(sender, receiver, data) {
+    this.stats.framesSent++;
+
+    if (!this.isReachable(sender.name, receiver.name)) {
+      this.stats.framesRejected++;
+      this.recordFrame(sender, receiver, data, 'rejected');
+      throw new Error(`Link ${sender.name} -> ${receiver.name} is down`);
+    }
+
+    const link = this.getLink(sender.name, receiver.name);
+
+    if (link.mtu && data.length > link.mtu) {
+      this.stats.framesRejected++;
+      this.recordFrame(sender, receiver, data, 'oversize');
+      throw new Error(
+        `Frame of ${data.length} bytes exceeds MTU ${link.mtu} on ${sender.name} -> ${receiver.name}`
+      );
+    }
+
+    if (this.random() < link.lossRate) {
+      this.stats.framesLost++;
+      this.recordFrame(sender, receiver, data, 'lost');
+      return;
+    }
+
+    const delay = link.latency + Math.floor(this.random() * link.jitter);
+    const copy = Buffer.from(data);
+
+    setTimeout(() => {
+      // The link may have gone away while the frame was in flight
+      if (!this.isReachable(sender.name, receiver.name)) {
+        this.stats.framesLost++;
+        this.recordFrame(sender, receiver, copy, 'lost');
+        return;
+      }
+
+      this.stats.framesDelivered++;
+      this.stats.bytesDelivered += copy.length;
+      this.recordFrame(sender, receiver, copy, 'delivered');
+      receiver.emitData(sender.localPeerID, copy);
+    }, delay);
+  }
+
+  recordFrame(sender, receiver, data, outcome) {
+    if (!this.recordFrames) return;
+
+    // Fragments and NACKs have no packet header; they're typed by marker
+    const isLinkFrame = Object.values(LinkFrameType).includes(data[0]);
+    const packet = isLinkFrame ? null : BinaryProtocol.decode(data);
+    this.frames.push({
+      time: Date.now(),
+      from: sender.name,
+      to: receiver.name,
+      size: data.length,
+      outcome,
+      type: isLinkFrame ? data[0] : packet?.type ?? null,
+      ttl: packet?.ttl ?? null,
+      senderID: packet?.senderID ?? null,
+      recipientID: packet?.recipientID ?? null,
+    });
+  }
+
+  getStats() {
+    return { ...this.stats, nodes: this.nodes.size, links: this.links.size };
+  }
+}
+
+export class VirtualRadioTransport extends Transport {
+  constructor(radio, name) {
+    super();
+    this.radio = radio;
+    this.name = name;
+    this.localPeerID = null;
+    this.isAdvertising = false;
+    this.discoveryHandler = null;
+    this.links = new Map(); // peerID -> remote VirtualRadioTransport
+  }
+
+  async startAdvertising(localPeerID) {
+    this.localPeerID = localPeerID;
+    this.isAdvertising = true;
+    this.radio.refreshDiscovery();
+  }
+
+  async stopAdvertising() {
+    this.isAdvertising = false;
+  }
+
+  discover(onPeerDiscovered) {
+    this.discoveryHandler = onPeerDiscovered;
+
+    for (const neighbour of this.radio.neighbours(this.name)) {
+      this.notifyDiscovered(this.radio.getTransport(neighbour));
+    }
+  }
+
+  stopDiscovery() {
+    this.discoveryHandler = null;
+  }
+
+  notifyDiscovered(remote) {
+    if (!this.discoveryHandler || !remote?.isAdvertising) return;
+
+    const link = this.radio.getLink(this.name, remote.name);
+    this.discoveryHandler({
+      peerID: remote.localPeerID,
+      rssi: link?.rssi ?? DEFAULT_LINK.rssi,
+      handle: remote,
+    });
+  }
+
+  async connect(peer) {
+    const remote = peer.handle;
+    if (!remote || !this.radio.isReachable(this.name, remote.name)) {
+      throw new Error(`Peer ${peer.peerID} not reachable`);
+    }
+
+    this.links.set(remote.localPeerID, remote);
+    remote.links.set(this.localPeerID, this);
+
+    return this.radio.getLink(this.name, remote.name).mtu ?? undefined;
+  }
+
+  async send(peerID, data) {
+    const remote = this.links.get(peerID);
+    if (!remote) {
+      throw new Error(`Peer ${peerID} not connected`);
+    }
+
+    this.radio.transmit(this, remote, data);
+  }
+
+  async disconnect(peerID = null) {
+    const peerIDs = peerID ? [peerID] : Array.from(this.links.keys());
+
+    for (const id of peerIDs) {
+      const remote = this.links.get(id);
+      if (!remote) continue;
+
+      this.links.delete(id);
+      if (remote.links.delete(this.localPeerID)) {
+        remote.emitDisconnect(this.localPeerID);
+      }
+    }
+  }
+}
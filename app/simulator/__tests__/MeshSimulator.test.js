@@ -0,0 +1,510 @@
+import { Buffer } from 'buffer';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { MeshSimulator } from '../MeshSimulator';
+import {
+  MessageType,
+  DEFAULT_TTL,
+  BinaryProtocol,
+  PacketFlags,
+  ChannelMessage,
+  KrtrPacket,
+  DeliveryStatus,
+  LEGACY_PROTOCOL_VERSION,
+} from '../../protocols/KrtrProtocol';
+import { LinkFrameType } from '../../protocols/MessageCompression';
+import { SignaturePolicy } from '../../mesh/BluetoothMeshService';
+import { toLegacyID } from '../../crypto/PeerIdentity';
+
+// Long enough for discovery, Noise handshakes and announces to settle
+const SETTLE_TIME = 15000;
+
+// Deterministic text that LZ4 can't shrink below the link MTU
+function createIncompressibleText(seed, length) {
+  let state = seed;
+  let text = '';
+  for (let i = 0; i < length; i++) {
+    state = (state * 1103515245 + 12345) & 0x7fffffff;
+    text += String.fromCharCode(33 + (state % 90));
+  }
+  return text;
+}
+
+async function createSimulator(names, options = {}) {
+  const sim = new MeshSimulator(options);
+  for (const name of names) {
+    await sim.addNode(name);
+  }
+  return sim;
+}
+
+let sim = null;
+
+// Every node logs its own boot and traffic
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  if (sim?.isRunning) await sim.stop();
+  sim = null;
+});
+
+describe('MeshSimulator scenarios', () => {
+  it('floods across a line, stalls at a partition and recovers on heal', async () => {
+    sim = await createSimulator(['a', 'b', 'c', 'd'], { seed: 42 });
+    sim.line(['a', 'b', 'c', 'd']);
+    await sim.start();
+    await sim.run(SETTLE_TIME);
+
+    await sim.send('a', 'before partition');
+    await sim.run(2000);
+    expect(sim.deliveredTo('before partition')).toEqual(['b', 'c', 'd']);
+
+    sim.partition(['a', 'b'], ['c', 'd']);
+    await sim.send('a', 'during partition');
+    await sim.run(2000);
+    expect(sim.deliveredTo('during partition')).toEqual(['b']);
+
+    sim.heal();
+    await sim.run(SETTLE_TIME);
+    await sim.send('d', 'after heal');
+    await sim.run(2000);
+    expect(sim.deliveredTo('after heal')).toEqual(['a', 'b', 'c']);
+  });
+
+  it('routes around nodes that churn', async () => {
+    sim = await createSimulator(['a', 'b', 'c', 'd'], { seed: 3 });
+    // Two paths from a to d: through b and through c
+    sim.line(['a', 'b', 'd']);
+    sim.line(['a', 'c', 'd']);
+    await sim.start();
+    await sim.run(SETTLE_TIME);
+
+    sim.setOnline('b', false);
+    await sim.run(5000);
+    await sim.send('a', 'b is away');
+    await sim.run(2000);
+    expect(sim.deliveredTo('b is away')).toEqual(['c', 'd']);
+
+    await sim.removeNode('c');
+    sim.setOnline('b', true);
+    await sim.run(SETTLE_TIME);
+    await sim.send('a', 'c has left');
+    await sim.run(2000);
+    expect(sim.deliveredTo('c has left')).toEqual(['b', 'd']);
+
+    await sim.addNode('e');
+    sim.link('d', 'e');
+    await sim.run(SETTLE_TIME);
+    await sim.send('a', 'e has joined');
+    await sim.run(2000);
+    expect(sim.deliveredTo('e has joined')).toEqual(['b', 'd', 'e']);
+  });
+
+  it('stops relaying once the TTL runs out', async () => {
+    const names = Array.from({ length: DEFAULT_TTL + 3 }, (_, i) => `n${i}`);
+    sim = await createSimulator(names, { seed: 11 });
+    sim.line(names);
+    await sim.start();
+    await sim.run(SETTLE_TIME);
+
+    await sim.send('n0', 'how far');
+    await sim.run(5000);
+
+    // The sender's hop is free; each of the relays after it spends one
+    expect(sim.deliveredTo('how far')).toEqual(names.slice(1, DEFAULT_TTL + 2));
+
+    const frames = sim.getFrames({
+      type: MessageType.MESSAGE,
+      senderID: sim.getPeerID('n0'),
+      outcome: 'delivered',
+    });
+    for (const frame of frames) {
+      const hop = Number(frame.from.slice(1));
+      expect(frame.ttl).toBe(DEFAULT_TTL - hop);
+    }
+  });
+
+  it('fragments to the link MTU and repairs lost fragments with NACKs', async () => {
+    sim = await createSimulator(['a', 'b', 'c'], { seed: 7 });
+    sim.link('a', 'b', { mtu: 300 });
+    sim.link('b', 'c', { mtu: 300 });
+    await sim.start();
+    await sim.run(SETTLE_TIME);
+
+    sim.link('a', 'b', { mtu: 300, lossRate: 0.1 });
+    sim.link('b', 'c', { mtu: 300, lossRate: 0.1 });
+
+    const messages = [1, 2, 3].map(seed =>
+      createIncompressibleText(seed, 3000)
+    );
+    for (const message of messages) {
+      await sim.send('a', message);
+      await sim.run(20000);
+    }
+
+    for (const message of messages) {
+      expect(sim.deliveredTo(message)).toEqual(['b', 'c']);
+    }
+    expect(sim.getFrames({ outcome: 'oversize' })).toEqual([]);
+
+    const relay = sim.getStats('b').fragmentation;
+    expect(relay.nacksSent + relay.nacksReceived).toBeGreaterThan(0);
+    expect(
+      relay.fragmentsRetransmitted +
+        sim.getStats('a').fragmentation.fragmentsRetransmitted
+    ).toBeGreaterThan(0);
+  });
+
+  it('carries every packet type over links at the minimum BLE MTU', async () => {
+    sim = await createSimulator(['a', 'b', 'c'], { seed: 9 });
+    // An ATT MTU of 23 leaves 20 bytes per frame
+    sim.line(['a', 'b', 'c'], { mtu: 20 });
+    await sim.start();
+    await sim.run(SETTLE_TIME);
+
+    expect(sim.getNode('a').mesh.getConnectedPeers()).toHaveLength(1);
+    expect(sim.getNode('b').mesh.getConnectedPeers()).toHaveLength(2);
+
+    const long = createIncompressibleText(4, 400);
+    await sim.send('a', 'short hello');
+    await sim.send('c', long);
+    await sim.send('a', 'just for b', { to: 'b', isPrivate: true });
+    await sim.run(10000);
+
+    expect(sim.deliveredTo('short hello')).toEqual(['b', 'c']);
+    expect(sim.deliveredTo(long)).toEqual(['a', 'b']);
+    expect(sim.deliveredTo('just for b')).toEqual(['b']);
+    expect(sim.getFrames({ outcome: 'oversize' })).toEqual([]);
+    expect(
+      sim.getFrames({ type: LinkFrameType.FRAGMENT }).length
+    ).toBeGreaterThan(0);
+  });
+
+  it('holds custody for an offline recipient and delivers on reconnect', async () => {
+    sim = await createSimulator(['a', 'b', 'c'], {
+      seed: 6,
+      carryForOthers: true,
+    });
+    sim.line(['a', 'b', 'c']);
+    await sim.start();
+    await sim.run(SETTLE_TIME);
+
+    const custodians = [];
+    sim.getNode('a').mesh.delegate.didReceiveCustodyAck = ack =>
+      custodians.push(ack.custodianID);
+
+    sim.unlink('b', 'c');
+    await sim.run(200);
+    await sim.send('a', 'for c later', { to: 'c' });
+    await sim.run(2000);
+
+    const custody = sim.getNode('b').storeAndForward;
+    expect(sim.hasReceived('c', 'for c later')).toBe(false);
+    expect(custody.getCustodyMessages()).toHaveLength(1);
+    expect(custodians).toEqual([sim.getPeerID('b')]);
+
+    sim.link('b', 'c');
+    await sim.run(20000);
+
+    expect(sim.hasReceived('c', 'for c later')).toBe(true);
+    expect(custody.getCustodyMessages()).toHaveLength(0);
+  });
+
+  it('keeps messages longer for a peer that favourited us', async () => {
+    sim = await createSimulator(['a', 'b'], { seed: 9 });
+    sim.link('a', 'b');
+    await sim.start();
+    await sim.run(SETTLE_TIME);
+
+    await sim.getNode('b').mesh.setFavorite(sim.getPeerID('a'));
+    await sim.run(2000);
+
+    const cache = sim.getNode('a').storeAndForward;
+    const bob = sim.getPeerID('b');
+    await cache.cacheMessage({ id: 'for-b', content: 'kept for b' }, bob);
+
+    expect(sim.getNode('a').mesh.isFavorite(bob)).toBe(false);
+    expect(cache.getCachedMessages(bob, true)).toEqual([
+      expect.objectContaining({ id: 'for-b' }),
+    ]);
+  });
+
+  it("drops traffic a relay forges in another sender's name", async () => {
+    sim = await createSimulator(['a', 'b', 'c'], { seed: 8 });
+    sim.line(['a', 'b', 'c']);
+    await sim.start();
+    await sim.run(SETTLE_TIME);
+
+    // c only knows a by the key a announced
+    await sim.send('a', 'from a');
+    await sim.run(2000);
+    const [received] = sim.getNode('c').received;
+    expect(received.content).toBe('from a');
+    expect(received.verified).toBe(true);
+
+    // b signs its own packet but claims a sent it
+    const relay = sim.getNode('b').mesh;
+    const packet = await sim.send('b', 'from b');
+    packet.senderID = sim.getPeerID('a');
+    packet.payload = Buffer.from('forged by b');
+    await relay.signPacket(packet);
+    const rejected = sim.getStats('c').packetsRejected;
+
+    await sim
+      .getNode('c')
+      .mesh.handleIncomingData(
+        sim.getPeerID('b'),
+        BinaryProtocol.encode(packet)
+      );
+    await sim.run(1000);
+
+    expect(sim.hasReceived('c', 'forged by b')).toBe(false);
+    expect(sim.getStats('c').packetsRejected).toBe(rejected + 1);
+  });
+
+  it('drops replays from before the dedup window and from the future', async () => {
+    sim = await createSimulator(['a', 'b'], { seed: 12 });
+    sim.link('a', 'b');
+    await sim.start();
+    await sim.run(SETTLE_TIME);
+
+    const sender = sim.getNode('a').mesh;
+    const receiver = sim.getNode('b').mesh;
+    const replay = packet =>
+      receiver.handleIncomingData(
+        sim.getPeerID('a'),
+        BinaryProtocol.encode(packet)
+      );
+
+    receiver.deduplicator.windowMs = 60 * 1000;
+    const captured = await sim.send('a', 'said once');
+    await sim.run(2000);
+
+    // Long enough for the deduplicator to forget the message
+    await sim.run(receiver.deduplicator.windowMs);
+    await replay(captured);
+    await sim.run(2000);
+
+    const ahead = sender.createPacket({
+      type: MessageType.MESSAGE,
+      payload: Buffer.from('from the future'),
+    });
+    ahead.timestamp = Date.now() + 60 * 60 * 1000;
+    await sender.signPacket(ahead);
+    await replay(ahead);
+    await sim.run(2000);
+
+    expect(
+      sim.getReceived('b').filter(message => message.content === 'said once')
+    ).toHaveLength(1);
+    expect(sim.hasReceived('b', 'from the future')).toBe(false);
+    expect(sim.getStats('b').packetsStale).toBe(2);
+  });
+
+  it("drops addressed ciphertext it can't decrypt instead of showing it", async () => {
+    sim = await createSimulator(['a', 'b', 'c'], { seed: 9 });
+    sim.line(['a', 'b', 'c']);
+    await sim.start();
+    await sim.run(SETTLE_TIME);
+
+    // c has no session with a, so the payload can't be decrypted
+    sim.unlink('b', 'c');
+    await sim.run(200);
+    const packet = await sim.send('a', 'not really ciphertext');
+    await sim.run(2000);
+    sim.link('b', 'c');
+    await sim.run(SETTLE_TIME);
+    packet.recipientID = sim.getPeerID('c');
+    packet.setFlag(PacketFlags.ENCRYPTED);
+    await sim.getNode('a').mesh.signPacket(packet);
+
+    await sim
+      .getNode('c')
+      .mesh.handleIncomingData(
+        sim.getPeerID('b'),
+        BinaryProtocol.encode(packet)
+      );
+    await sim.run(1000);
+
+    expect(sim.getNode('c').received).toHaveLength(0);
+    expect(sim.getStats('c').messagesRejected).toBe(1);
+  });
+
+  it('keeps a protected channel protected', async () => {
+    sim = await createSimulator(['a', 'b', 'c'], { seed: 10 });
+    sim.line(['a', 'b', 'c']);
+    await sim.start();
+    await sim.run(SETTLE_TIME);
+
+    const channels = name => sim.getNode(name).channels;
+    await channels('a').join('#ops', 'pw');
+    await sim.run(2000);
+    await channels('b').join('#ops', 'pw');
+    await sim.run(2000);
+
+    // c isn't a member but writes into the channel in the clear
+    const mesh = sim.getNode('c').mesh;
+    const packet = mesh.createPacket({
+      type: MessageType.MESSAGE,
+      payload: new ChannelMessage({
+        channel: '#ops',
+        content: Buffer.from('in the clear'),
+        isEncrypted: false,
+      }).encode(),
+    });
+    await mesh.broadcastPacket(packet);
+    await sim.run(2000);
+    expect(sim.getNode('b').channelMessages).toHaveLength(0);
+
+    // Even the owner can't announce the password away
+    const owned = channels('a').channels.get('#ops');
+    owned.isPasswordProtected = false;
+    await channels('a').announceChannel(owned);
+    await sim.run(2000);
+    expect(channels('b').getChannel('#ops').isPasswordProtected).toBe(true);
+
+    // Nor talk a joiner with a password into an open channel
+    await channels('c').join('#ops', 'pw');
+    expect(channels('c').getChannel('#ops').isPasswordProtected).toBe(true);
+  });
+
+  it('keys a private conversation across relays', async () => {
+    sim = await createSimulator(['a', 'b', 'c', 'd'], { seed: 11 });
+    sim.line(['a', 'b', 'c', 'd']);
+    await sim.start();
+    await sim.run(SETTLE_TIME);
+
+    await sim.send('a', 'three hops away', { to: 'd', isPrivate: true });
+    await sim.run(5000);
+    await sim.send('d', 'and back', { to: 'a', isPrivate: true });
+    await sim.run(2000);
+
+    const [received] = sim.getNode('d').received;
+    expect(received).toMatchObject({
+      content: 'three hops away',
+      isPrivate: true,
+      verified: true,
+    });
+    expect(sim.hasReceived('a', 'and back')).toBe(true);
+    expect(sim.getNode('b').received).toHaveLength(0);
+    expect(sim.getNode('c').received).toHaveLength(0);
+  });
+
+  it('stores ratchet sessions sealed and without identity keys', async () => {
+    sim = await createSimulator(['t', 'u'], { seed: 14 });
+    sim.link('t', 'u');
+    await sim.start();
+    await sim.run(SETTLE_TIME);
+
+    await sim
+      .getNode('t')
+      .mesh.sessionManager.initiateHandshake(sim.getPeerID('u'), true);
+    await sim.run(5000);
+
+    const responder = sim.getNode('u').mesh.encryptionService;
+    const storageKey = responder.ratchetStoragePrefix + sim.getPeerID('t');
+    const stored = await AsyncStorage.getItem(storageKey);
+    expect(stored).not.toContain('rootKey');
+
+    // Reload from storage rather than the in-memory copy
+    responder.ratchetSessions.clear();
+    const record = await responder.loadRatchetSession(sim.getPeerID('t'));
+    const { sendingKeyPair } = record.current;
+    expect(
+      sendingKeyPair.privateKey.equals(responder.identityKeyPair.privateKey)
+    ).toBe(false);
+  });
+
+  it('runs one handshake for a burst of queued private messages', async () => {
+    // Fresh names, so no session is left in storage from earlier scenarios
+    sim = await createSimulator(['p', 'q', 'r', 's'], { seed: 13 });
+    sim.line(['p', 'q', 'r', 's']);
+    await sim.start();
+    await sim.run(SETTLE_TIME);
+
+    const sender = sim.getNode('p').mesh;
+    sender.maxPendingPerPeer = 3;
+    const handshakes = jest.spyOn(sender.sessionManager, 'initiateHandshake');
+
+    const packets = [];
+    for (let i = 0; i < 5; i++) {
+      packets.push(
+        await sim.send('p', `burst ${i}`, { to: 's', isPrivate: true })
+      );
+    }
+    await sim.run(5000);
+
+    expect(handshakes).toHaveBeenCalledTimes(1);
+    expect(
+      packets.map(packet => sender.getDeliveryStatus(packet.messageID))
+    ).toEqual([
+      DeliveryStatus.DELIVERED,
+      DeliveryStatus.DELIVERED,
+      DeliveryStatus.DELIVERED,
+      DeliveryStatus.FAILED,
+      DeliveryStatus.FAILED,
+    ]);
+    expect(sim.getNode('s').received.map(message => message.content)).toEqual([
+      'burst 0',
+      'burst 1',
+      'burst 2',
+    ]);
+  });
+
+  it('maps v1 IDs to the peers they stand for', async () => {
+    sim = await createSimulator(['a', 'b', 'c'], { seed: 12 });
+    sim.line(['a', 'b', 'c']);
+    await sim.start();
+    await sim.run(SETTLE_TIME);
+    for (const name of ['a', 'b', 'c']) {
+      sim.getNode(name).mesh.signaturePolicy.legacyUnsigned =
+        SignaturePolicy.ACCEPT;
+    }
+
+    const inject = async (to, from, fields) => {
+      const packet = new KrtrPacket({
+        version: LEGACY_PROTOCOL_VERSION,
+        type: MessageType.MESSAGE,
+        ...fields,
+      });
+      await sim
+        .getNode(to)
+        .mesh.handleIncomingData(
+          sim.getPeerID(from),
+          BinaryProtocol.encode(packet)
+        );
+      await sim.run(2000);
+    };
+
+    // b's v1 packets name it by the start of its peer ID
+    await inject('a', 'b', {
+      senderID: toLegacyID(sim.getPeerID('b')),
+      payload: Buffer.from('hello from v1'),
+    });
+    expect(sim.getNode('a').received[0].sender).toBe(sim.getPeerID('b'));
+
+    // An addressed v1 packet follows the route to the full ID and is
+    // recognised as c's; it isn't encrypted, so c drops it
+    const routed = sim.getStats('b').packetsRouted;
+    await inject('b', 'a', {
+      senderID: 'old00001',
+      recipientID: toLegacyID(sim.getPeerID('c')),
+      payload: Buffer.from('for c'),
+    });
+    expect(sim.getStats('b').packetsRouted).toBe(routed + 1);
+    expect(sim.getStats('c').messagesRejected).toBe(1);
+
+    // Replies to v1 peers go out as v1
+    const reply = await sim
+      .getNode('c')
+      .mesh.sendMessage('hello old node', 'old00001');
+    expect(reply.version).toBe(LEGACY_PROTOCOL_VERSION);
+    await sim.run(2000);
+    expect(
+      sim.getFrames().some(frame => frame.recipientID === 'old00001')
+    ).toBe(true);
+  });
+});
@@ -0,0 +1,36 @@
+/**
+ * KRTR AsyncStorage Backend - Device persistence for the message store
+ * One AsyncStorage key per record, so a write touches only that record
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { StorageBackend } from './StorageBackend';
+
+export class AsyncStorageBackend extends StorageBackend {
+  async get(key) {
+    return AsyncStorage.getItem(key);
+  }
+
+  async set(key, value) {
+    await AsyncStorage.setItem(key, value);
+  }
+
+  async remove(key) {
+    await AsyncStorage.removeItem(key);
+  }
+
+  async getKeys(prefix) {
+    const keys = await AsyncStorage.getAllKeys();
+    return keys.filter(key => key.startsWith(prefix));
+  }
+
+  async getMany(keys) {
+    if (keys.length === 0) return [];
+    return AsyncStorage.multiGet(keys);
+  }
+
+  async removeMany(keys) {
+    if (keys.length === 0) return;
+    await AsyncStorage.multiRemove(keys);
+  }
+}
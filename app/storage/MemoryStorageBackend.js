@@ -0,0 +1,30 @@
+/**
+ * KRTR Memory Storage Backend - In-process backend for tests and the simulator
+ * Keeps values in a Map; a backend outlives the store using it, so handing
+ * the same instance to a new store behaves like a restart
+ */
+
+import { StorageBackend } from './StorageBackend';
+
+export class MemoryStorageBackend extends StorageBackend {
+  constructor() {
+    super();
+    this.values = new Map(); // key -> string
+  }
+
+  async get(key) {
+    return this.values.has(key) ? this.values.get(key) : null;
+  }
+
+  async set(key, value) {
+    this.values.set(key, String(value));
+  }
+
+  async remove(key) {
+    this.values.delete(key);
+  }
+
+  async getKeys(prefix) {
+    return Array.from(this.values.keys()).filter(key => key.startsWith(prefix));
+  }
+}
@@ -0,0 +1,341 @@
+/**
+ * KRTR Message Store - Indexed, encrypted per-message persistence
+ * Each record is sealed on its own under a key derived from the identity key
+ * and written to its own backend key, so adding or removing one message
+ * doesn't rewrite the rest. Indexes by peer, channel and expiry are rebuilt
+ * in memory when the store opens.
+ */
+
+import { Buffer } from 'buffer';
+import { seal, open, MessageAuthenticationError } from '../crypto/Aead';
+import { AsyncStorageBackend } from './AsyncStorageBackend';
+
+// HKDF context for the at-rest key
+export const MESSAGE_STORE_KEY_INFO = 'krtr-message-store-v1';
+
+export class MessageStore {
+  /**
+   * @param {Object} options - {backend, namespace, encryptionService}; the
+   *   encryption service supplies the identity-bound key
+   */
+  constructor({
+    backend = new AsyncStorageBackend(),
+    namespace = 'krtr_messages',
+    encryptionService = null,
+  } = {}) {
+    this.backend = backend;
+    this.recordPrefix = `${namespace}_record_`;
+    this.encryptionService = encryptionService;
+    this.key = null;
+
+    // "kind:id" -> {kind, id, peerID, channel, storedAt, expiresAt, data}
+    this.records = new Map();
+    this.byPeer = new Map(); // peerID -> Set of record keys
+    this.byChannel = new Map(); // channel -> Set of record keys
+    this.byExpiry = []; // [{expiresAt, key}] soonest first
+
+    this.stats = {
+      recordsWritten: 0,
+      recordsRemoved: 0,
+      recordsUnreadable: 0, // failed authentication on load and were dropped
+    };
+  }
+
+  /**
+   * Derive the key and load every record into the indexes
+   */
+  async open() {
+    if (!this.encryptionService) {
+      throw new Error('Message store needs an encryption service');
+    }
+    await this.encryptionService.ready;
+    this.key = this.encryptionService.deriveStorageKey(MESSAGE_STORE_KEY_INFO);
+
+    const keys = await this.backend.getKeys(this.recordPrefix);
+    const unreadable = [];
+
+    for (const [storageKey, value] of await this.backend.getMany(keys)) {
+      if (value === null) continue;
+
+      const recordKey = storageKey.slice(this.recordPrefix.length);
+      try {
+        this.index(recordKey, this.decryptRecord(recordKey, value));
+      } catch (error) {
+        // Sealed under an earlier identity, or damaged
+        if (!(error instanceof MessageAuthenticationError)) {
+          console.error(`[KRTR Store] Bad record ${recordKey}:`, error);
+        }
+        unreadable.push(storageKey);
+      }
+    }
+
+    if (unreadable.length > 0) {
+      await this.backend.removeMany(unreadable);
+      this.stats.recordsUnreadable += unreadable.length;
+      console.warn(
+        `[KRTR Store] Dropped ${unreadable.length} records that failed to decrypt`
+      );
+    }
+
+    console.log(`[KRTR Store] Opened with ${this.records.size} records`);
+  }
+
+  /**
+   * Write a record, replacing any with the same kind and ID
+   * @param {Object} record - {kind, id, peerID, channel, expiresAt, data}
+   * @returns {Promise<Object>} - The stored record
+   */
+  async put({
+    kind,
+    id,
+    peerID = null,
+    channel = null,
+    expiresAt = null,
+    data,
+  }) {
+    this.assertOpen();
+    if (!kind || !id) {
+      throw new Error('Record needs a kind and an id');
+    }
+
+    const recordKey = this.recordKey(kind, id);
+    const record = {
+      kind,
+      id,
+      peerID,
+      channel,
+      storedAt: this.records.get(recordKey)?.storedAt ?? Date.now(),
+      expiresAt,
+      data,
+    };
+
+    await this.backend.set(
+      this.recordPrefix + recordKey,
+      this.encryptRecord(recordKey, record)
+    );
+    this.unindex(recordKey);
+    this.index(recordKey, record);
+    this.stats.recordsWritten++;
+
+    return record;
+  }
+
+  /**
+   * Merge changes into a record's data and write just that record
+   * @returns {Promise<Object|null>} - The updated record, or null if absent
+   */
+  async update(kind, id, changes) {
+    const record = this.get(kind, id);
+    if (!record) return null;
+
+    return this.put({ ...record, data: { ...record.data, ...changes } });
+  }
+
+  get(kind, id) {
+    return this.records.get(this.recordKey(kind, id)) || null;
+  }
+
+  has(kind, id) {
+    return this.records.has(this.recordKey(kind, id));
+  }
+
+  async remove(kind, id) {
+    const recordKey = this.recordKey(kind, id);
+    if (!this.records.has(recordKey)) return false;
+
+    await this.backend.remove(this.recordPrefix + recordKey);
+    this.unindex(recordKey);
+    this.stats.recordsRemoved++;
+    return true;
+  }
+
+  /**
+   * @param {Object} filter - {kind, peerID, channel}; all optional
+   * @returns {Object[]} - Matching records, oldest first
+   */
+  query({ kind = null, peerID = null, channel = null } = {}) {
+    let keys;
+    if (peerID !== null) {
+      keys = this.byPeer.get(peerID) || [];
+    } else if (channel !== null) {
+      keys = this.byChannel.get(channel) || [];
+    } else {
+      keys = this.records.keys();
+    }
+
+    const records = [];
+    for (const recordKey of keys) {
+      const record = this.records.get(recordKey);
+      if (kind !== null && record.kind !== kind) continue;
+      if (channel !== null && record.channel !== channel) continue;
+      records.push(record);
+    }
+
+    return records.sort((a, b) => a.storedAt - b.storedAt);
+  }
+
+  count(kind = null) {
+    if (kind === null) return this.records.size;
+
+    let count = 0;
+    for (const record of this.records.values()) {
+      if (record.kind === kind) count++;
+    }
+    return count;
+  }
+
+  /**
+   * Peers with at least one record of the kind
+   */
+  getPeers(kind = null) {
+    return Array.from(this.byPeer.keys()).filter(
+      peerID => this.query({ kind, peerID }).length > 0
+    );
+  }
+
+  /**
+   * Records whose expiry has passed, read off the expiry index
+   */
+  getExpired(now = Date.now()) {
+    const expired = [];
+    for (const { expiresAt, key } of this.byExpiry) {
+      if (expiresAt > now) break;
+      expired.push(this.records.get(key));
+    }
+    return expired;
+  }
+
+  /**
+   * @returns {Promise<Object[]>} - The records removed
+   */
+  async removeExpired(now = Date.now()) {
+    const expired = this.getExpired(now);
+    await this.removeRecords(expired);
+    return expired;
+  }
+
+  /**
+   * Remove every record matching the filter, or everything without one
+   * @param {Object} filter - {kind, peerID, channel}
+   */
+  async clear(filter = {}) {
+    await this.removeRecords(this.query(filter));
+  }
+
+  async removeRecords(records) {
+    if (records.length === 0) return;
+
+    const recordKeys = records.map(record =>
+      this.recordKey(record.kind, record.id)
+    );
+    await this.backend.removeMany(
+      recordKeys.map(recordKey => this.recordPrefix + recordKey)
+    );
+    for (const recordKey of recordKeys) {
+      this.unindex(recordKey);
+    }
+    this.stats.recordsRemoved += recordKeys.length;
+  }
+
+  // Indexes
+
+  recordKey(kind, id) {
+    return `${kind}:${id}`;
+  }
+
+  index(recordKey, record) {
+    this.records.set(recordKey, record);
+
+    if (record.peerID !== null) {
+      addToIndex(this.byPeer, record.peerID, recordKey);
+    }
+    if (record.channel !== null) {
+      addToIndex(this.byChannel, record.channel, recordKey);
+    }
+    if (record.expiresAt !== null) {
+      const position = this.expiryPosition(record.expiresAt);
+      this.byExpiry.splice(position, 0, {
+        expiresAt: record.expiresAt,
+        key: recordKey,
+      });
+    }
+  }
+
+  unindex(recordKey) {
+    const record = this.records.get(recordKey);
+    if (!record) return;
+
+    this.records.delete(recordKey);
+    removeFromIndex(this.byPeer, record.peerID, recordKey);
+    removeFromIndex(this.byChannel, record.channel, recordKey);
+    if (record.expiresAt !== null) {
+      const position = this.byExpiry.findIndex(
+        entry => entry.key === recordKey
+      );
+      if (position !== -1) this.byExpiry.splice(position, 1);
+    }
+  }
+
+  // First position whose expiry is later than the given one
+  expiryPosition(expiresAt) {
+    let low = 0;
+    let high = this.byExpiry.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.byExpiry[mid].expiresAt <= expiresAt) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  }
+
+  // Encryption: the record key is authenticated, so a sealed record can't be
+  // moved to another key
+
+  encryptRecord(recordKey, record) {
+    const envelope = seal(
+      this.key,
+      Buffer.from(JSON.stringify(record), 'utf8'),
+      Buffer.from(recordKey, 'utf8')
+    );
+    return envelope.toString('base64');
+  }
+
+  decryptRecord(recordKey, value) {
+    const plaintext = open(
+      this.key,
+      Buffer.from(value, 'base64'),
+      Buffer.from(recordKey, 'utf8')
+    );
+    return JSON.parse(plaintext.toString('utf8'));
+  }
+
+  assertOpen() {
+    if (!this.key) {
+      throw new Error('Message store is not open');
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      records: this.records.size,
+      peers: this.byPeer.size,
+      channels: this.byChannel.size,
+    };
+  }
+}
+
+function addToIndex(index, value, recordKey) {
+  if (!index.has(value)) {
+    index.set(value, new Set());
+  }
+  index.get(value).add(recordKey);
+}
+
+function removeFromIndex(index, value, recordKey) {
+  const keys = index.get(value);
+  if (!keys) return;
+
+  keys.delete(recordKey);
+  if (keys.size === 0) index.delete(value);
+}
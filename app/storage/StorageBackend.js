@@ -0,0 +1,61 @@
+/**
+ * KRTR Storage Backend - Key-value persistence beneath the message store
+ * Defines the contract every backend (AsyncStorage, in-memory) implements.
+ * Values are strings; the store encrypts before anything reaches a backend.
+ */
+
+export class StorageBackend {
+  /**
+   * @param {string} key - Record key
+   * @returns {Promise<string|null>} - Stored value, or null if absent
+   */
+  async get(key) {
+    throw new Error(`${this.constructor.name}.get not implemented`);
+  }
+
+  /**
+   * @param {string} key - Record key
+   * @param {string} value - Value to store, replacing any existing one
+   */
+  async set(key, value) {
+    throw new Error(`${this.constructor.name}.set not implemented`);
+  }
+
+  /**
+   * @param {string} key - Record key; missing keys are ignored
+   */
+  async remove(key) {
+    throw new Error(`${this.constructor.name}.remove not implemented`);
+  }
+
+  /**
+   * @param {string} prefix - Key prefix to match
+   * @returns {Promise<string[]>} - Keys starting with the prefix
+   */
+  async getKeys(prefix) {
+    throw new Error(`${this.constructor.name}.getKeys not implemented`);
+  }
+
+  /**
+   * Read several records at once; backends override this when they can batch
+   * @param {string[]} keys - Record keys
+   * @returns {Promise<Array>} - [key, value|null] pairs in key order
+   */
+  async getMany(keys) {
+    const pairs = [];
+    for (const key of keys) {
+      pairs.push([key, await this.get(key)]);
+    }
+    return pairs;
+  }
+
+  /**
+   * Remove several records at once
+   * @param {string[]} keys - Record keys
+   */
+  async removeMany(keys) {
+    for (const key of keys) {
+      await this.remove(key);
+    }
+  }
+}
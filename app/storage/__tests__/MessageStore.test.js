@@ -0,0 +1,153 @@
+import { Buffer } from 'buffer';
+import { MessageStore } from '../MessageStore';
+import { MemoryStorageBackend } from '../MemoryStorageBackend';
+
+// Stands in for SimpleCryptoService's identity-bound key
+function createEncryptionService(fill = 1) {
+  return {
+    ready: Promise.resolve(),
+    deriveStorageKey: () => Buffer.alloc(32, fill),
+  };
+}
+
+async function openStore(
+  backend,
+  encryptionService = createEncryptionService()
+) {
+  const store = new MessageStore({ backend, encryptionService });
+  await store.open();
+  return store;
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('MessageStore', () => {
+  it('refuses writes before it is opened', async () => {
+    const store = new MessageStore({
+      backend: new MemoryStorageBackend(),
+      encryptionService: createEncryptionService(),
+    });
+
+    await expect(
+      store.put({ kind: 'cached', id: 'm1', data: {} })
+    ).rejects.toThrow('not open');
+  });
+
+  it('writes each record under its own key without plaintext', async () => {
+    const backend = new MemoryStorageBackend();
+    const store = await openStore(backend);
+
+    await store.put({
+      kind: 'cached',
+      id: 'm1',
+      peerID: 'peer-a',
+      data: { content: 'secret rendezvous' },
+    });
+    await store.put({ kind: 'cached', id: 'm2', peerID: 'peer-b', data: {} });
+
+    expect(backend.values.size).toBe(2);
+    for (const value of backend.values.values()) {
+      expect(value).not.toContain('secret');
+      expect(Buffer.from(value, 'base64').toString()).not.toContain('secret');
+    }
+  });
+
+  it('queries by kind, peer and channel, oldest first', async () => {
+    const store = await openStore(new MemoryStorageBackend());
+    const now = Date.now();
+    const spy = jest.spyOn(Date, 'now');
+
+    spy.mockReturnValue(now + 2);
+    await store.put({ kind: 'cached', id: 'late', peerID: 'a', data: {} });
+    spy.mockReturnValue(now + 1);
+    await store.put({ kind: 'cached', id: 'early', peerID: 'a', data: {} });
+    await store.put({ kind: 'custody', id: 'c1', peerID: 'a', data: {} });
+    await store.put({ kind: 'cached', id: 'ch', channel: '#ops', data: {} });
+
+    expect(store.query({ peerID: 'a', kind: 'cached' }).map(r => r.id)).toEqual(
+      ['early', 'late']
+    );
+    expect(store.query({ channel: '#ops' }).map(r => r.id)).toEqual(['ch']);
+    expect(store.count('custody')).toBe(1);
+    expect(store.getPeers('custody')).toEqual(['a']);
+  });
+
+  it('updates and removes single records', async () => {
+    const store = await openStore(new MemoryStorageBackend());
+    await store.put({ kind: 'cached', id: 'm1', peerID: 'a', data: { n: 1 } });
+
+    const updated = await store.update('cached', 'm1', { offered: true });
+    expect(updated.data).toEqual({ n: 1, offered: true });
+    expect(await store.update('cached', 'missing', {})).toBeNull();
+
+    expect(await store.remove('cached', 'm1')).toBe(true);
+    expect(store.has('cached', 'm1')).toBe(false);
+    expect(store.query({ peerID: 'a' })).toEqual([]);
+    expect(store.getStats().peers).toBe(0);
+  });
+
+  it('removes expired records off the expiry index', async () => {
+    const store = await openStore(new MemoryStorageBackend());
+    await store.put({ kind: 'cached', id: 'soon', expiresAt: 100, data: {} });
+    await store.put({ kind: 'cached', id: 'later', expiresAt: 300, data: {} });
+    await store.put({ kind: 'cached', id: 'never', data: {} });
+
+    const removed = await store.removeExpired(200);
+
+    expect(removed.map(record => record.id)).toEqual(['soon']);
+    expect(store.count()).toBe(2);
+    expect(store.getExpired(Infinity).map(record => record.id)).toEqual([
+      'later',
+    ]);
+  });
+
+  it('reloads its records and indexes on reopen', async () => {
+    const backend = new MemoryStorageBackend();
+    const store = await openStore(backend);
+    await store.put({
+      kind: 'custody',
+      id: 'm1',
+      peerID: 'a',
+      expiresAt: 500,
+      data: { hops: 2 },
+    });
+
+    const reopened = await openStore(backend);
+
+    expect(reopened.get('custody', 'm1').data).toEqual({ hops: 2 });
+    expect(reopened.query({ peerID: 'a' })).toHaveLength(1);
+    expect(reopened.getExpired(500)).toHaveLength(1);
+  });
+
+  it('drops records sealed under another identity', async () => {
+    const backend = new MemoryStorageBackend();
+    const store = await openStore(backend);
+    await store.put({ kind: 'cached', id: 'm1', data: {} });
+
+    const other = await openStore(backend, createEncryptionService(2));
+
+    expect(other.count()).toBe(0);
+    expect(other.getStats().recordsUnreadable).toBe(1);
+    expect(backend.values.size).toBe(0);
+  });
+
+  it('rejects a record moved to another key', async () => {
+    const backend = new MemoryStorageBackend();
+    const store = await openStore(backend);
+    await store.put({ kind: 'cached', id: 'm1', data: {} });
+
+    const [[storageKey, value]] = backend.values;
+    backend.values.set(storageKey.replace('m1', 'm2'), value);
+
+    const reopened = await openStore(backend);
+    expect(reopened.has('cached', 'm1')).toBe(true);
+    expect(reopened.has('cached', 'm2')).toBe(false);
+  });
+});
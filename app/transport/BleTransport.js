@@ -0,0 +1,160 @@
+/**
+ * KRTR BLE Transport - react-native-ble-plx implementation of Transport
+ * Handles advertising, scanning, GATT connections and characteristic I/O
+ */
+
+import { BleManager } from 'react-native-ble-plx';
+import { Buffer } from 'buffer';
+import { Transport } from './Transport';
+
+// KRTR service UUID for BLE discovery
+export const KRTR_SERVICE_UUID = '6E400001-B5A3-F393-E0A9-E50E24DCCA9E';
+export const KRTR_CHARACTERISTIC_UUID = '6E400002-B5A3-F393-E0A9-E50E24DCCA9E';
+
+// Advertised device names are 'KRTR-<peerID>'
+const DEVICE_NAME_PREFIX = 'KRTR-';
+
+// ATT MTU we ask for; Android negotiates on request, iOS on its own
+const REQUESTED_MTU = 517;
+const DEFAULT_MTU = 23; // BLE 4.0 minimum
+const ATT_HEADER_SIZE = 3;
+
+export class BleTransport extends Transport {
+  constructor(bleManager = null) {
+    super();
+    this.bleManager = bleManager || new BleManager();
+    this.devices = new Map(); // peerID -> connected device
+    this.disconnectSubscriptions = new Map(); // peerID -> subscription
+  }
+
+  async initialize() {
+    const state = await this.bleManager.state();
+    console.log('[KRTR BLE] BLE State:', state);
+
+    if (state !== 'PoweredOn') {
+      console.warn('[KRTR BLE] Bluetooth not powered on');
+      return false;
+    }
+
+    return true;
+  }
+
+  async startAdvertising(localPeerID, options = {}) {
+    const { interval, txPowerLevel = 'medium' } = options;
+
+    await this.bleManager.startDeviceAdvertising(
+      KRTR_SERVICE_UUID,
+      DEVICE_NAME_PREFIX + localPeerID,
+      {
+        txPowerLevel,
+        isConnectable: true,
+        includeDeviceName: true,
+        interval,
+      }
+    );
+  }
+
+  async stopAdvertising() {
+    await this.bleManager.stopDeviceAdvertising();
+  }
+
+  discover(onPeerDiscovered, options = {}) {
+    this.bleManager.startDeviceScan(
+      [KRTR_SERVICE_UUID],
+      { allowDuplicates: false, ...options },
+      (error, device) => {
+        if (error) {
+          console.error('[KRTR BLE] Scan error:', error);
+          return;
+        }
+
+        const peerID = this.extractPeerID(device.name);
+        if (!peerID) return;
+
+        onPeerDiscovered({ peerID, rssi: device.rssi, handle: device });
+      }
+    );
+  }
+
+  stopDiscovery() {
+    this.bleManager.stopDeviceScan();
+  }
+
+  async connect(peer) {
+    const { peerID, handle: device } = peer;
+
+    let connectedDevice = await device.connect();
+    try {
+      connectedDevice = await connectedDevice.requestMTU(REQUESTED_MTU);
+    } catch (error) {
+      console.warn('[KRTR BLE] MTU request failed:', error);
+    }
+    await connectedDevice.discoverAllServicesAndCharacteristics();
+
+    const characteristic = await connectedDevice.characteristicForService(
+      KRTR_SERVICE_UUID,
+      KRTR_CHARACTERISTIC_UUID
+    );
+
+    // Monitor for incoming messages
+    characteristic.monitor((error, characteristic) => {
+      if (error) {
+        console.error('[KRTR BLE] Characteristic monitor error:', error);
+        return;
+      }
+
+      this.emitData(peerID, Buffer.from(characteristic.value, 'base64'));
+    });
+
+    this.devices.set(peerID, connectedDevice);
+
+    // Connections we close ourselves are already gone from this.devices
+    const subscription = connectedDevice.onDisconnected(error => {
+      if (this.devices.get(peerID) !== connectedDevice) return;
+
+      console.log(`[KRTR BLE] Lost connection to ${peerID}`, error || '');
+      this.devices.delete(peerID);
+      this.disconnectSubscriptions.get(peerID)?.remove();
+      this.disconnectSubscriptions.delete(peerID);
+      this.emitDisconnect(peerID);
+    });
+    this.disconnectSubscriptions.set(peerID, subscription);
+
+    const mtu = connectedDevice.mtu || DEFAULT_MTU;
+    console.log(`[KRTR BLE] Negotiated MTU ${mtu} with ${peerID}`);
+    return mtu - ATT_HEADER_SIZE;
+  }
+
+  async send(peerID, data) {
+    const device = this.devices.get(peerID);
+    if (!device) {
+      throw new Error(`Peer ${peerID} not connected`);
+    }
+
+    const characteristic = await device.characteristicForService(
+      KRTR_SERVICE_UUID,
+      KRTR_CHARACTERISTIC_UUID
+    );
+
+    await characteristic.writeWithResponse(data.toString('base64'));
+  }
+
+  async disconnect(peerID = null) {
+    const peerIDs = peerID ? [peerID] : Array.from(this.devices.keys());
+
+    for (const id of peerIDs) {
+      const device = this.devices.get(id);
+      if (!device) continue;
+
+      this.devices.delete(id);
+      this.disconnectSubscriptions.get(id)?.remove();
+      this.disconnectSubscriptions.delete(id);
+      await device.cancelConnection();
+    }
+  }
+
+  extractPeerID(deviceName) {
+    if (!deviceName || !deviceName.startsWith(DEVICE_NAME_PREFIX)) return null;
+    return deviceName.substring(DEVICE_NAME_PREFIX.length);
+  }
+}
@@ -0,0 +1,112 @@
+/**
+ * KRTR Loopback Transport - In-memory Transport for tests and Node benches
+ * Every transport registered on the same hub can discover and reach the others
+ */
+
+import { Buffer } from 'buffer';
+import { Transport } from './Transport';
+
+export class LoopbackHub {
+  constructor() {
+    this.transports = new Map(); // peerID -> advertising LoopbackTransport
+  }
+
+  register(transport) {
+    this.transports.set(transport.localPeerID, transport);
+
+    // Let active scanners see the newcomer
+    for (const other of this.transports.values()) {
+      if (other !== transport) {
+        other.notifyDiscovered(transport);
+      }
+    }
+  }
+
+  unregister(transport) {
+    if (this.transports.get(transport.localPeerID) === transport) {
+      this.transports.delete(transport.localPeerID);
+    }
+  }
+
+  get(peerID) {
+    return this.transports.get(peerID) || null;
+  }
+}
+
+export class LoopbackTransport extends Transport {
+  constructor(hub, { rssi = -50 } = {}) {
+    super();
+    this.hub = hub;
+    this.rssi = rssi;
+    this.localPeerID = null;
+    this.discoveryHandler = null;
+    this.links = new Map(); // peerID -> remote LoopbackTransport
+  }
+
+  async startAdvertising(localPeerID) {
+    this.localPeerID = localPeerID;
+    this.hub.register(this);
+  }
+
+  async stopAdvertising() {
+    this.hub.unregister(this);
+  }
+
+  discover(onPeerDiscovered) {
+    this.discoveryHandler = onPeerDiscovered;
+
+    for (const remote of this.hub.transports.values()) {
+      this.notifyDiscovered(remote);
+    }
+  }
+
+  stopDiscovery() {
+    this.discoveryHandler = null;
+  }
+
+  notifyDiscovered(remote) {
+    if (!this.discoveryHandler || remote === this) return;
+
+    this.discoveryHandler({
+      peerID: remote.localPeerID,
+      rssi: this.rssi,
+      handle: remote,
+    });
+  }
+
+  async connect(peer) {
+    const remote = peer.handle || this.hub.get(peer.peerID);
+    if (!remote) {
+      throw new Error(`Peer ${peer.peerID} not reachable`);
+    }
+
+    this.links.set(remote.localPeerID, remote);
+    remote.links.set(this.localPeerID, this);
+  }
+
+  async send(peerID, data) {
+    const remote = this.links.get(peerID);
+    if (!remote) {
+      throw new Error(`Peer ${peerID} not connected`);
+    }
+
+    // Copy so neither side can mutate the other's buffer, and deliver
+    // asynchronously like a real radio would
+    const copy = Buffer.from(data);
+    setTimeout(() => remote.emitData(this.localPeerID, copy), 0);
+  }
+
+  async disconnect(peerID = null) {
+    const peerIDs = peerID ? [peerID] : Array.from(this.links.keys());
+
+    for (const id of peerIDs) {
+      const remote = this.links.get(id);
+      if (!remote) continue;
+
+      this.links.delete(id);
+      if (remote.links.delete(this.localPeerID)) {
+        remote.emitDisconnect(this.localPeerID);
+      }
+    }
+  }
+}
@@ -0,0 +1,111 @@
+/**
+ * KRTR Transport - Link-layer abstraction beneath the mesh service
+ * Defines the contract every radio (BLE, loopback, Wi-Fi Direct, LAN) implements
+ */
+
+export class Transport {
+  constructor() {
+    // Incoming data handler: (peerID, data: Buffer) => void
+    this.dataHandler = null;
+    // Link loss handler: (peerID) => void
+    this.disconnectHandler = null;
+  }
+
+  /**
+   * Prepare the underlying radio
+   * @returns {Promise<boolean>} - True if the transport is ready for use
+   */
+  async initialize() {
+    return true;
+  }
+
+  /**
+   * Make this node discoverable by other peers
+   * @param {string} localPeerID - Our peer ID as advertised to others
+   * @param {Object} options - Transport specific options (interval, txPowerLevel)
+   */
+  async startAdvertising(localPeerID, options = {}) {
+    throw new Error(
+      `${this.constructor.name}.startAdvertising not implemented`
+    );
+  }
+
+  /**
+   * Stop being discoverable
+   */
+  async stopAdvertising() {}
+
+  /**
+   * Start discovering peers
+   * @param {Function} onPeerDiscovered - Called with {peerID, rssi, handle}
+   * @param {Object} options - Transport specific options
+   */
+  discover(onPeerDiscovered, options = {}) {
+    throw new Error(`${this.constructor.name}.discover not implemented`);
+  }
+
+  /**
+   * Stop discovering peers
+   */
+  stopDiscovery() {}
+
+  /**
+   * Open a link to a discovered peer
+   * @param {Object} peer - Peer descriptor passed to onPeerDiscovered
+   * @returns {Promise<number|void>} - Resolves once data can be sent to the
+   *   peer, with the largest frame the link carries if it is limited
+   */
+  async connect(peer) {
+    throw new Error(`${this.constructor.name}.connect not implemented`);
+  }
+
+  /**
+   * Send raw bytes to a connected peer
+   * @param {string} peerID - Connected peer
+   * @param {Buffer} data - Encoded packet
+   */
+  async send(peerID, data) {
+    throw new Error(`${this.constructor.name}.send not implemented`);
+  }
+
+  /**
+   * Register the handler for incoming data
+   * @param {Function} handler - Called with (peerID, data: Buffer)
+   */
+  onData(handler) {
+    this.dataHandler = handler;
+  }
+
+  /**
+   * Register the handler for links that drop without us closing them
+   * @param {Function} handler - Called with (peerID)
+   */
+  onDisconnect(handler) {
+    this.disconnectHandler = handler;
+  }
+
+  /**
+   * Close the link to one peer, or to all peers when peerID is null
+   * @param {string|null} peerID - Peer to disconnect
+   */
+  async disconnect(peerID = null) {
+    throw new Error(`${this.constructor.name}.disconnect not implemented`);
+  }
+
+  /**
+   * Hand incoming bytes to the registered handler
+   * @param {string} peerID - Peer the data arrived from
+   * @param {Buffer} data - Raw bytes
+   */
+  emitData(peerID, data) {
+    this.dataHandler?.(peerID, data);
+  }
+
+  /**
+   * Report a link that went down: out of range, remote shutdown, radio off
+   * @param {string} peerID - Peer whose link dropped
+   */
+  emitDisconnect(peerID) {
+    this.disconnectHandler?.(peerID);
+  }
+}
@@ -0,0 +1,95 @@
+import { LoopbackHub, LoopbackTransport } from '../LoopbackTransport';
+import { BluetoothMeshService } from '../../mesh/BluetoothMeshService';
+import { StoreAndForwardService } from '../../mesh/StoreAndForwardService';
+import { ChannelService } from '../../mesh/ChannelService';
+import { FavoritesService } from '../../mesh/FavoritesService';
+import { MemoryStorageBackend } from '../../storage/MemoryStorageBackend';
+import { SimpleCryptoService } from '../../crypto/SimpleCryptoService';
+import { SimulatedBatteryOptimizer } from '../../simulator/MeshSimulator';
+import { FakeClock } from '../../simulator/FakeClock';
+
+// Long enough for discovery, Noise handshakes and announces to settle
+const SETTLE_TIME = 15000;
+
+async function createNode(hub, name) {
+  const storagePrefix = `krtr_loopback_${name}`;
+  const encryptionService = new SimpleCryptoService({ storagePrefix });
+  const node = {
+    transport: new LoopbackTransport(hub),
+    received: [],
+    connected: [],
+    disconnected: [],
+    mesh: null,
+  };
+
+  node.mesh = new BluetoothMeshService(
+    {
+      didReceiveMessage: message => node.received.push(message.content),
+      didConnectToPeer: peerID => node.connected.push(peerID),
+      didDisconnectFromPeer: peerID => node.disconnected.push(peerID),
+    },
+    {
+      transport: node.transport,
+      encryptionService,
+      storeAndForward: new StoreAndForwardService({
+        storagePrefix,
+        encryptionService,
+        backend: new MemoryStorageBackend(),
+      }),
+      channelService: new ChannelService({ storagePrefix }),
+      batteryOptimizer: new SimulatedBatteryOptimizer(),
+      favorites: new FavoritesService({ storagePrefix }),
+    }
+  );
+  await node.mesh.ready;
+  node.peerID = encryptionService.getShortID();
+
+  return node;
+}
+
+let clock = null;
+let nodes = [];
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+beforeEach(() => {
+  clock = new FakeClock({ seed: 5 });
+  clock.install();
+});
+
+afterEach(async () => {
+  for (const node of nodes) {
+    await node.mesh.disconnect();
+    node.mesh.storeAndForward.destroy();
+  }
+  nodes = [];
+  clock.reset();
+  clock.uninstall();
+});
+
+describe('LoopbackTransport', () => {
+  it('carries two mesh services from discovery to a dropped link', async () => {
+    const hub = new LoopbackHub();
+    const a = await createNode(hub, 'a');
+    const b = await createNode(hub, 'b');
+    nodes = [a, b];
+    await clock.tick(SETTLE_TIME);
+
+    expect(a.connected).toContain(b.peerID);
+    expect(b.connected).toContain(a.peerID);
+
+    await a.mesh.sendMessage('over loopback');
+    await clock.tick(1000);
+    expect(b.received).toContain('over loopback');
+
+    // Drop the link without a LEAVE: only the transport can tell b
+    await a.transport.disconnect(b.peerID);
+    await clock.tick(0);
+    expect(b.disconnected).toEqual([a.peerID]);
+    expect(b.mesh.connectedPeers.has(a.peerID)).toBe(false);
+  });
+});
@@ -0,0 +1,9 @@
+module.exports = {
+  preset: 'jest-expo',
+  testEnvironment: 'node',
+  roots: ['<rootDir>/app', '<rootDir>/__mocks__'],
+  testMatch: ['**/__tests__/**/*.test.js'],
+  transformIgnorePatterns: [
+    'node_modules/(?!((jest-)?react-native|@react-native(-community)?|expo(nent)?|@expo(nent)?/.*|@noble/.*|react-native-ble-plx|react-native-uuid|lz4js))',
+  ],
+};
@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+
+/**
+ * KRTR Fragment Header Benchmark
+ *
+ * Compares the binary fragment header with the JSON header it replaced:
+ * bytes spent on headers per message, and encode + parse time per fragment.
+ *
+ * Usage: node scripts/fragment-header-bench.mjs
+ */
+
+import { randomBytes } from 'crypto';
+import { performance } from 'perf_hooks';
+import { Buffer } from 'buffer';
+import {
+  MessageFragmentation,
+  FRAGMENT_HEADER_SIZE,
+} from '../app/protocols/MessageCompression.js';
+
+const MESSAGE_SIZES = [1024, 4096, 16384];
+// Fragment payload sizes: BLE 4.2 default MTU, common Android MTU, power cap
+const FRAGMENT_SIZES = [182, 244, 500];
+const TIMING_ITERATIONS = 20000;
+
+// Previous format: 2-byte length + JSON header
+const json = {
+  encode(header, data) {
+    const headerBuffer = Buffer.from(JSON.stringify(header), 'utf8');
+    const headerLength = Buffer.alloc(2);
+    headerLength.writeUInt16BE(headerBuffer.length);
+    return Buffer.concat([headerLength, headerBuffer, data]);
+  },
+
+  parse(packetData) {
+    const headerLength = packetData.readUInt16BE(0);
+    return {
+      header: JSON.parse(packetData.slice(2, 2 + headerLength).toString()),
+      data: packetData.slice(2 + headerLength),
+    };
+  },
+
+  headerSize(header) {
+    return this.encode(header, Buffer.alloc(0)).length;
+  },
+};
+
+function jsonHeader(messageID, index, total) {
+  return {
+    messageID,
+    fragmentIndex: index,
+    totalFragments: total,
+    isFirst: index === 0,
+    isLast: index === total - 1,
+  };
+}
+
+// Headers grow with the index digits, so count fragment by fragment
+function jsonOverhead(messageID, messageSize, fragmentSize) {
+  let estimate = 1;
+  for (;;) {
+    let remaining = messageSize;
+    let headerBytes = 0;
+    let count = 0;
+    while (remaining > 0) {
+      const size = json.headerSize(jsonHeader(messageID, count, estimate));
+      remaining -= fragmentSize - size;
+      headerBytes += size;
+      count++;
+    }
+    if (count === estimate) return { count, headerBytes };
+    estimate = count;
+  }
+}
+
+function time(fn) {
+  const start = performance.now();
+  for (let i = 0; i < TIMING_ITERATIONS; i++) fn(i);
+  return ((performance.now() - start) * 1000) / TIMING_ITERATIONS;
+}
+
+const fragmentation = new MessageFragmentation();
+const messageID = randomBytes(16).toString('hex');
+const rows = [];
+
+for (const messageSize of MESSAGE_SIZES) {
+  const data = randomBytes(messageSize);
+
+  for (const fragmentSize of FRAGMENT_SIZES) {
+    const before = jsonOverhead(messageID, messageSize, fragmentSize);
+    const fragments = fragmentation.fragment(data, messageID, fragmentSize);
+    const headerBytes = fragments.length * FRAGMENT_HEADER_SIZE;
+
+    rows.push({
+      message: messageSize,
+      fragment: fragmentSize,
+      'json fragments': before.count,
+      'json header %': ((100 * before.headerBytes) / messageSize).toFixed(1),
+      'binary fragments': fragments.length,
+      'binary header %': ((100 * headerBytes) / messageSize).toFixed(1),
+    });
+  }
+}
+
+console.log('Header overhead relative to message size');
+console.table(rows);
+
+const chunk = randomBytes(200);
+const header = jsonHeader(fragmentation.toFragmentID(messageID), 3, 17);
+const jsonFragment = json.encode(header, chunk);
+const binaryFragment = fragmentation.createFragmentPacket(header, chunk).data;
+
+console.log('Encode + parse per fragment (microseconds)');
+console.table({
+  json: {
+    encode: time(() => json.encode(header, chunk)).toFixed(2),
+    parse: time(() => json.parse(jsonFragment)).toFixed(2),
+  },
+  binary: {
+    encode: time(() =>
+      fragmentation.createFragmentPacket(header, chunk)
+    ).toFixed(2),
+    parse: time(() =>
+      fragmentation.parseFragmentPacket(binaryFragment)
+    ).toFixed(2),
+  },
+});
+
+fragmentation.destroy();